@@ -6,11 +6,18 @@
 class SubwayFinderApp {
     constructor() {
         this.currentResult = null;
-        this.searchHistory = [];
         this.autoCompleteControllers = {
             startPoint: null,
             endPoint: null
         };  // 存储自动补全控制器
+        this.participantSeq = 0;  // 动态参与者输入框的编号
+        this.customPresets = {};  // 用户保存的评分预设：名称 -> 权重
+        this.pickTarget = null;   // 正在地图选点的参与者输入框
+        this.highlightedStation = null;  // 地图上正在显示路线的站点
+        this.currentQuery = null;        // 当前结果对应的查询（用于生成分享链接）
+        this.pendingStation = null;      // 分享链接指定、搜索完成后要选中的站点
+        this.reachability = null;        // 可达性图层的全网耗时 {origins, stations}
+        this.candidateSort = { key: 'rank', asc: true };  // 全部候选表格的排序
         this.init();
     }
 
@@ -35,310 +42,2119 @@ class SubwayFinderApp {
             return;
         }
 
-        // 加载搜索历史
-        this.loadSearchHistory();
+        // 搜索历史
+        this.initHistoryPanel();
+
+        // 显示缓存统计
+        this.updateCacheStats();
+
+        // 评分权重面板
+        this.loadScoringPresets();
+        this.initScoringPanel();
+
+        // 收藏面板
+        this.initFavoritesPanel();
 
         // 绑定事件
         this.bindEvents();
 
+        // 地图可能已先于应用初始化完成
+        if (mapView) {
+            this.onMapReady(mapView);
+        }
+
         Logger.log('应用初始化完成');
+
+        // 通过分享链接打开时还原查询并自动搜索
+        this.restoreFromUrl();
+    }
+
+    /**
+     * 地图就绪后绑定地图事件
+     */
+    onMapReady(view) {
+        view.on('mapClick', location => this.handleMapPick(location));
+        view.on('originMoved', (index, location) => this.handleOriginMoved(index, location));
+
+        // 搜索先于地图完成（如通过分享链接打开）时补画结果
+        if (this.currentResult) {
+            view.displaySearchResult(this.currentResult);
+            if (this.highlightedStation) {
+                view.highlightStation(this.highlightedStation, this.currentResult.origins);
+            }
+            this.updateReachabilityLayer(this.currentResult);
+            this.updateCandidatePanel(this.currentResult);
+        }
+    }
+
+    /**
+     * 绑定事件监听
+     */
+    bindEvents() {
+        // 表单提交
+        const searchForm = document.getElementById('searchForm');
+        if (searchForm) {
+            searchForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleSearch();
+            });
+        }
+
+        // 初始化自动补全功能
+        this.initAutoComplete('startPoint', 'startPointDropdown');
+        this.initAutoComplete('endPoint', 'endPointDropdown');
+        this.initParticipantActions('startPoint');
+        this.initParticipantActions('endPoint');
+
+        // 拖动起点后重新查找
+        const rerunBtn = document.getElementById('rerunBtn');
+        if (rerunBtn) {
+            rerunBtn.addEventListener('click', () => {
+                this.handleSearch();
+            });
+        }
+
+        // 全部候选表格：筛选、排序、点击行在地图上查看路线
+        const candidatePanel = document.getElementById('candidatePanel');
+        if (candidatePanel) {
+            candidatePanel.addEventListener('toggle', () => {
+                if (candidatePanel.open) {
+                    this.loadCandidateDistricts();
+                }
+            });
+            candidatePanel.querySelectorAll('.candidate-controls select, .candidate-controls input').forEach(control => {
+                control.addEventListener('change', () => {
+                    this.updateCandidatePanel(this.currentResult);
+                });
+            });
+            document.getElementById('candidateTable').addEventListener('click', (e) => {
+                const header = e.target.closest('th[data-sort]');
+                const row = e.target.closest('tr[data-rank]');
+                if (header) {
+                    this.sortCandidates(header.dataset.sort);
+                } else if (row && mapView && this.currentResult) {
+                    const station = this.currentResult.stations[Number(row.dataset.rank) - 1];
+                    mapView.highlightStation(station, this.currentResult.origins);
+                    this.highlightedStation = station;
+                }
+            });
+        }
+
+        // 可达性图层（等时圈 / 公平性热力图）
+        const reachabilityLayer = document.getElementById('reachabilityLayer');
+        if (reachabilityLayer) {
+            reachabilityLayer.addEventListener('change', () => {
+                this.updateReachabilityLayer(this.currentResult);
+            });
+        }
+
+        // 取消正在进行的搜索
+        const cancelSearchBtn = document.getElementById('cancelSearchBtn');
+        if (cancelSearchBtn) {
+            cancelSearchBtn.addEventListener('click', () => {
+                this.cancelSearch();
+            });
+        }
+
+        // Esc 取消地图选点
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.pickTarget) {
+                this.cancelMapPick();
+            }
+        });
+
+        // 计算方式默认值
+        const routingMode = document.getElementById('routingMode');
+        if (routingMode) {
+            routingMode.value = CONFIG.ALGORITHM.ROUTING_MODE;
+        }
+
+        // 路线偏好选项
+        const routePolicy = document.getElementById('routePolicy');
+        if (routePolicy) {
+            routePolicy.innerHTML = Object.entries(CONFIG.ROUTE_POLICIES)
+                .map(([name, policy]) => `<option value="${name}">${policy.label}</option>`)
+                .join('');
+            routePolicy.value = CONFIG.ALGORITHM.ROUTE_POLICY;
+        }
+
+        // 场所模式：常用关键词，填写后按钮改为查找场所
+        const venueKeyword = document.getElementById('venueKeyword');
+        const venueSuggestions = document.getElementById('venueSuggestions');
+        if (venueKeyword && venueSuggestions) {
+            venueSuggestions.innerHTML = CONFIG.VENUES.SUGGESTIONS
+                .map(keyword => `<option value="${keyword}">`)
+                .join('');
+            venueKeyword.addEventListener('input', () => this.updateSearchButtonText());
+        }
+
+        // 出行时间：选择"指定时间"时才显示时间输入框
+        const timeMode = document.getElementById('timeMode');
+        const departureTime = document.getElementById('departureTime');
+        if (timeMode && departureTime) {
+            timeMode.addEventListener('change', () => {
+                const needsTime = timeMode.value !== 'now';
+                departureTime.style.display = needsTime ? 'block' : 'none';
+                if (needsTime && !departureTime.value) {
+                    departureTime.value = this.getDefaultDepartureTime();
+                }
+            });
+        }
+
+        // 添加参与者
+        const addParticipantBtn = document.getElementById('addParticipantBtn');
+        if (addParticipantBtn) {
+            addParticipantBtn.addEventListener('click', () => {
+                this.addParticipant();
+            });
+        }
+
+        // 从文件导入出发地
+        const importBtn = document.getElementById('importOriginsBtn');
+        const importFile = document.getElementById('importOriginsFile');
+        if (importBtn && importFile) {
+            importBtn.addEventListener('click', () => {
+                importFile.click();
+            });
+            importFile.addEventListener('change', () => {
+                if (importFile.files[0]) {
+                    this.importOrigins(importFile.files[0]);
+                }
+                importFile.value = '';
+            });
+        }
+
+        // 导出结果
+        document.querySelectorAll('[data-export]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.exportResult(button.dataset.export);
+            });
+        });
+
+        const printReportBtn = document.getElementById('printReportBtn');
+        if (printReportBtn) {
+            printReportBtn.addEventListener('click', () => {
+                this.printReport();
+            });
+        }
+
+        // 清除缓存
+        const clearCacheBtn = document.getElementById('clearCacheBtn');
+        if (clearCacheBtn) {
+            clearCacheBtn.addEventListener('click', () => {
+                if (gaodeAPI.cache) {
+                    gaodeAPI.cache.clear();
+                }
+                this.updateCacheStats();
+            });
+        }
+
+        // 示例地址快速填充（可选）
+        this.addExampleLinks();
+    }
+
+    /**
+     * 处理搜索
+     */
+    async handleSearch() {
+        const pendingStation = this.pendingStation;
+        this.pendingStation = null;
+
+        const inputs = this.getParticipantInputs();
+        const addresses = inputs.map(input => input.value.trim());
+
+        if (addresses.some(address => !address)) {
+            this.showError('请填写每位参与者的出发地点');
+            return;
+        }
+
+        // 已确定坐标的地点按坐标比较（不同地点可能同名，如地图选点逆地理编码到同一条路），其余按文字比较
+        const originKeys = inputs.map((input, i) => {
+            const resolved = this.getResolvedLocation(input);
+            return resolved ? `@${RequestCache.pointKey(resolved)}` : addresses[i];
+        });
+        if (new Set(originKeys).size !== originKeys.length) {
+            this.showError('参与者的出发地点不能相同');
+            return;
+        }
+
+        const departure = this.getDeparture();
+        if (departure.mode !== 'now' && !departure.time) {
+            this.showError('请选择出发或到达时间');
+            return;
+        }
+
+        // 显示加载状态
+        this.setLoading(true);
+        this.hideError();
+        this.hideResults();
+        this.toggleRerunPrompt(false);
+        this.currentResult = null;
+
+        // 取消按钮通过 AbortController 停止排队中的高德请求；新的搜索取代仍在进行的旧搜索
+        this.cancelSearch();
+        this.clearProvisionalRender();
+        const controller = new AbortController();
+        this.searchController = controller;
+        this.updateSearchProgress('正在解析出发地...', 0);
+
+        try {
+            Logger.log('开始搜索:', addresses);
+
+            // 从输入提示选中的地点直接使用其坐标，其余按文字地理编码
+            const query = this.getQueryState();
+
+            // 调用核心算法，计算过程中实时显示进度和临时排名
+            const result = await stationFinder.findMeetingStations(query.places, {
+                routingMode: query.routingMode,
+                policy: query.policy,
+                departure,
+                venue: query.venue,
+                signal: controller.signal,
+                onProgress: event => this.handleSearchProgress(event, controller)
+            });
+
+            // 已被新的搜索取代（如拖动起点后重新查找）：界面状态归新的搜索管理
+            if (this.searchController !== controller) return;
+
+            this.currentResult = result;
+            this.currentQuery = query;
+
+            // 保存到搜索历史
+            this.saveToHistory(addresses, query, result);
+            this.updateCacheStats();
+
+            // 显示结果
+            this.displayResults(result);
+
+            // 在地图上显示
+            if (mapView) {
+                mapView.displaySearchResult(result);
+            }
+
+            // 地址栏同步为当前查询，分享链接指定了站点时选中该站
+            if (!pendingStation || !this.selectStation(pendingStation)) {
+                this.updateUrl();
+            }
+
+            Logger.log('搜索完成:', result);
+
+        } catch (error) {
+            if (this.searchController !== controller) return;
+
+            if (RateLimiter.isAbortError(error)) {
+                // 保留已经显示的临时排名
+                this.showError(this.currentResult
+                    ? `已取消搜索，以下是已完成计算的 ${this.currentResult.stations.length} 个候选的临时排名`
+                    : '已取消搜索');
+            } else {
+                Logger.error('搜索失败:', error);
+                this.showError(error.message || '搜索失败，请检查地址是否正确');
+            }
+        } finally {
+            if (this.searchController === controller) {
+                this.searchController = null;
+                this.setLoading(false);
+                this.hideSearchProgress();
+            }
+        }
+    }
+
+    /**
+     * 取消正在进行的搜索
+     */
+    cancelSearch() {
+        if (this.searchController) {
+            this.searchController.abort();
+        }
+    }
+
+    /**
+     * 处理查找过程中的进度事件（见 StationFinder.findMeetingStations 的 onProgress）
+     * @param {Object} event - 进度事件
+     * @param {AbortController} controller - 发出事件的搜索，已结束或被取消的搜索的事件忽略
+     */
+    handleSearchProgress(event, controller) {
+        if (this.searchController !== controller) return;
+
+        const label = event.stage === 'venues' ? '场所' : '站点';
+
+        if (event.type === 'geocoded') {
+            this.updateSearchProgress('已确定出发地，正在查找候选站点...', 0.05);
+            if (mapView) {
+                mapView.clearAll();
+                mapView.showOrigins(event.origins);
+                mapView.fitToView();
+            }
+        } else if (event.type === 'candidates') {
+            this.updateSearchProgress(`找到 ${event.total} 个候选${label}，正在计算路线...`, 0.1);
+        } else if (event.type === 'evaluated') {
+            this.updateSearchProgress(`已计算 ${event.done}/${event.total} 个候选${label}`, 0.1 + 0.9 * event.done / event.total);
+            if (event.getProvisional) {
+                this.scheduleProvisionalRender(event.getProvisional, controller);
+            }
+        }
+    }
+
+    /**
+     * 临时排名合并刷新：站点陆续完成时最多每 PROVISIONAL_RENDER_INTERVAL 毫秒重绘一次卡片和地图
+     */
+    scheduleProvisionalRender(getProvisional, controller) {
+        this.pendingProvisional = getProvisional;
+        if (this.provisionalTimer) return;
+
+        this.provisionalTimer = setTimeout(() => {
+            this.provisionalTimer = null;
+            if (this.searchController !== controller) return;
+
+            // 临时排名在重绘时才计算
+            this.currentResult = this.pendingProvisional();
+            this.displayResults(this.currentResult, false);
+            if (mapView) {
+                mapView.displaySearchResult(this.currentResult, false);
+            }
+        }, SubwayFinderApp.PROVISIONAL_RENDER_INTERVAL);
+    }
+
+    /**
+     * 丢弃尚未执行的临时排名重绘（新的搜索开始时，避免旧搜索的结果覆盖新的）
+     */
+    clearProvisionalRender() {
+        if (this.provisionalTimer) {
+            clearTimeout(this.provisionalTimer);
+            this.provisionalTimer = null;
+        }
+        this.pendingProvisional = null;
+    }
+
+    /**
+     * 更新搜索进度条
+     * @param {string} text - 进度说明
+     * @param {number} ratio - 0-1
+     */
+    updateSearchProgress(text, ratio) {
+        const progress = document.getElementById('searchProgress');
+        if (!progress) return;
+
+        progress.style.display = 'block';
+        document.getElementById('searchProgressText').textContent = text;
+        document.getElementById('searchProgressFill').style.width = `${Math.round(Math.min(1, ratio) * 100)}%`;
+    }
+
+    hideSearchProgress() {
+        const progress = document.getElementById('searchProgress');
+        if (progress) {
+            progress.style.display = 'none';
+        }
+    }
+
+    /**
+     * 搜索按钮文字随模式变化：填写了场所关键词时为查找场所
+     */
+    updateSearchButtonText() {
+        const venue = document.getElementById('venueKeyword').value.trim();
+        document.querySelector('#searchBtn .btn-text').textContent = venue ? `查找${venue}` : '查找中间站';
+    }
+
+    /**
+     * 读取表单中的查询条件
+     * 从输入提示选中的地点使用其坐标对象，其余为地址文字
+     * @returns {{places: Array<string|Object>, routingMode: string, policy: string, departure: {mode: string, time: string|null}, weights: Object, venue: string|null}}
+     */
+    getQueryState() {
+        const timeMode = document.getElementById('timeMode').value;
+
+        return {
+            places: this.getParticipantInputs().map(input => this.getResolvedLocation(input) || input.value.trim()),
+            routingMode: document.getElementById('routingMode').value,
+            policy: document.getElementById('routePolicy').value,
+            departure: {
+                mode: timeMode,
+                time: timeMode === 'now' ? null : document.getElementById('departureTime').value
+            },
+            weights: stationFinder.scoringModel.getWeights(),
+            venue: document.getElementById('venueKeyword').value.trim() || null
+        };
+    }
+
+    /**
+     * 把查询条件填回表单（分享链接、搜索历史）
+     * @param {Object} query - 结构同 getQueryState，缺省项保持表单现状
+     */
+    applyQueryState(query) {
+        this.setParticipantValues(query.places.map(place => (typeof place === 'string' ? place : place.name)));
+
+        this.getParticipantInputs().forEach((input, index) => {
+            const place = query.places[index];
+            if (place && typeof place === 'object') {
+                this.setResolvedLocation(input, {
+                    name: place.name,
+                    lng: place.lng,
+                    lat: place.lat,
+                    adcode: place.adcode || '',
+                    address: place.address || '',
+                    district: place.district || ''
+                });
+            }
+        });
+
+        if (query.routingMode) {
+            document.getElementById('routingMode').value = query.routingMode;
+        }
+        if (query.policy) {
+            document.getElementById('routePolicy').value = query.policy;
+        }
+
+        if (query.venue !== undefined) {
+            document.getElementById('venueKeyword').value = query.venue || '';
+            this.updateSearchButtonText();
+        }
+
+        if (query.departure) {
+            const timeMode = document.getElementById('timeMode');
+            timeMode.value = query.departure.mode;
+            document.getElementById('departureTime').value = query.departure.time || '';
+            timeMode.dispatchEvent(new Event('change'));
+        }
+
+        if (query.weights) {
+            stationFinder.scoringModel.setWeights(query.weights);
+            this.renderPresetOptions(this.findPresetValue(query.weights));
+            this.updateScoringSliders();
+        }
+    }
+
+    /**
+     * 通过分享链接打开页面时，还原查询并自动搜索
+     */
+    restoreFromUrl() {
+        const query = ShareLink.parse(location.search);
+        if (!query) return;
+
+        Logger.log('从分享链接还原查询:', query);
+        this.applyQueryState(query);
+        this.pendingStation = query.station;
+        this.handleSearch();
+    }
+
+    /**
+     * 当前结果的分享参数：搜索时的查询 + 当前权重 + 选中的站点
+     */
+    getShareQuery(stationName = this.highlightedStation ? this.highlightedStation.name : null) {
+        return {
+            ...this.currentQuery,
+            weights: stationFinder.scoringModel.getWeights(),
+            station: stationName
+        };
+    }
+
+    /**
+     * 把地址栏同步为当前结果的分享链接（不产生新的浏览记录）
+     */
+    updateUrl() {
+        if (!this.currentQuery) return;
+
+        try {
+            history.replaceState(null, '', ShareLink.buildUrl(this.getShareQuery()));
+        } catch (error) {
+            Logger.warn('更新地址栏失败:', error);
+        }
+    }
+
+    /**
+     * 复制某个站点的分享链接
+     */
+    async copyShareLink(stationName, button) {
+        const url = ShareLink.buildUrl(this.getShareQuery(stationName));
+
+        try {
+            await navigator.clipboard.writeText(url);
+            const originalText = button.textContent;
+            button.textContent = '✅ 已复制';
+            setTimeout(() => {
+                button.textContent = originalText;
+            }, 2000);
+        } catch (error) {
+            // 剪贴板不可用（非 HTTPS 等）时让用户手动复制
+            Logger.warn('写入剪贴板失败:', error);
+            prompt('复制下面的链接发送给朋友', url);
+        }
+    }
+
+    /**
+     * 导出当前结果为 GeoJSON / GPX / KML 地理文件或 CSV 对比表
+     * @param {string} format - 'geojson' | 'gpx' | 'kml' | 'csv'
+     */
+    exportResult(format) {
+        if (!this.currentResult) return;
+
+        const exporters = {
+            geojson: { convert: GeoFormats.toGeoJSON, type: 'application/geo+json' },
+            gpx: { convert: GeoFormats.toGPX, type: 'application/gpx+xml' },
+            kml: { convert: GeoFormats.toKML, type: 'application/vnd.google-earth.kml+xml' },
+            csv: { convert: ResultReport.toCSV, type: 'text/csv' }
+        };
+        const exporter = exporters[format];
+        if (!exporter) return;
+
+        const stamp = new Date(this.currentResult.savedAt || Date.now()).toISOString().slice(0, 10);
+        this.downloadFile(`subway-finder-${stamp}.${format}`, exporter.convert(this.currentResult), exporter.type);
+    }
+
+    /**
+     * 在新窗口打开打印报告并调出打印对话框
+     */
+    printReport() {
+        if (!this.currentResult) return;
+
+        const win = window.open('', '_blank');
+        if (!win) {
+            this.showError('浏览器阻止了弹出窗口，请允许本站弹出窗口后重试');
+            return;
+        }
+
+        win.document.write(ResultReport.toHTML(this.currentResult, { baseUrl: location.href }));
+        win.document.close();
+        win.addEventListener('load', () => win.print());
+    }
+
+    /**
+     * 从 GeoJSON / CSV 文件读取出发地，填入参与者输入框后直接查找
+     */
+    async importOrigins(file) {
+        try {
+            const places = GeoFormats.parseOrigins(await file.text(), file.name);
+            if (places.length < CONFIG.MIN_PARTICIPANTS) {
+                throw new Error(`文件中只有 ${places.length} 个出发地，至少需要 ${CONFIG.MIN_PARTICIPANTS} 个`);
+            }
+            if (places.length > CONFIG.MAX_PARTICIPANTS) {
+                Logger.warn(`文件中有 ${places.length} 个出发地，只导入前 ${CONFIG.MAX_PARTICIPANTS} 个`);
+            }
+
+            this.applyQueryState({ places: places.slice(0, CONFIG.MAX_PARTICIPANTS) });
+            this.hideError();
+            this.handleSearch();
+        } catch (error) {
+            Logger.error('导入出发地失败:', error);
+            this.showError(`导入失败：${error.message}`);
+        }
+    }
+
+    /**
+     * 以文件形式下载文本内容
+     */
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * 读取出行时间选项
+     * @returns {{mode: string, time: Date|null}}
+     */
+    getDeparture() {
+        const mode = document.getElementById('timeMode').value;
+        if (mode === 'now') {
+            return { mode, time: null };
+        }
+
+        const value = document.getElementById('departureTime').value;
+        return { mode, time: value ? new Date(value) : null };
+    }
+
+    /**
+     * 时间输入框的默认值：当前时间取整到下一个 15 分钟
+     */
+    getDefaultDepartureTime() {
+        const d = new Date();
+        d.setMinutes(Math.ceil(d.getMinutes() / 15) * 15, 0, 0);
+        const pad = n => String(n).padStart(2, '0');
+        return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+    }
+
+    /**
+     * 显示搜索结果
+     * @param {boolean} scroll - 是否滚动到结果区域（调整权重重排时不滚动）
+     */
+    displayResults(result, scroll = true) {
+        const resultsSection = document.getElementById('resultsSection');
+        const resultsList = document.getElementById('resultsList');
+
+        if (!resultsSection || !resultsList) return;
+
+        // 清空之前的结果
+        resultsList.innerHTML = '';
+        this.highlightedStation = null;
+
+        // 生成结果卡片
+        result.recommendations.forEach((station, index) => {
+            const formatted = stationFinder.formatResultForDisplay(station, index);
+            const card = this.createResultCard(formatted, result, station);
+            resultsList.appendChild(card);
+        });
+
+        // 显示结果区域，临时排名以半透明区分
+        resultsSection.style.display = 'block';
+        resultsSection.classList.toggle('provisional', !!result.provisional);
+        this.updateReachabilityControls(result);
+        this.updateCandidatePanel(result);
+
+        // 滚动到结果
+        if (scroll) {
+            resultsSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }
+
+    /**
+     * 创建结果卡片
+     * @param {Object} stationData - formatResultForDisplay 格式化后的站点
+     * @param {Object} fullResult - 完整查找结果
+     * @param {Object} station - 原始站点（含各人的路线，用于在地图上绘制）
+     */
+    createResultCard(stationData, fullResult, station) {
+        const card = document.createElement('div');
+        card.className = `result-card ${stationData.isBest ? 'best' : ''}`;
+
+        // 站点、场所和地址来自高德、分享链接或搜索历史，写入 HTML 前转义
+        const esc = GeoFormats.escapeXml;
+        card.innerHTML = `
+            ${stationData.isBest ? '<span class="badge">推荐</span>' : ''}
+            <div class="station-name">${esc(stationData.stationName)}</div>
+            ${fullResult.venue ? `
+                <div class="venue-info">
+                    📍 ${esc(stationData.address || fullResult.venue)}${stationData.nearStation ? ` · 距${esc(stationData.nearStation)} ${stationData.distanceToStation} 米` : ''}
+                </div>
+            ` : ''}
+
+            ${stationData.times.map((time, index) => `
+                <div class="time-info">
+                    <span class="time-label">
+                        <span class="origin-dot" style="background: ${StationFinder.getOriginColor(index)};"></span>
+                        ${StationFinder.getOriginLabel(index)} 出发：
+                    </span>
+                    <span class="time-value">
+                        ${time}
+                        ${this.formatScheduleHint(stationData, index, fullResult.departure)}
+                    </span>
+                </div>
+                <div class="route-summary">${esc(stationData.routeSummaries[index] || '')}</div>
+            `).join('')}
+
+            ${stationData.serviceWarnings.map(warning => `
+                <div class="service-warning">⚠️ ${esc(warning)}</div>
+            `).join('')}
+
+            ${stationData.exitAdvice ? `
+                <div class="exit-info">
+                    🚪 建议在 <strong>${esc(stationData.exitAdvice.meeting)}</strong> 碰头
+                    ${stationData.exitAdvice.arrivals.map((exit, index) => `
+                        <span class="exit-arrival">${StationFinder.getOriginLabel(index)} 最近 ${esc(exit)}</span>
+                    `).join('')}
+                </div>
+            ` : ''}
+
+            <div class="total-time">
+                <strong>最长等待：</strong> ${stationData.maxTime} &nbsp;|&nbsp;
+                <strong>时间差：</strong> ${stationData.timeDiff} &nbsp;|&nbsp;
+                <strong>平衡度：</strong> ${stationData.balanceScore}%
+            </div>
+
+            <div class="card-actions">
+                <button type="button" class="btn-itinerary">查看行程</button>
+                <button type="button" class="btn-amenities">周边设施</button>
+                <button type="button" class="btn-share">🔗 复制链接</button>
+                <button type="button" class="btn-star">${favorites.hasStation(station.name) ? '★ 已收藏' : '☆ 收藏站点'}</button>
+            </div>
+            <div class="itinerary" style="display: none;">
+                ${stationData.itineraries.map((itinerary, index) => this.renderItinerary(itinerary, index)).join('')}
+            </div>
+            <div class="amenities" style="display: none;">
+                <div class="amenities-controls">
+                    <select class="amenities-radius">
+                        ${CONFIG.AMENITIES.RADIUS_OPTIONS.map(radius => `
+                            <option value="${radius}" ${radius === CONFIG.AMENITIES.RADIUS ? 'selected' : ''}>${radius} 米内</option>
+                        `).join('')}
+                    </select>
+                    ${Object.entries(CONFIG.AMENITIES.CATEGORIES).map(([key, category]) => `
+                        <label class="amenities-filter">
+                            <input type="checkbox" value="${key}" checked> ${category.icon} ${category.label}
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="amenities-list"></div>
+            </div>
+        `;
+
+        // 行程面板：展开/收起，点击步骤在地图上高亮对应路段（不触发卡片点击）
+        const toggle = card.querySelector('.btn-itinerary');
+        const itinerary = card.querySelector('.itinerary');
+        toggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const expanded = itinerary.style.display === 'none';
+            itinerary.style.display = expanded ? 'block' : 'none';
+            toggle.textContent = expanded ? '收起行程' : '查看行程';
+        });
+        itinerary.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const step = e.target.closest('.itinerary-step');
+            if (step) {
+                this.highlightItineraryStep(card, station, fullResult, step);
+            }
+        });
+
+        // 周边设施面板：展开时查询（切换半径重新查询），分类筛选只影响列表和地图标记
+        const amenitiesBtn = card.querySelector('.btn-amenities');
+        const amenitiesPanel = card.querySelector('.amenities');
+        let amenities = null;
+        const loadAmenities = async () => {
+            amenities = await this.loadStationAmenities(amenitiesPanel, station, fullResult);
+        };
+        amenitiesBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const expanded = amenitiesPanel.style.display === 'none';
+            amenitiesPanel.style.display = expanded ? 'block' : 'none';
+            amenitiesBtn.textContent = expanded ? '收起周边' : '周边设施';
+
+            if (!expanded) {
+                if (mapView) mapView.clearPois();
+            } else if (amenities) {
+                this.renderAmenities(amenitiesPanel, station, fullResult, amenities);
+            } else {
+                loadAmenities();
+            }
+        });
+        amenitiesPanel.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const item = e.target.closest('.amenity-item');
+            if (item && mapView) {
+                mapView.centerTo(parseFloat(item.dataset.lng), parseFloat(item.dataset.lat), 17);
+            }
+        });
+        amenitiesPanel.addEventListener('change', (e) => {
+            if (e.target.classList.contains('amenities-radius')) {
+                loadAmenities();
+            } else if (amenities) {
+                this.renderAmenities(amenitiesPanel, station, fullResult, amenities);
+            }
+        });
+
+        const shareBtn = card.querySelector('.btn-share');
+        shareBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.copyShareLink(station.name, shareBtn);
+        });
+
+        const starBtn = card.querySelector('.btn-star');
+        starBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const starred = favorites.toggleStation(station);
+            starBtn.textContent = starred ? '★ 已收藏' : '☆ 收藏站点';
+            this.renderFavorites();
+        });
+
+        // 点击卡片高亮显示在地图上
+        card.addEventListener('click', () => {
+            this.focusStation(card, station);
+        });
+
+        return card;
+    }
+
+    /**
+     * 选中结果卡片：在地图上绘制该站的路线并同步地址栏
+     */
+    focusStation(card, station) {
+        if (mapView && this.currentResult) {
+            mapView.highlightStation(station, this.currentResult.origins);
+
+            // 滚动到地图
+            document.getElementById('mapView').scrollIntoView({
+                behavior: 'smooth',
+                block: 'center'
+            });
+        }
+        this.highlightedStation = station;
+        this.updateUrl();
+
+        // 视觉反馈
+        document.querySelectorAll('.result-card').forEach(c => {
+            c.style.transform = '';
+        });
+        card.style.transform = 'scale(1.02)';
+    }
+
+    /**
+     * 按名称选中推荐站点
+     * @returns {boolean} 该站是否在推荐列表中
+     */
+    selectStation(name) {
+        // 旧链接中的站点名称可能带"(地铁站)"后缀
+        const target = StationRegistry.normalizeName(name);
+        const index = this.currentResult.recommendations.findIndex(station => StationRegistry.normalizeName(station.name) === target);
+        const card = document.getElementById('resultsList').children[index];
+        if (index === -1 || !card) {
+            Logger.warn(`分享链接中的站点 ${name} 不在本次推荐中`);
+            return false;
+        }
+
+        this.focusStation(card, this.currentResult.recommendations[index]);
+        return true;
+    }
+
+    /**
+     * 渲染一位参与者的逐步行程
+     */
+    renderItinerary(itinerary, originIndex) {
+        const steps = itinerary.steps.length > 0
+            ? itinerary.steps.map(step => `
+                <li class="itinerary-step ${step.type}" data-origin="${originIndex}" data-segment="${step.segmentIndex}">
+                    <span class="step-text">${GeoFormats.escapeXml(step.text)}</span>
+                    <span class="step-time">${step.duration}</span>
+                </li>
+            `).join('')
+            : '<li class="itinerary-empty">暂无详细路线</li>';
+
+        return `
+            <div class="itinerary-origin">
+                <div class="itinerary-header">
+                    <span class="origin-dot" style="background: ${StationFinder.getOriginColor(originIndex)};"></span>
+                    ${StationFinder.getOriginLabel(originIndex)} 出发
+                    <span class="itinerary-meta">${itinerary.duration}${itinerary.fare ? ` · ${itinerary.fare}` : ''}</span>
+                </div>
+                <ol class="itinerary-steps">${steps}</ol>
+            </div>
+        `;
+    }
+
+    /**
+     * 在地图上高亮行程中的某一步
+     * 该站点的路线尚未绘制时先绘制
+     */
+    highlightItineraryStep(card, station, fullResult, stepElement) {
+        if (!mapView || !fullResult) return;
+
+        if (this.highlightedStation !== station) {
+            mapView.highlightStation(station, fullResult.origins);
+            this.highlightedStation = station;
+        }
+
+        const route = station.routes[parseInt(stepElement.dataset.origin)];
+        const segment = route.segments.segments[parseInt(stepElement.dataset.segment)];
+        mapView.highlightSegment(segment);
+
+        card.querySelectorAll('.itinerary-step.active').forEach(el => el.classList.remove('active'));
+        stepElement.classList.add('active');
+    }
+
+    /**
+     * 查询站点周边设施并渲染到面板
+     * 使用默认半径时顺带记录站点的设施密度（评分项"周边设施"使用）
+     * @returns {Promise<Object|null>} 查询结果；查询期间切换了半径时返回 null
+     */
+    async loadStationAmenities(panel, station, fullResult) {
+        const radius = parseInt(panel.querySelector('.amenities-radius').value);
+        panel.querySelector('.amenities-list').innerHTML = '<div class="amenities-empty">正在搜索周边设施...</div>';
+
+        const amenities = await stationFinder.getStationAmenities(station, radius);
+        if (parseInt(panel.querySelector('.amenities-radius').value) !== radius) return null;
+
+        if (radius === CONFIG.AMENITIES.RADIUS) {
+            station.amenityScore = amenities.score;
+        }
+        this.renderAmenities(panel, station, fullResult, amenities);
+        return amenities;
+    }
+
+    /**
+     * 按勾选的分类渲染设施列表，并在地图上显示对应标记
+     */
+    renderAmenities(panel, station, fullResult, amenities) {
+        const selected = Array.from(panel.querySelectorAll('.amenities-filter input:checked'))
+            .map(input => input.value);
+
+        const esc = GeoFormats.escapeXml;
+        const groups = selected.map(key => {
+            const category = CONFIG.AMENITIES.CATEGORIES[key];
+            const { count, pois } = amenities.categories[key];
+            return `
+                <div class="amenities-group">
+                    <div class="amenities-group-title" style="color: ${category.color};">
+                        ${category.icon} ${category.label} <span class="amenities-count">${count} 处</span>
+                    </div>
+                    ${pois.map(poi => `
+                        <div class="amenity-item" data-lng="${poi.lng}" data-lat="${poi.lat}" title="${esc(poi.address || '')}">
+                            <span class="amenity-name">${esc(poi.name)}</span>
+                            <span class="amenity-distance">${poi.distance} 米</span>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+
+        panel.querySelector('.amenities-list').innerHTML = `
+            <div class="amenities-summary">
+                ${amenities.radius} 米内共 ${amenities.total} 处设施 · 设施密度 ${amenities.score} 分
+            </div>
+            ${groups || '<div class="amenities-empty">请选择设施分类</div>'}
+        `;
+
+        if (!mapView || !fullResult) return;
+
+        // 设施标记跟随所属站点：该站的路线尚未绘制时先绘制
+        if (this.highlightedStation !== station) {
+            mapView.highlightStation(station, fullResult.origins);
+            this.highlightedStation = station;
+        }
+        mapView.showPois(selected.flatMap(key => amenities.categories[key].pois));
+    }
+
+    /**
+     * 时间行后的时刻提示：指定出发时显示到达时刻，指定到达时显示最晚出发时刻
+     */
+    formatScheduleHint(stationData, index, departure) {
+        if (!departure || departure.mode === 'now') return '';
+
+        if (departure.mode === 'arrive') {
+            return `<span class="time-hint">最晚 ${stationData.departTimes[index]} 出发</span>`;
+        }
+        return `<span class="time-hint">${stationData.arriveTimes[index]} 到达</span>`;
+    }
+
+    /**
+     * 设置加载状态
+     */
+    setLoading(isLoading) {
+        const searchBtn = document.getElementById('searchBtn');
+        const btnText = searchBtn.querySelector('.btn-text');
+        const btnLoading = searchBtn.querySelector('.btn-loading');
+
+        if (isLoading) {
+            searchBtn.disabled = true;
+            btnText.style.display = 'none';
+            btnLoading.style.display = 'inline';
+        } else {
+            searchBtn.disabled = false;
+            btnText.style.display = 'inline';
+            btnLoading.style.display = 'none';
+        }
+    }
+
+    /**
+     * 显示错误信息
+     */
+    showError(message) {
+        const errorDiv = document.getElementById('errorMessage');
+        if (errorDiv) {
+            errorDiv.textContent = message;
+            errorDiv.style.display = 'block';
+
+            // 自动隐藏
+            setTimeout(() => {
+                this.hideError();
+            }, 5000);
+        }
+    }
+
+    /**
+     * 隐藏错误信息
+     */
+    hideError() {
+        const errorDiv = document.getElementById('errorMessage');
+        if (errorDiv) {
+            errorDiv.style.display = 'none';
+        }
+    }
+
+    /**
+     * 隐藏结果
+     */
+    hideResults() {
+        const resultsSection = document.getElementById('resultsSection');
+        if (resultsSection) {
+            resultsSection.style.display = 'none';
+        }
+
+        const mapLayers = document.getElementById('mapLayers');
+        if (mapLayers) {
+            mapLayers.style.display = 'none';
+        }
+        if (mapView) {
+            mapView.clearReachability();
+            mapView.clearCandidates();
+        }
+    }
+
+    /**
+     * 全部候选：已评估的站点（按当前排名）+ 未能参与排名的候选
+     * @returns {Array<Object>} {station, rank, lines, district, failure}，失败的候选 rank 为 null
+     */
+    getCandidateRows(result) {
+        const toRow = (station, rank) => ({
+            station,
+            rank,
+            lines: stationFinder.getStationLines(station),
+            district: station.district || '',
+            failure: station.failure || null
+        });
+
+        return result.stations.map((station, index) => toRow(station, index + 1))
+            .concat((result.failed || []).map(station => toRow(station, null)));
+    }
+
+    /**
+     * 刷新全部候选面板：筛选项、表格和地图图层（面板收起时只更新摘要）
+     */
+    updateCandidatePanel(result) {
+        const panel = document.getElementById('candidatePanel');
+        if (!panel || !result) return;
+
+        const rows = this.getCandidateRows(result);
+        const failedCount = rows.filter(row => row.failure).length;
+        document.getElementById('candidateSummary').textContent =
+            `已评估 ${result.stations.length} 个${failedCount > 0 ? `，未参与排名 ${failedCount} 个` : ''}`;
+
+        // 筛选项随结果变化，保留仍然有效的选择
+        const setOptions = (select, allLabel, values) => {
+            const selected = select.value;
+            select.innerHTML = `<option value="">${allLabel}</option>` +
+                values.map(value => `<option value="${GeoFormats.escapeXml(value)}">${GeoFormats.escapeXml(value)}</option>`).join('');
+            select.value = values.includes(selected) ? selected : '';
+        };
+        const byName = (a, b) => a.localeCompare(b, 'zh-CN', { numeric: true });
+        setOptions(document.getElementById('candidateLine'), '全部线路',
+            Array.from(new Set(rows.flatMap(row => row.lines))).sort(byName));
+        setOptions(document.getElementById('candidateDistrict'), '全部区',
+            Array.from(new Set(rows.map(row => row.district).filter(district => district))).sort(byName));
+
+        const showOnMap = document.getElementById('candidateMapToggle').checked;
+        if (mapView) {
+            if (showOnMap) {
+                mapView.showCandidates(result.stations, result.failed || []);
+            } else {
+                mapView.clearCandidates();
+            }
+        }
+
+        if (panel.open) {
+            this.renderCandidateTable(result, rows);
+        }
+    }
+
+    /**
+     * 按当前筛选和排序渲染全部候选表格
+     * 失败的候选没有耗时，排序时始终排在已评估的站点之后
+     */
+    renderCandidateTable(result, rows) {
+        const line = document.getElementById('candidateLine').value;
+        const district = document.getElementById('candidateDistrict').value;
+        const status = document.getElementById('candidateStatus').value;
+        const labels = result.origins.map((origin, index) => StationFinder.getOriginLabel(index));
+        const { key, asc } = this.candidateSort;
+
+        const filtered = rows.filter(row => (
+            (!line || row.lines.includes(line)) &&
+            (!district || row.district === district) &&
+            (!status || (status === 'evaluated' ? !row.failure : row.failure && row.failure.type === status))
+        ));
+
+        const sorted = filtered.slice().sort((a, b) => {
+            if (!a.failure !== !b.failure) return a.failure ? 1 : -1;
+            const valueA = SubwayFinderApp.getCandidateSortValue(a, key);
+            const valueB = SubwayFinderApp.getCandidateSortValue(b, key);
+            if (valueA === valueB) return 0;
+            if (valueA === null) return 1;
+            if (valueB === null) return -1;
+            const order = typeof valueA === 'number'
+                ? valueA - valueB
+                : String(valueA).localeCompare(String(valueB), 'zh-CN', { numeric: true });
+            return asc ? order : -order;
+        });
+
+        const columns = [
+            { key: 'rank', label: '排名' },
+            { key: 'name', label: '站点' },
+            { key: 'line', label: '线路' },
+            { key: 'district', label: '区' },
+            ...labels.map((label, index) => ({ key: `time:${index}`, label: `${label} 耗时` })),
+            { key: 'maxTime', label: '最长' },
+            { key: 'timeDiff', label: '时间差' },
+            { key: 'balance', label: '平衡度' },
+            { key: 'score', label: '得分' },
+            { key: 'source', label: '来源 / 原因' }
+        ];
+        const header = columns.map(column => `
+            <th data-sort="${column.key}" class="${column.key === key ? (asc ? 'sorted-asc' : 'sorted-desc') : ''}">${column.label}</th>
+        `).join('');
+
+        const esc = GeoFormats.escapeXml;
+        const body = sorted.map(row => {
+            const station = row.station;
+            const common = `
+                <td>${row.rank || '—'}</td>
+                <td>${esc(station.name)}</td>
+                <td>${esc(row.lines.join('、') || '—')}</td>
+                <td>${esc(row.district || '—')}</td>
+            `;
+            if (row.failure) {
+                return `
+                    <tr class="failed">
+                        ${common}
+                        <td colspan="${labels.length + 4}">—</td>
+                        <td title="${esc(row.failure.reason)}">${StationFinder.FAILURE_TYPES[row.failure.type]}：${esc(row.failure.reason)}</td>
+                    </tr>
+                `;
+            }
+            return `
+                <tr data-rank="${row.rank}">
+                    ${common}
+                    ${station.times.map(time => `<td>${GaodeAPI.formatDuration(time)}</td>`).join('')}
+                    <td>${GaodeAPI.formatDuration(station.maxTime)}</td>
+                    <td>${GaodeAPI.formatDuration(station.timeDiff)}</td>
+                    <td>${Math.round(station.balanceScore)}%</td>
+                    <td>${typeof station.score === 'number' ? Math.round(station.score) : '—'}</td>
+                    <td>${StationFinder.SOURCE_LABELS[station.source] || station.source || '—'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        document.getElementById('candidateTable').innerHTML = `
+            <thead><tr>${header}</tr></thead>
+            <tbody>${body || `<tr><td colspan="${columns.length}" class="candidate-empty">没有符合条件的候选</td></tr>`}</tbody>
+        `;
+    }
+
+    /**
+     * 点击表头排序：同一列再次点击时反向；平衡度默认从高到低，其余从小到大
+     */
+    sortCandidates(key) {
+        this.candidateSort = this.candidateSort.key === key
+            ? { key, asc: !this.candidateSort.asc }
+            : { key, asc: key !== 'balance' };
+        this.updateCandidatePanel(this.currentResult);
+    }
+
+    /**
+     * 打开全部候选面板时查询所在区（结果中的站点多数没有所在区），完成后刷新表格
+     */
+    async loadCandidateDistricts() {
+        const result = this.currentResult;
+        if (!result) return;
+
+        this.updateCandidatePanel(result);
+        await stationFinder.loadStationDistricts(result.stations.concat(result.failed || []));
+        if (this.currentResult === result) {
+            this.updateCandidatePanel(result);
+        }
+    }
+
+    /**
+     * 全部候选表格中某一列的排序值，没有值时为 null
+     */
+    static getCandidateSortValue(row, key) {
+        const station = row.station;
+        if (key.startsWith('time:')) {
+            return station.times ? station.times[Number(key.slice(5))] : null;
+        }
+
+        const values = {
+            rank: row.rank,
+            name: station.name,
+            line: row.lines[0] || null,
+            district: row.district || null,
+            maxTime: row.failure ? null : station.maxTime,
+            timeDiff: row.failure ? null : station.timeDiff,
+            balance: row.failure ? null : station.balanceScore,
+            score: typeof station.score === 'number' ? station.score : null,
+            source: station.source || null
+        };
+        return values[key] === undefined ? null : values[key];
+    }
+
+    /**
+     * 按结果的出发地生成可达性图层选项（保留仍然有效的当前选择），并刷新图层
+     */
+    updateReachabilityControls(result) {
+        const mapLayers = document.getElementById('mapLayers');
+        const select = document.getElementById('reachabilityLayer');
+        if (!mapLayers || !select) return;
+
+        const selected = select.value;
+        const options = [
+            { value: '', label: '不显示可达性' },
+            ...result.origins.map((origin, index) => ({
+                value: `isochrone:${index}`,
+                label: `${StationFinder.getOriginLabel(index)} 的等时圈`
+            })),
+            { value: 'maxTime', label: '公平性：最长耗时' },
+            { value: 'timeDiff', label: '公平性：时间差' }
+        ];
+
+        select.innerHTML = options.map(option => `<option value="${option.value}">${option.label}</option>`).join('');
+        select.value = options.some(option => option.value === selected) ? selected : '';
+        mapLayers.style.display = 'block';
+
+        this.updateReachabilityLayer(result);
+    }
+
+    /**
+     * 按选择显示可达性图层和图例
+     * 全网耗时按出发地缓存，调整权重、刷新临时排名时不重复计算
+     */
+    updateReachabilityLayer(result) {
+        const select = document.getElementById('reachabilityLayer');
+        const legend = document.getElementById('reachabilityLegend');
+        if (!select || !legend) return;
+
+        const [metric, originIndex] = select.value.split(':');
+        if (!metric || !result || !mapView) {
+            legend.innerHTML = '';
+            if (mapView) {
+                mapView.clearReachability();
+            }
+            return;
+        }
+
+        if (!this.reachability || this.reachability.origins !== result.origins) {
+            this.reachability = {
+                origins: result.origins,
+                stations: stationFinder.calculateReachability(result.origins)
+            };
+        }
+        mapView.showReachability(this.reachability.stations, metric, Number(originIndex) || 0);
+
+        const levels = CONFIG.REACHABILITY.LEVELS[metric];
+        const labels = levels.map((level, index) => (index === 0 ? `≤${level}` : `${levels[index - 1]}-${level}`))
+            .concat(`>${levels[levels.length - 1]}`);
+        legend.innerHTML = labels.map((label, index) => `
+            <span class="legend-item"><span class="legend-swatch" style="background: ${CONFIG.REACHABILITY.COLORS[index]};"></span>${label}</span>
+        `).join('') + '<span class="legend-unit">分钟（路网估算）</span>';
+    }
+
+    /**
+     * 保存搜索历史
+     * @param {string[]} addresses - 所有参与者的地址
+     * @param {Object} query - 完整查询条件（见 getQueryState）
+     * @param {Object} result - 查询结果，点击历史时直接还原
+     */
+    saveToHistory(addresses, query = null, result = null) {
+        searchHistory.add(addresses, query, result);
+        this.updateHistoryDisplay();
+    }
+
+    /**
+     * 初始化搜索历史：搜索框和每条记录的操作按钮（事件委托）
+     */
+    initHistoryPanel() {
+        const historyList = document.getElementById('historyList');
+        const historySearch = document.getElementById('historySearch');
+        if (!historyList) return;
+
+        historyList.addEventListener('click', (e) => {
+            const row = e.target.closest('.history-item');
+            const actionEl = e.target.closest('[data-action]');
+            if (!row || !actionEl) return;
+
+            const entry = searchHistory.get(row.dataset.id);
+            if (!entry) return;
+
+            const action = actionEl.dataset.action;
+            if (action === 'restore') {
+                this.restoreHistory(entry);
+            } else if (action === 'refresh') {
+                this.refreshHistory(entry);
+            } else if (action === 'pin') {
+                searchHistory.togglePin(entry.id);
+                this.updateHistoryDisplay();
+            } else if (action === 'delete') {
+                searchHistory.remove(entry.id);
+                this.updateHistoryDisplay();
+            }
+        });
+
+        if (historySearch) {
+            historySearch.addEventListener('input', () => {
+                this.updateHistoryDisplay();
+            });
+        }
+
+        this.updateHistoryDisplay();
+    }
+
+    /**
+     * 更新历史记录显示
+     */
+    updateHistoryDisplay() {
+        const historySection = document.getElementById('searchHistory');
+        const historyList = document.getElementById('historyList');
+        const historySearch = document.getElementById('historySearch');
+
+        if (!historySection || !historyList) return;
+
+        if (searchHistory.getEntries().length === 0) {
+            historySection.style.display = 'none';
+            return;
+        }
+
+        historySection.style.display = 'block';
+
+        // 地址和场所可能来自分享链接，写入 HTML 前转义
+        const esc = GeoFormats.escapeXml;
+        const entries = searchHistory.search(historySearch ? historySearch.value : '');
+        historyList.innerHTML = entries.length > 0
+            ? entries.map(entry => `
+                <div class="history-item ${entry.pinned ? 'pinned' : ''}" data-id="${esc(entry.id)}">
+                    <div class="history-main" data-action="restore" title="${entry.result ? '还原结果' : '填入并重新查询'}">
+                        <div class="history-addresses">${esc(entry.addresses.join(' · '))}</div>
+                        <div class="history-meta">${esc(this.formatHistoryMeta(entry))}</div>
+                    </div>
+                    <button type="button" class="btn-icon ${entry.pinned ? 'active' : ''}" data-action="pin" title="${entry.pinned ? '取消置顶' : '置顶'}">📌</button>
+                    <button type="button" class="btn-icon" data-action="refresh" title="重新查询">↻</button>
+                    <button type="button" class="btn-icon" data-action="delete" title="删除">×</button>
+                </div>
+            `).join('')
+            : '<div class="favorite-empty">没有匹配的记录</div>';
+    }
+
+    /**
+     * 历史记录的说明行：搜索时间和当时的推荐站点
+     */
+    formatHistoryMeta(entry) {
+        const d = new Date(entry.timestamp);
+        const date = `${d.getMonth() + 1}月${d.getDate()}日 ${StationFinder.formatClock(entry.timestamp)}`;
+        const best = entry.result && entry.result.stations[0];
+        const venue = entry.query && entry.query.venue ? ` · ${entry.query.venue}` : '';
+        return best ? `${date}${venue} · 推荐 ${best.name}` : `${date}${venue}`;
+    }
+
+    /**
+     * 还原历史记录：有保存结果时直接显示，不发起请求；否则填入条件重新查询
+     */
+    restoreHistory(entry) {
+        const result = searchHistory.restoreResult(entry);
+        if (!result) {
+            this.refreshHistory(entry);
+            return;
+        }
+
+        if (entry.query) {
+            this.applyQueryState(entry.query);
+        } else {
+            this.setParticipantValues(entry.addresses);
+        }
+
+        this.hideError();
+        this.toggleRerunPrompt(false);
+        this.currentResult = result;
+        this.currentQuery = entry.query;
+
+        this.displayResults(result);
+        if (mapView) {
+            mapView.displaySearchResult(result);
+        }
+        this.updateUrl();
+
+        Logger.log('已从历史记录还原结果:', result);
+    }
+
+    /**
+     * 按历史记录的条件重新查询（旧记录只有地址时仅填入地址）
+     */
+    refreshHistory(entry) {
+        if (entry.query) {
+            this.applyQueryState(entry.query);
+            this.handleSearch();
+        } else {
+            this.setParticipantValues(entry.addresses);
+        }
+    }
+
+    /**
+     * 获取所有参与者输入框（按 A、B、C... 顺序）
+     */
+    getParticipantInputs() {
+        return Array.from(document.querySelectorAll('#participantList .participant-input'));
+    }
+
+    /**
+     * 添加一个参与者输入框
+     * @param {string} value - 初始地址
+     * @returns {HTMLInputElement|null} 新建的输入框
+     */
+    addParticipant(value = '') {
+        const participantList = document.getElementById('participantList');
+        if (!participantList) return null;
+
+        if (this.getParticipantInputs().length >= CONFIG.MAX_PARTICIPANTS) {
+            this.showError(`最多支持 ${CONFIG.MAX_PARTICIPANTS} 位参与者`);
+            return null;
+        }
+
+        this.participantSeq++;
+        const inputId = `participant${this.participantSeq}`;
+        const dropdownId = `${inputId}Dropdown`;
+
+        const group = document.createElement('div');
+        group.className = 'input-group participant-group';
+        group.innerHTML = `
+            <label for="${inputId}"></label>
+            <button type="button" class="btn-remove-participant" title="移除该参与者">×</button>
+            <div class="autocomplete-wrapper">
+                <input
+                    type="text"
+                    id="${inputId}"
+                    class="participant-input"
+                    placeholder="例如：人民广场"
+                    required
+                    autocomplete="off"
+                >
+                <div class="autocomplete-dropdown" id="${dropdownId}" style="display: none;">
+                    <div class="autocomplete-loading" style="display: none;">搜索中...</div>
+                    <div class="autocomplete-list"></div>
+                    <div class="autocomplete-empty" style="display: none;">未找到匹配地点</div>
+                </div>
+            </div>
+            <div class="participant-actions">
+                <button type="button" class="btn-link btn-locate">📍 我的位置</button>
+                <button type="button" class="btn-link btn-pick">🗺️ 地图选点</button>
+            </div>
+        `;
+
+        group.querySelector('.btn-remove-participant').addEventListener('click', () => {
+            this.removeParticipant(inputId);
+        });
+
+        participantList.appendChild(group);
+        this.initAutoComplete(inputId, dropdownId);
+        this.initParticipantActions(inputId);
+
+        const input = document.getElementById(inputId);
+        input.value = value;
+
+        this.relabelParticipants();
+        return input;
+    }
+
+    /**
+     * 移除一个动态添加的参与者输入框
+     */
+    removeParticipant(inputId) {
+        const input = document.getElementById(inputId);
+        if (!input) return;
+
+        if (this.pickTarget === input) {
+            this.cancelMapPick();
+        }
+
+        input.closest('.participant-group').remove();
+        delete this.autoCompleteControllers[inputId];
+
+        this.relabelParticipants();
+        this.refreshOriginMarkers();
+    }
+
+    /**
+     * 按当前顺序重新设置参与者标签
+     */
+    relabelParticipants() {
+        const inputs = this.getParticipantInputs();
+
+        inputs.forEach((input, index) => {
+            const label = input.closest('.participant-group').querySelector('label');
+            label.textContent = `参与者 ${StationFinder.getOriginLabel(index)}`;
+        });
+
+        const addParticipantBtn = document.getElementById('addParticipantBtn');
+        if (addParticipantBtn) {
+            addParticipantBtn.disabled = inputs.length >= CONFIG.MAX_PARTICIPANTS;
+        }
+    }
+
+    /**
+     * 绑定参与者的"我的位置"和"地图选点"按钮
+     */
+    initParticipantActions(inputId) {
+        const input = document.getElementById(inputId);
+        if (!input) return;
+
+        const group = input.closest('.participant-group');
+        const locateBtn = group.querySelector('.btn-locate');
+        const pickBtn = group.querySelector('.btn-pick');
+
+        if (locateBtn) {
+            locateBtn.addEventListener('click', () => {
+                this.locateParticipant(input, locateBtn);
+            });
+        }
+
+        if (pickBtn) {
+            pickBtn.addEventListener('click', () => {
+                this.startMapPick(input);
+            });
+        }
     }
 
     /**
-     * 绑定事件监听
+     * 使用浏览器定位设置参与者的出发地
      */
-    bindEvents() {
-        // 表单提交
-        const searchForm = document.getElementById('searchForm');
-        if (searchForm) {
-            searchForm.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.handleSearch();
-            });
+    locateParticipant(input, button) {
+        if (!navigator.geolocation) {
+            this.showError('当前浏览器不支持定位');
+            return;
         }
 
-        // 初始化自动补全功能
-        this.initAutoComplete('startPoint', 'startPointDropdown');
-        this.initAutoComplete('endPoint', 'endPointDropdown');
+        const originalText = button.textContent;
+        button.disabled = true;
+        button.textContent = '定位中...';
 
-        // 示例地址快速填充（可选）
-        this.addExampleLinks();
+        const done = () => {
+            button.disabled = false;
+            button.textContent = originalText;
+        };
+
+        navigator.geolocation.getCurrentPosition(async (position) => {
+            try {
+                // 浏览器返回 GPS 坐标，需转换为高德坐标
+                const location = await gaodeAPI.convertFromGps({
+                    lng: position.coords.longitude,
+                    lat: position.coords.latitude
+                });
+                await this.setParticipantLocation(input, location);
+
+                if (mapView) {
+                    mapView.centerTo(location.lng, location.lat);
+                }
+            } catch (error) {
+                Logger.error('定位失败:', error);
+                this.showError('定位失败，请手动输入地址');
+            } finally {
+                done();
+            }
+        }, (error) => {
+            Logger.warn('获取当前位置失败:', error);
+            this.showError(error.code === error.PERMISSION_DENIED
+                ? '未获得定位权限，请在浏览器设置中允许定位'
+                : '无法获取当前位置，请手动输入地址');
+            done();
+        }, {
+            enableHighAccuracy: true,
+            timeout: 10000
+        });
     }
 
     /**
-     * 处理搜索
+     * 进入地图选点模式，下一次点击地图设置该参与者的出发地
      */
-    async handleSearch() {
-        const startInput = document.getElementById('startPoint');
-        const endInput = document.getElementById('endPoint');
-
-        const startAddress = startInput.value.trim();
-        const endAddress = endInput.value.trim();
-
-        if (!startAddress || !endAddress) {
-            this.showError('请输入起点和终点');
+    startMapPick(input) {
+        if (!mapView) {
+            this.showError('地图尚未加载完成');
             return;
         }
 
-        if (startAddress === endAddress) {
-            this.showError('起点和终点不能相同');
-            return;
+        this.pickTarget = input;
+        mapView.setPicking(true);
+
+        const index = this.getParticipantInputs().indexOf(input);
+        const hint = document.getElementById('mapPickHint');
+        if (hint) {
+            hint.textContent = `点击地图设置参与者 ${StationFinder.getOriginLabel(index)} 的出发地（Esc 取消）`;
+            hint.style.display = 'block';
         }
 
-        // 显示加载状态
-        this.setLoading(true);
-        this.hideError();
-        this.hideResults();
+        document.getElementById('mapView').scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
 
-        try {
-            Logger.log('开始搜索:', startAddress, '->', endAddress);
+    /**
+     * 退出地图选点模式
+     */
+    cancelMapPick() {
+        this.pickTarget = null;
+        if (mapView) {
+            mapView.setPicking(false);
+        }
 
-            // 调用核心算法
-            const result = await stationFinder.findMiddleStations(
-                startAddress,
-                endAddress
-            );
+        const hint = document.getElementById('mapPickHint');
+        if (hint) {
+            hint.style.display = 'none';
+        }
+    }
 
-            this.currentResult = result;
+    /**
+     * 处理地图点击：选点模式下设置出发地
+     */
+    async handleMapPick(location) {
+        if (!this.pickTarget) return;
 
-            // 保存到搜索历史
-            this.saveToHistory(startAddress, endAddress);
+        const input = this.pickTarget;
+        this.cancelMapPick();
+        await this.setParticipantLocation(input, location);
+    }
 
-            // 显示结果
-            this.displayResults(result);
+    /**
+     * 处理拖动起点标记：更新对应输入框，已有结果时提示重新查找
+     */
+    async handleOriginMoved(index, location) {
+        const input = this.getParticipantInputs()[index];
+        if (!input) return;
 
-            // 在地图上显示
-            if (mapView) {
-                mapView.displaySearchResult(result);
-            }
+        await this.setParticipantLocation(input, location);
 
-            Logger.log('搜索完成:', result);
+        if (this.currentResult) {
+            this.toggleRerunPrompt(true);
+        }
+    }
 
+    /**
+     * 按坐标设置参与者的出发地：逆地理编码得到名称，并记录为已确定的地点
+     */
+    async setParticipantLocation(input, location) {
+        let place;
+        try {
+            place = await gaodeAPI.reverseGeocode(location);
         } catch (error) {
-            Logger.error('搜索失败:', error);
-            this.showError(error.message || '搜索失败，请检查地址是否正确');
-        } finally {
-            this.setLoading(false);
+            Logger.warn('逆地理编码失败，使用坐标作为名称:', error.message);
+            place = await RoutingProvider.prototype.reverseGeocode(location);
         }
+
+        input.value = place.name;
+        this.setResolvedLocation(input, {
+            name: place.name,
+            lng: location.lng,
+            lat: location.lat,
+            adcode: place.adcode,
+            address: place.formattedAddress,
+            district: place.district
+        });
     }
 
     /**
-     * 显示搜索结果
+     * 在地图上显示各参与者当前的出发地
+     * 已确定坐标的用其坐标，否则沿用上次搜索中同名起点的坐标
      */
-    displayResults(result) {
-        const resultsSection = document.getElementById('resultsSection');
-        const resultsList = document.getElementById('resultsList');
-
-        if (!resultsSection || !resultsList) return;
+    refreshOriginMarkers() {
+        if (!mapView) return;
 
-        // 清空之前的结果
-        resultsList.innerHTML = '';
+        const origins = this.getParticipantInputs().map((input, index) => {
+            const resolved = this.getResolvedLocation(input);
+            if (resolved) return resolved;
 
-        // 生成结果卡片
-        result.recommendations.forEach((station, index) => {
-            const formatted = stationFinder.formatResultForDisplay(station, index);
-            const card = this.createResultCard(formatted, result);
-            resultsList.appendChild(card);
+            const searched = this.currentResult && this.currentResult.origins[index];
+            return searched && searched.address === input.value.trim() ? searched : null;
         });
 
-        // 显示结果区域
-        resultsSection.style.display = 'block';
+        mapView.showOrigins(origins);
+    }
 
-        // 滚动到结果
-        resultsSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    /**
+     * 显示/隐藏"重新查找"提示
+     */
+    toggleRerunPrompt(visible) {
+        const prompt = document.getElementById('rerunPrompt');
+        if (prompt) {
+            prompt.style.display = visible ? 'block' : 'none';
+        }
     }
 
     /**
-     * 创建结果卡片
+     * 按地址列表填充参与者输入框，自动增减输入框数量
      */
-    createResultCard(stationData, fullResult) {
-        const card = document.createElement('div');
-        card.className = `result-card ${stationData.isBest ? 'best' : ''}`;
+    setParticipantValues(addresses) {
+        let inputs = this.getParticipantInputs();
 
-        card.innerHTML = `
-            ${stationData.isBest ? '<span class="badge">推荐</span>' : ''}
-            <div class="station-name">${stationData.stationName}</div>
+        // 移除多余的动态输入框（前两个固定输入框保留）
+        inputs.slice(Math.max(addresses.length, CONFIG.MIN_PARTICIPANTS)).forEach(input => {
+            this.removeParticipant(input.id);
+        });
 
-            <div class="time-info">
-                <span class="time-label">从起点出发：</span>
-                <span class="time-value">${stationData.timeFromStart}</span>
-            </div>
+        // 补齐不足的输入框
+        while (this.getParticipantInputs().length < addresses.length) {
+            if (!this.addParticipant()) break;
+        }
 
-            <div class="time-info">
-                <span class="time-label">从终点出发：</span>
-                <span class="time-value">${stationData.timeToEnd}</span>
-            </div>
+        inputs = this.getParticipantInputs();
+        inputs.forEach((input, index) => {
+            input.value = addresses[index] || '';
+            this.clearResolvedLocation(input);
+        });
+    }
 
-            <div class="total-time">
-                <strong>最长等待：</strong> ${stationData.maxTime} &nbsp;|&nbsp;
-                <strong>时间差：</strong> ${stationData.timeDiff} &nbsp;|&nbsp;
-                <strong>平衡度：</strong> ${stationData.balanceScore}%
+    /**
+     * 初始化评分权重面板：预设下拉框和每个评分项的滑块
+     */
+    initScoringPanel() {
+        const presetSelect = document.getElementById('scoringPreset');
+        const slidersEl = document.getElementById('scoringSliders');
+        if (!presetSelect || !slidersEl) return;
+
+        slidersEl.innerHTML = ScoringModel.CRITERIA.map(criterion => `
+            <div class="scoring-slider" title="${criterion.description}">
+                <label for="weight-${criterion.key}">${criterion.label}</label>
+                <input
+                    type="range"
+                    id="weight-${criterion.key}"
+                    data-key="${criterion.key}"
+                    min="0"
+                    max="${CONFIG.SCORING.MAX_WEIGHT}"
+                    step="${CONFIG.SCORING.WEIGHT_STEP}"
+                >
+                <span class="scoring-weight"></span>
             </div>
-        `;
-
-        // 点击卡片高亮显示在地图上
-        card.addEventListener('click', () => {
-            if (mapView && fullResult) {
-                mapView.highlightStation(
-                    stationData.location,
-                    fullResult.startLocation,
-                    fullResult.endLocation
-                );
+        `).join('');
+
+        slidersEl.querySelectorAll('input[type="range"]').forEach(slider => {
+            slider.addEventListener('input', () => {
+                stationFinder.scoringModel.setWeight(slider.dataset.key, slider.value);
+                presetSelect.value = '';
+                this.updateScoringSliders();
+                this.applyScoring();
+            });
+        });
 
-                // 滚动到地图
-                document.getElementById('mapView').scrollIntoView({
-                    behavior: 'smooth',
-                    block: 'center'
-                });
-            }
+        presetSelect.addEventListener('change', () => {
+            const weights = this.getPresetWeights(presetSelect.value);
+            if (!weights) return;
 
-            // 视觉反馈
-            document.querySelectorAll('.result-card').forEach(c => {
-                c.style.transform = '';
-            });
-            card.style.transform = 'scale(1.02)';
+            stationFinder.scoringModel.setWeights(weights);
+            this.updateScoringSliders();
+            this.applyScoring();
         });
 
-        return card;
+        const saveBtn = document.getElementById('saveScoringPresetBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.saveScoringPreset());
+        }
+
+        const deleteBtn = document.getElementById('deleteScoringPresetBtn');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => this.deleteScoringPreset());
+        }
+
+        this.renderPresetOptions(CONFIG.SCORING.DEFAULT_PRESET);
+        this.updateScoringSliders();
     }
 
     /**
-     * 设置加载状态
+     * 渲染预设下拉框：内置预设 + 用户预设（值带 custom: 前缀）
+     * @param {string} selected - 选中的值，空字符串表示"自定义"
      */
-    setLoading(isLoading) {
-        const searchBtn = document.getElementById('searchBtn');
-        const btnText = searchBtn.querySelector('.btn-text');
-        const btnLoading = searchBtn.querySelector('.btn-loading');
+    renderPresetOptions(selected) {
+        const presetSelect = document.getElementById('scoringPreset');
+        if (!presetSelect) return;
+
+        const builtin = Object.entries(CONFIG.SCORING.PRESETS)
+            .map(([name, preset]) => `<option value="${name}">${preset.label}</option>`);
+        const custom = Object.keys(this.customPresets)
+            .map(name => `<option value="custom:${GeoFormats.escapeXml(name)}">${GeoFormats.escapeXml(name)}</option>`);
+
+        presetSelect.innerHTML = [
+            '<option value="">自定义</option>',
+            ...builtin,
+            ...custom
+        ].join('');
+        presetSelect.value = selected;
+
+        const deleteBtn = document.getElementById('deleteScoringPresetBtn');
+        if (deleteBtn) {
+            deleteBtn.disabled = !selected.startsWith('custom:');
+        }
+    }
 
-        if (isLoading) {
-            searchBtn.disabled = true;
-            btnText.style.display = 'none';
-            btnLoading.style.display = 'inline';
-        } else {
-            searchBtn.disabled = false;
-            btnText.style.display = 'inline';
-            btnLoading.style.display = 'none';
+    /**
+     * 按预设下拉框的值取权重
+     */
+    getPresetWeights(value) {
+        if (value.startsWith('custom:')) {
+            return this.customPresets[value.slice('custom:'.length)] || null;
         }
+        const preset = CONFIG.SCORING.PRESETS[value];
+        return preset ? preset.weights : null;
     }
 
     /**
-     * 显示错误信息
+     * 查找与给定权重完全一致的预设，找不到时返回空字符串（自定义）
      */
-    showError(message) {
-        const errorDiv = document.getElementById('errorMessage');
-        if (errorDiv) {
-            errorDiv.textContent = message;
-            errorDiv.style.display = 'block';
+    findPresetValue(weights) {
+        const values = [
+            ...Object.keys(CONFIG.SCORING.PRESETS),
+            ...Object.keys(this.customPresets).map(name => `custom:${name}`)
+        ];
 
-            // 自动隐藏
-            setTimeout(() => {
-                this.hideError();
-            }, 5000);
-        }
+        return values.find(value => {
+            const preset = this.getPresetWeights(value);
+            return ScoringModel.CRITERIA.every(({ key }) => (preset[key] || 0) === (weights[key] || 0));
+        }) || '';
     }
 
     /**
-     * 隐藏错误信息
+     * 让滑块和数值显示与评分模型的当前权重一致
      */
-    hideError() {
-        const errorDiv = document.getElementById('errorMessage');
-        if (errorDiv) {
-            errorDiv.style.display = 'none';
+    updateScoringSliders() {
+        const weights = stationFinder.scoringModel.getWeights();
+
+        document.querySelectorAll('#scoringSliders input[type="range"]').forEach(slider => {
+            const weight = weights[slider.dataset.key];
+            slider.value = weight;
+            slider.parentElement.querySelector('.scoring-weight').textContent = weight.toFixed(1);
+        });
+
+        const presetSelect = document.getElementById('scoringPreset');
+        const deleteBtn = document.getElementById('deleteScoringPresetBtn');
+        if (presetSelect && deleteBtn) {
+            deleteBtn.disabled = !presetSelect.value.startsWith('custom:');
         }
     }
 
     /**
-     * 隐藏结果
+     * 按当前权重重排已有结果（不重新请求路线）
+     * 周边设施参与评分时，先为排名靠前的站点查询设施密度
      */
-    hideResults() {
-        const resultsSection = document.getElementById('resultsSection');
-        if (resultsSection) {
-            resultsSection.style.display = 'none';
+    async applyScoring() {
+        if (!this.currentResult) return;
+
+        if (stationFinder.scoringModel.weights.amenities > 0) {
+            const result = this.currentResult;
+            await stationFinder.loadAmenityScores(result.stations);
+            // 查询期间发起了新的搜索
+            if (this.currentResult !== result) return;
+        }
+
+        this.currentResult = stationFinder.rerank(this.currentResult);
+
+        // 新进入推荐列表的站点补充出口数据
+        if (!this.currentResult.venue) {
+            const result = this.currentResult;
+            await stationFinder.loadStationExits(result.recommendations, result.origins);
+            if (this.currentResult !== result) return;
+        }
+        this.displayResults(this.currentResult, false);
+
+        if (mapView) {
+            mapView.displaySearchResult(this.currentResult);
         }
+        this.updateUrl();
     }
 
     /**
-     * 保存搜索历史
+     * 把当前权重保存为用户预设
      */
-    saveToHistory(start, end) {
-        const historyItem = {
-            start,
-            end,
-            timestamp: Date.now()
-        };
+    saveScoringPreset() {
+        const name = (prompt('预设名称') || '').trim();
+        if (!name) return;
+
+        this.customPresets[name] = stationFinder.scoringModel.getWeights();
+        this.persistScoringPresets();
+        this.renderPresetOptions(`custom:${name}`);
+    }
 
-        // 去重：如果已存在相同的搜索，移除旧的
-        this.searchHistory = this.searchHistory.filter(
-            item => !(item.start === start && item.end === end)
-        );
+    /**
+     * 删除当前选中的用户预设
+     */
+    deleteScoringPreset() {
+        const presetSelect = document.getElementById('scoringPreset');
+        if (!presetSelect || !presetSelect.value.startsWith('custom:')) return;
 
-        // 添加到开头
-        this.searchHistory.unshift(historyItem);
+        delete this.customPresets[presetSelect.value.slice('custom:'.length)];
+        this.persistScoringPresets();
+        this.renderPresetOptions('');
+    }
 
-        // 限制数量
-        if (this.searchHistory.length > CONFIG.MAX_HISTORY) {
-            this.searchHistory = this.searchHistory.slice(0, CONFIG.MAX_HISTORY);
+    /**
+     * 加载用户保存的评分预设
+     */
+    loadScoringPresets() {
+        try {
+            const saved = localStorage.getItem(CONFIG.STORAGE_KEYS.SCORING_PRESETS);
+            this.customPresets = saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            Logger.error('加载评分预设失败:', error);
+            this.customPresets = {};
         }
+    }
 
-        // 保存到 localStorage
+    persistScoringPresets() {
         try {
-            localStorage.setItem(
-                CONFIG.STORAGE_KEYS.SEARCH_HISTORY,
-                JSON.stringify(this.searchHistory)
-            );
-            this.updateHistoryDisplay();
+            localStorage.setItem(CONFIG.STORAGE_KEYS.SCORING_PRESETS, JSON.stringify(this.customPresets));
         } catch (error) {
-            Logger.error('保存搜索历史失败:', error);
+            Logger.error('保存评分预设失败:', error);
         }
     }
 
     /**
-     * 加载搜索历史
+     * 初始化收藏面板：常用地点和常去站点的操作按钮使用事件委托
      */
-    loadSearchHistory() {
-        try {
-            const saved = localStorage.getItem(CONFIG.STORAGE_KEYS.SEARCH_HISTORY);
-            if (saved) {
-                this.searchHistory = JSON.parse(saved);
-                this.updateHistoryDisplay();
+    initFavoritesPanel() {
+        const placesList = document.getElementById('favoritePlacesList');
+        const stationsList = document.getElementById('favoriteStationsList');
+        if (!placesList || !stationsList) return;
+
+        placesList.addEventListener('click', (e) => {
+            const row = e.target.closest('.favorite-item');
+            const actionEl = e.target.closest('[data-action]');
+            if (!row || !actionEl) return;
+
+            const action = actionEl.dataset.action;
+
+            const id = row.dataset.id;
+            try {
+                if (action === 'fill') {
+                    this.fillFavoritePlace(favorites.getPlace(id));
+                } else if (action === 'up' || action === 'down') {
+                    favorites.movePlace(id, action === 'up' ? -1 : 1);
+                } else if (action === 'rename') {
+                    const label = prompt('新的标签', favorites.getPlace(id).label);
+                    if (label === null) return;
+                    favorites.renamePlace(id, label);
+                } else if (action === 'delete') {
+                    favorites.removePlace(id);
+                }
+                this.renderFavorites();
+            } catch (error) {
+                this.showError(error.message);
             }
-        } catch (error) {
-            Logger.error('加载搜索历史失败:', error);
-            this.searchHistory = [];
-        }
+        });
+
+        stationsList.addEventListener('click', (e) => {
+            const row = e.target.closest('.favorite-item');
+            const actionEl = e.target.closest('[data-action]');
+            if (!row || !actionEl) return;
+
+            const action = actionEl.dataset.action;
+
+            const station = favorites.getStations().find(item => item.name === row.dataset.name);
+            if (!station) return;
+
+            if (action === 'locate' && mapView) {
+                mapView.centerTo(station.lng, station.lat);
+                document.getElementById('mapView').scrollIntoView({ behavior: 'smooth', block: 'center' });
+            } else if (action === 'delete') {
+                favorites.removeStation(station.name);
+                this.renderFavorites();
+                this.refreshStarButtons();
+            }
+        });
+
+        this.renderFavorites();
     }
 
     /**
-     * 更新历史记录显示
+     * 渲染收藏面板
      */
-    updateHistoryDisplay() {
-        const historySection = document.getElementById('searchHistory');
-        const historyList = document.getElementById('historyList');
+    renderFavorites() {
+        const placesList = document.getElementById('favoritePlacesList');
+        const stationsList = document.getElementById('favoriteStationsList');
+        if (!placesList || !stationsList) return;
+
+        // 标签和地点名称由用户输入或来自分享链接，写入 HTML 前转义
+        const esc = GeoFormats.escapeXml;
+        const places = favorites.getPlaces();
+        placesList.innerHTML = places.length > 0
+            ? places.map((place, index) => `
+                <div class="favorite-item" data-id="${esc(place.id)}">
+                    <span class="favorite-text" data-action="fill" title="填入出发地">
+                        <strong>${esc(place.label)}</strong> · ${esc(place.name)}
+                    </span>
+                    <button type="button" class="btn-icon" data-action="up" title="上移" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button type="button" class="btn-icon" data-action="down" title="下移" ${index === places.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button type="button" class="btn-icon" data-action="rename" title="重命名">✎</button>
+                    <button type="button" class="btn-icon" data-action="delete" title="删除">×</button>
+                </div>
+            `).join('')
+            : '<div class="favorite-empty">选好地点后点击输入框下方标签上的 ☆ 收藏</div>';
+
+        const stations = favorites.getStations();
+        stationsList.innerHTML = stations.length > 0
+            ? stations.map(station => `
+                <div class="favorite-item" data-name="${esc(station.name)}">
+                    <span class="favorite-text" data-action="locate" title="在地图上查看">🚇 ${esc(station.name)}</span>
+                    <button type="button" class="btn-icon" data-action="delete" title="取消收藏">×</button>
+                </div>
+            `).join('')
+            : '<div class="favorite-empty">点击结果卡片上的"☆ 收藏站点"收藏常去的聚会地点</div>';
+    }
 
-        if (!historySection || !historyList) return;
+    /**
+     * 把已确定的地点收藏为常用地点
+     */
+    addFavoritePlace(location) {
+        const label = prompt('为这个地点起个名字（如"家""公司"）', location.name);
+        if (label === null) return;
 
-        if (this.searchHistory.length === 0) {
-            historySection.style.display = 'none';
-            return;
+        try {
+            favorites.addPlace(label, location);
+            this.renderFavorites();
+            this.hideError();
+        } catch (error) {
+            this.showError(error.message);
         }
+    }
 
-        historySection.style.display = 'block';
-        historyList.innerHTML = '';
-
-        this.searchHistory.forEach(item => {
-            const historyItem = document.createElement('div');
-            historyItem.className = 'history-item';
-            historyItem.textContent = `${item.start} → ${item.end}`;
+    /**
+     * 把收藏地点填入第一个空的参与者输入框，都已填写时新增一位参与者
+     */
+    fillFavoritePlace(place) {
+        // 人数已满时 addParticipant 会提示并返回 null
+        const input = this.getParticipantInputs().find(item => !item.value.trim()) || this.addParticipant();
+        if (!input) return;
+
+        input.value = place.name;
+        this.setResolvedLocation(input, {
+            name: place.name,
+            lng: place.lng,
+            lat: place.lat,
+            adcode: '',
+            address: place.address,
+            district: place.district
+        });
+    }
 
-            historyItem.addEventListener('click', () => {
-                document.getElementById('startPoint').value = item.start;
-                document.getElementById('endPoint').value = item.end;
-            });
+    /**
+     * 匹配关键词的收藏地点，转换为输入提示的格式
+     */
+    getFavoriteSuggestions(keyword) {
+        return favorites.matchPlaces(keyword).map(place => ({
+            name: place.name,
+            address: place.address || place.district || '',
+            district: place.district,
+            location: { lng: place.lng, lat: place.lat },
+            favoriteLabel: place.label
+        }));
+    }
 
-            historyList.appendChild(historyItem);
+    /**
+     * 同步结果卡片上的收藏按钮
+     */
+    refreshStarButtons() {
+        if (!this.currentResult) return;
+
+        document.querySelectorAll('#resultsList .result-card').forEach((card, index) => {
+            const station = this.currentResult.recommendations[index];
+            const starBtn = card.querySelector('.btn-star');
+            if (station && starBtn) {
+                starBtn.textContent = favorites.hasStation(station.name) ? '★ 已收藏' : '☆ 收藏站点';
+            }
         });
     }
 
+    /**
+     * 更新缓存统计显示
+     */
+    updateCacheStats() {
+        const cacheStats = document.getElementById('cacheStats');
+        if (!cacheStats) return;
+
+        if (!gaodeAPI.cache) {
+            cacheStats.textContent = '缓存：已关闭';
+            return;
+        }
+
+        cacheStats.textContent = `缓存：${gaodeAPI.cache.stats().entries} 条`;
+    }
+
     /**
      * 添加示例链接（可选功能）
      */
@@ -387,15 +2203,19 @@ class SubwayFinderApp {
 
         this.autoCompleteControllers[inputId] = controller;
 
-        // 1. 输入事件：防抖后触发搜索
+        // 1. 输入事件：文字改动后之前选中的坐标失效，防抖后触发搜索
         input.addEventListener('input', (e) => {
+            this.clearResolvedLocation(input);
             this.handleAutoCompleteInput(controller, e.target.value);
         });
 
-        // 2. 获得焦点：如果有内容，重新显示建议
+        // 2. 获得焦点：如果有内容，重新显示建议；输入框为空时列出收藏地点
         input.addEventListener('focus', () => {
             if (input.value.trim() && controller.suggestions.length > 0) {
                 this.showDropdown(controller);
+            } else if (!input.value.trim() && favorites.getPlaces().length > 0) {
+                controller.suggestions = this.getFavoriteSuggestions('');
+                this.renderSuggestions(controller, controller.suggestions);
             }
         });
 
@@ -446,18 +2266,20 @@ class SubwayFinderApp {
 
         // 防抖：300ms后执行搜索
         controller.debounceTimer = setTimeout(async () => {
+            // 收藏地点排在最前，高德建议失败时仍然显示
+            const saved = this.getFavoriteSuggestions(keyword);
+            let suggestions = saved;
             try {
-                const suggestions = await gaodeAPI.getSuggestions(keyword);
-                controller.suggestions = suggestions;
-
-                if (suggestions.length > 0) {
-                    this.renderSuggestions(controller, suggestions);
-                } else {
-                    this.showEmpty(controller);
-                }
+                suggestions = saved.concat(await gaodeAPI.getSuggestions(keyword));
             } catch (error) {
                 Logger.error('自动补全搜索失败:', error);
-                this.hideDropdown(controller);
+            }
+            controller.suggestions = suggestions;
+
+            if (suggestions.length > 0) {
+                this.renderSuggestions(controller, suggestions);
+            } else {
+                this.showEmpty(controller);
             }
         }, 300);  // 300ms防抖
     }
@@ -474,8 +2296,11 @@ class SubwayFinderApp {
             item.dataset.index = index;
 
             item.innerHTML = `
-                <div class="autocomplete-item-name">${this.highlightKeyword(suggestion.name, controller.input.value)}</div>
-                <div class="autocomplete-item-address">${suggestion.address}</div>
+                <div class="autocomplete-item-name">
+                    ${suggestion.favoriteLabel ? `<span class="favorite-label">★ ${GeoFormats.escapeXml(suggestion.favoriteLabel)}</span>` : ''}
+                    ${this.highlightKeyword(suggestion.name, controller.input.value)}
+                </div>
+                <div class="autocomplete-item-address">${GeoFormats.escapeXml(suggestion.address || '')}</div>
             `;
 
             // 鼠标点击选择
@@ -502,10 +2327,14 @@ class SubwayFinderApp {
      * 高亮关键词
      */
     highlightKeyword(text, keyword) {
-        if (!keyword) return text;
-
-        const regex = new RegExp(`(${keyword})`, 'gi');
-        return text.replace(regex, '<strong style="color: var(--primary-color);">$1</strong>');
+        const esc = GeoFormats.escapeXml;
+        if (!keyword) return esc(text);
+
+        // 关键词是用户输入，按字面匹配；匹配前后的文字分别转义
+        const regex = new RegExp(`(${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+        return text.split(regex)
+            .map((part, index) => (index % 2 === 1 ? `<strong style="color: var(--primary-color);">${esc(part)}</strong>` : esc(part)))
+            .join('');
     }
 
     /**
@@ -550,12 +2379,83 @@ class SubwayFinderApp {
         controller.input.value = suggestion.name;
         this.hideDropdown(controller);
 
-        // 存储选中的位置信息（可选，用于后续优化）
-        controller.input.dataset.selectedLocation = JSON.stringify(suggestion.location);
+        // 记住选中地点的坐标，搜索时不再重新地理编码
+        this.setResolvedLocation(controller.input, {
+            name: suggestion.name,
+            lng: suggestion.location.lng,
+            lat: suggestion.location.lat,
+            adcode: suggestion.adcode || '',
+            address: suggestion.address || '',
+            district: suggestion.district || ''
+        });
 
         Logger.log('选中地点:', suggestion);
     }
 
+    /**
+     * 为输入框记录已确定的地点，并在下方显示确认标签
+     * @param {HTMLInputElement} input - 参与者输入框
+     * @param {Object} location - {name, lng, lat, adcode, address, district}
+     */
+    setResolvedLocation(input, location) {
+        input.dataset.selectedLocation = JSON.stringify(location);
+
+        const group = input.closest('.input-group');
+        let chip = group.querySelector('.location-chip');
+        if (!chip) {
+            chip = document.createElement('div');
+            chip.className = 'location-chip';
+            group.appendChild(chip);
+        }
+
+        chip.innerHTML = `
+            <span class="location-chip-text" title="${Number(location.lng).toFixed(6)}, ${Number(location.lat).toFixed(6)}">
+                📍 ${GeoFormats.escapeXml(location.name)}${location.district ? ` · ${GeoFormats.escapeXml(location.district)}` : ''}
+            </span>
+            <button type="button" class="location-chip-star" title="收藏为常用地点">☆</button>
+            <button type="button" class="location-chip-clear" title="改为按文字重新解析">×</button>
+        `;
+        chip.querySelector('.location-chip-star').addEventListener('click', () => {
+            this.addFavoritePlace(location);
+        });
+        chip.querySelector('.location-chip-clear').addEventListener('click', () => {
+            this.clearResolvedLocation(input);
+        });
+
+        this.refreshOriginMarkers();
+    }
+
+    /**
+     * 清除输入框记录的地点（文字被修改后坐标不再可信）
+     */
+    clearResolvedLocation(input) {
+        if (!input.dataset.selectedLocation) return;
+        delete input.dataset.selectedLocation;
+
+        const group = input.closest('.input-group');
+        const chip = group && group.querySelector('.location-chip');
+        if (chip) {
+            chip.remove();
+        }
+
+        this.refreshOriginMarkers();
+    }
+
+    /**
+     * 读取输入框记录的地点，文字与选中时不一致则视为无效
+     * @returns {Object|null}
+     */
+    getResolvedLocation(input) {
+        if (!input.dataset.selectedLocation) return null;
+
+        try {
+            const location = JSON.parse(input.dataset.selectedLocation);
+            return location.name === input.value.trim() ? location : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * 键盘导航处理
      */
@@ -621,6 +2521,9 @@ class SubwayFinderApp {
     }
 }
 
+// 搜索过程中临时排名的最短重绘间隔（毫秒）
+SubwayFinderApp.PROVISIONAL_RENDER_INTERVAL = 300;
+
 // 页面加载完成后启动应用
 if (typeof window !== 'undefined') {
     window.addEventListener('DOMContentLoaded', () => {
@@ -26,36 +26,223 @@ const CONFIG = {
         mapStyle: 'amap://styles/normal'   // 地图样式
     },
 
+    // 参与人数限制
+    MIN_PARTICIPANTS: 2,
+    MAX_PARTICIPANTS: 8,
+
+    // 各参与者的标记颜色（按 A、B、C... 顺序使用）
+    ORIGIN_COLORS: ['#52c41a', '#ff4d4f', '#fa8c16', '#722ed1', '#13c2c2', '#eb2f96', '#faad14', '#2f54eb'],
+
     // 算法配置
     ALGORITHM: {
-        // 时间平衡权重（0-1之间，越大越注重时间平衡）
-        // 0.3 = 更注重最短最长时间
-        // 0.5 = 平衡考虑
-        // 0.7 = 更注重时间公平性
-        BALANCE_WEIGHT: 0.3,
-
         // 最多返回的推荐站点数
         MAX_RESULTS: 5,
 
         // 搜索半径（米）- 减少搜索半径以减少候选站点
         SEARCH_RADIUS: 3000,  // 从 5000 减少到 3000
 
-        // 最大候选站点数 - 减少候选站点以避免 QPS 限制
-        MAX_CANDIDATES: 10  // 从 30 减少到 10
+        // 最大候选站点数（有内置路网时按预估得分保留，否则保留离中心点最近的）
+        MAX_CANDIDATES: 20,  // 请求由限流调度器统一排队，可以评估更多候选站
+
+        // 沿途候选：按内置路网估算各人耗时，(最长 - 最短) / 最长 不超过该值的站点视为"半程"站点
+        CORRIDOR_BALANCE: 0.35,
+
+        // 路线计算方式
+        // 'online' = 每个候选站调用高德公交规划（精确，但请求多、速度慢）
+        // 'local'  = 使用内置地铁路网离线计算（快速，路网收录的站点参与评分；只收录部分线路，耗时为估算）
+        ROUTING_MODE: 'online',
+
+        // 默认路线偏好（ROUTE_POLICIES 中的键）
+        ROUTE_POLICY: 'LEAST_TIME',
+
+        // "指定到达时间"时，按到达前多久出发来查询公交方案（秒）
+        ARRIVE_LEAD_TIME: 3600,
+
+        // 离线模式下每个起点考虑的最近进站点数量
+        ACCESS_STATIONS: 3
+    },
+
+    // 站点评分（见 js/scoring.js）
+    SCORING: {
+        // 默认预设
+        DEFAULT_PRESET: 'balanced',
+
+        // 权重滑块范围
+        MAX_WEIGHT: 3,
+        WEIGHT_STEP: 0.1,
+
+        // 内置预设：评分项键 -> 权重，未列出的项权重为 0
+        PRESETS: {
+            balanced: {
+                label: '均衡',
+                weights: { maxTime: 1, timeDiff: 0.3 }   // 最长耗时为主，兼顾时间差
+            },
+            fairest: {
+                label: '最公平',
+                weights: { maxTime: 0.5, timeDiff: 1.5 }
+            },
+            fastestTotal: {
+                label: '总耗时最短',
+                weights: { totalTime: 1 }
+            },
+            cheapest: {
+                label: '最省钱',
+                weights: { fare: 1, maxTime: 0.3 }
+            }
+        }
+    },
+
+    // 站点周边设施（高德 PlaceSearch 周边搜索）
+    AMENITIES: {
+        RADIUS: 500,             // 默认搜索半径（米）
+        RADIUS_OPTIONS: [300, 500, 1000],
+
+        // 设施分类：keyword 为周边搜索关键词
+        CATEGORIES: {
+            restaurant: { label: '餐厅', keyword: '餐厅', icon: '🍜', color: '#fa541c' },
+            cafe: { label: '咖啡', keyword: '咖啡', icon: '☕', color: '#8b572a' },
+            mall: { label: '商场', keyword: '购物中心', icon: '🛍️', color: '#eb2f96' },
+            cinema: { label: '电影院', keyword: '电影院', icon: '🎬', color: '#722ed1' }
+        },
+
+        // 设施密度评分：各分类合计达到 SCORE_TARGET 个记为 100 分
+        SCORE_TARGET: 60,
+        // 评分权重不为 0 时，为排名前几的站点查询设施密度
+        SCORE_CANDIDATES: 10
+    },
+
+    // 地铁站出入口
+    EXITS: {
+        RADIUS: 400,              // 出口搜索半径（米），大站的出口可能相距数百米
+        APPROACH_DISTANCE: 150    // 距站点超过该距离的最后一个路线点作为到站方向
+    },
+
+    // 全部候选表格
+    CANDIDATE_TABLE: {
+        DISTRICT_LOOKUPS: 30   // 打开表格时最多为几个站点逆地理编码查询所在区（按排名）
+    },
+
+    // 可达性图层：按内置路网估算每个出发地到全网站点的耗时
+    // 每种图层按 LEVELS 中的 4 个阈值（分钟）分为 5 档，颜色由 COLORS 从绿到红
+    REACHABILITY: {
+        LEVELS: {
+            isochrone: [15, 30, 45, 60],  // 等时圈：到该出发地的耗时
+            maxTime: [30, 40, 50, 60],    // 公平性：所有人中的最长耗时
+            timeDiff: [5, 10, 15, 20]     // 公平性：最长与最短耗时之差
+        },
+        COLORS: ['#1a9850', '#91cf60', '#fee08b', '#fc8d59', '#d73027']
+    },
+
+    // 场所模式：按关键词（如"火锅"）推荐聚会场所，而不是地铁站
+    VENUES: {
+        STATION_CANDIDATES: 3,   // 在排名前几的地铁站周边搜索场所（另加几何中心）
+        RADIUS: 800,             // 每个搜索点的半径（米）
+        PER_LOCATION: 5,         // 每个搜索点最多取最近的几个场所
+        MAX_CANDIDATES: 15,      // 参与路线计算的场所上限（每个场所每人一次公交规划）
+
+        // 输入框中的常用关键词
+        SUGGESTIONS: ['火锅', '烧烤', '日料', '咖啡', '酒吧', 'KTV', '桌游', '密室逃脱']
+    },
+
+    // 路线偏好
+    // amapPolicy:  高德 Transfer 使用的策略（AMap.TransferPolicy 中的键）
+    // subwayOnly:  只接受全程地铁 + 步行的方案
+    // 以下三项把换乘、步行和票价折算成等效秒数，用于选择方案和站点评分：
+    // transferPenalty: 每次换乘（秒）；walkingPenalty: 每米步行（秒）；costPenalty: 每元票价（秒）
+    ROUTE_POLICIES: {
+        LEAST_TIME: {
+            label: '时间最短',
+            amapPolicy: 'LEAST_TIME',
+            transferPenalty: 0,
+            walkingPenalty: 0,
+            costPenalty: 0
+        },
+        LEAST_TRANSFER: {
+            label: '换乘最少',
+            amapPolicy: 'LEAST_TRANSFER',
+            transferPenalty: 600,
+            walkingPenalty: 0,
+            costPenalty: 0
+        },
+        LEAST_WALK: {
+            label: '步行最少',
+            amapPolicy: 'LEAST_WALK',
+            transferPenalty: 0,
+            walkingPenalty: 1.5,
+            costPenalty: 0
+        },
+        LEAST_FEE: {
+            label: '花费最少',
+            amapPolicy: 'LEAST_FEE',
+            transferPenalty: 0,
+            walkingPenalty: 0,
+            costPenalty: 300
+        },
+        SUBWAY_ONLY: {
+            label: '只坐地铁',
+            amapPolicy: 'LEAST_TIME',
+            subwayOnly: true,
+            transferPenalty: 0,
+            walkingPenalty: 0,
+            costPenalty: 0
+        }
     },
 
     // 本地存储键名
     STORAGE_KEYS: {
         SEARCH_HISTORY: 'subway_finder_history',
-        FAVORITES: 'subway_finder_favorites'
+        FAVORITES: 'subway_finder_favorites',
+        SCORING_PRESETS: 'subway_finder_scoring_presets',
+        CACHE: 'subway_finder_cache'
+    },
+
+    // 请求缓存配置（地理编码、路线等结果保存在 localStorage）
+    CACHE: {
+        ENABLED: true,
+
+        // 最大缓存条目数，超出后按最近最少使用淘汰
+        MAX_ENTRIES: 500,
+
+        // 各类数据的过期时间（毫秒）
+        TTL: {
+            geocode: 30 * 24 * 3600 * 1000,   // 地址坐标：30 天
+            route: 24 * 3600 * 1000,          // 公交路线：1 天（线路和时刻会变）
+            walking: 30 * 24 * 3600 * 1000,   // 步行路线：30 天
+            nearby: 7 * 24 * 3600 * 1000,     // 附近地铁站、周边设施：7 天
+            reverse: 30 * 24 * 3600 * 1000    // 坐标 -> 地点名称：30 天
+        },
+
+        // 路线缓存键的坐标精度（小数位数，3 位约 100 米）
+        COORD_PRECISION: 3,
+
+        // 路线缓存的出行时段粒度（分钟）
+        TIME_BUCKET_MINUTES: 60,
+
+        // 命中缓存只更新内存中的访问时间，延迟这么久（毫秒）后合并写入索引
+        INDEX_SAVE_DELAY: 2000
+    },
+
+    // 高德服务请求限流
+    RATE_LIMIT: {
+        QPS: 3,              // 每秒最多发起的请求数（个人开发者 Key 的默认并发配额）
+        CONCURRENCY: 3,      // 同时进行中的请求数上限
+        MAX_RETRIES: 3,      // 触发频率限制后的最大重试次数
+        BASE_DELAY: 1000,    // 首次重试等待时间（毫秒），之后每次翻倍
+        MAX_DELAY: 8000      // 单次重试最长等待时间（毫秒）
     },
 
     // API 超时时间（毫秒）
     API_TIMEOUT: 10000,
 
-    // 最大搜索历史记录数
+    // 最大搜索历史记录数（置顶的记录不计入）
     MAX_HISTORY: 10,
 
+    // 搜索历史保存的结果数据
+    HISTORY: {
+        MAX_STATIONS: 10,       // 每条记录保存排名前几的站点，恢复后可在这些站点中按新权重重排
+        COMPRESS_ROUTES: true   // 路线坐标编码为字符串保存，减小 localStorage 占用
+    },
+
     // 调试模式
     DEBUG: true
 };
@@ -0,0 +1,469 @@
+/**
+ * 上海地铁路网数据（离线）
+ *
+ * 收录 1-4、7-13 号线的主要区段，用于浏览器内的最短路计算。
+ * 这不是完整路网：5、6、14-18 号线、浦江线、磁浮线和机场联络线尚未收录，
+ * 离线模式只在收录的站点中评分，只能经这些线路到达的站点不会出现在结果中。
+ * - 坐标为高德（GCJ-02）坐标系下的近似站点位置，精度约百米级
+ * - 区间运行时间未逐一收录，由 MetroRouter 按站间距离和平均速度估算，
+ *   与在线模式（高德公交规划）的耗时会有出入，离线结果仅用于快速比较
+ * - 同名站点视为换乘站，换乘耗时取 TRANSFER_TIME 或 TRANSFER_OVERRIDES
+ * - SERVICE_HOURS 为各线路首末班车的近似时刻
+ *
+ * 线路运营调整后请同步更新本文件。
+ */
+
+const METRO_NETWORK = {
+    // 估算参数
+    DEFAULTS: {
+        AVERAGE_SPEED: 9.5,       // 列车平均运行速度（米/秒，约 34 公里/小时）
+        DWELL_TIME: 30,           // 每站停站时间（秒）
+        TRACK_FACTOR: 1.2,        // 线路实际长度与直线距离的比例
+        BOARDING_WAIT: 180,       // 进站 + 平均候车时间（秒）
+        TRANSFER_TIME: 240,       // 默认换乘步行 + 候车时间（秒）
+        WALKING_SPEED: 1.2,       // 步行速度（米/秒）
+        WALKING_FACTOR: 1.3       // 步行实际距离与直线距离的比例
+    },
+
+    // 换乘耗时较长的大型枢纽（秒）
+    TRANSFER_OVERRIDES: {
+        '人民广场': 360,
+        '世纪大道': 300,
+        '上海火车站': 420,
+        '虹桥火车站': 360,
+        '徐家汇': 300,
+        '陕西南路': 300
+    },
+
+    // 运营时间（中心城区站点的首末班车近似时刻，HH:mm）
+    // 各站、各方向实际时刻不同，仅用于提示"可能赶不上末班车"，以运营方公告为准
+    SERVICE_HOURS: {
+        '1号线': { first: '05:30', last: '23:00' },
+        '2号线': { first: '05:30', last: '23:00' },
+        '3号线': { first: '05:30', last: '22:30' },
+        '4号线': { first: '05:30', last: '22:30' },
+        '7号线': { first: '05:30', last: '22:45' },
+        '8号线': { first: '05:30', last: '23:00' },
+        '9号线': { first: '05:30', last: '23:00' },
+        '10号线': { first: '05:30', last: '23:00' },
+        '11号线': { first: '05:30', last: '22:45' },
+        '12号线': { first: '05:30', last: '22:45' },
+        '13号线': { first: '05:30', last: '22:45' }
+    },
+
+    // 站点坐标 [lng, lat]
+    STATIONS: {
+        // 1 号线
+        '富锦路': [121.4260, 31.3930],
+        '友谊西路': [121.4290, 31.3830],
+        '宝安公路': [121.4320, 31.3710],
+        '共富新村': [121.4350, 31.3590],
+        '呼兰路': [121.4385, 31.3430],
+        '通河新村': [121.4420, 31.3330],
+        '共康路': [121.4470, 31.3190],
+        '彭浦新村': [121.4470, 31.3060],
+        '汶水路': [121.4490, 31.2930],
+        '上海马戏城': [121.4510, 31.2810],
+        '延长路': [121.4550, 31.2720],
+        '中山北路': [121.4590, 31.2600],
+        '上海火车站': [121.4560, 31.2500],
+        '汉中路': [121.4590, 31.2410],
+        '新闸路': [121.4680, 31.2380],
+        '人民广场': [121.4740, 31.2330],
+        '一大会址·黄陂南路': [121.4730, 31.2230],
+        '陕西南路': [121.4590, 31.2150],
+        '常熟路': [121.4500, 31.2130],
+        '衡山路': [121.4450, 31.2060],
+        '徐家汇': [121.4370, 31.1950],
+        '上海体育馆': [121.4370, 31.1830],
+        '漕宝路': [121.4330, 31.1680],
+        '上海南站': [121.4300, 31.1550],
+        '锦江乐园': [121.4140, 31.1420],
+        '莲花路': [121.4020, 31.1310],
+        '外环路': [121.3930, 31.1210],
+        '莘庄': [121.3850, 31.1110],
+
+        // 2 号线
+        '徐泾东': [121.3030, 31.1920],
+        '虹桥火车站': [121.3200, 31.1950],
+        '虹桥2号航站楼': [121.3270, 31.1960],
+        '淞虹路': [121.3610, 31.2180],
+        '北新泾': [121.3780, 31.2170],
+        '威宁路': [121.3910, 31.2160],
+        '娄山关路': [121.4040, 31.2110],
+        '中山公园': [121.4180, 31.2190],
+        '江苏路': [121.4310, 31.2200],
+        '静安寺': [121.4460, 31.2230],
+        '南京西路': [121.4600, 31.2290],
+        '南京东路': [121.4840, 31.2380],
+        '陆家嘴': [121.5020, 31.2380],
+        '东昌路': [121.5130, 31.2330],
+        '世纪大道': [121.5270, 31.2290],
+        '上海科技馆': [121.5440, 31.2190],
+        '世纪公园': [121.5510, 31.2100],
+        '龙阳路': [121.5580, 31.2040],
+        '张江高科': [121.5870, 31.2030],
+        '金科路': [121.6010, 31.2070],
+        '广兰路': [121.6210, 31.2100],
+        '唐镇': [121.6570, 31.2150],
+        '创新中路': [121.6730, 31.2150],
+        '华夏东路': [121.6870, 31.1980],
+        '川沙': [121.6980, 31.1900],
+        '凌空路': [121.7170, 31.1960],
+        '远东大道': [121.7470, 31.1890],
+        '海天三路': [121.7810, 31.1660],
+        '浦东国际机场': [121.8060, 31.1510],
+
+        // 3 号线
+        '石龙路': [121.4390, 31.1650],
+        '龙漕路': [121.4430, 31.1720],
+        '漕溪路': [121.4390, 31.1800],
+        '宜山路': [121.4280, 31.1870],
+        '虹桥路': [121.4230, 31.1970],
+        '延安西路': [121.4170, 31.2070],
+        '金沙江路': [121.4170, 31.2310],
+        '曹杨路': [121.4200, 31.2390],
+        '镇坪路': [121.4320, 31.2430],
+        '中潭路': [121.4410, 31.2480],
+        '宝山路': [121.4680, 31.2530],
+        '东宝兴路': [121.4750, 31.2590],
+        '虹口足球场': [121.4810, 31.2680],
+        '赤峰路': [121.4880, 31.2750],
+        '大柏树': [121.4880, 31.2840],
+        '江湾镇': [121.4870, 31.2960],
+        '殷高西路': [121.4880, 31.3120],
+        '长江南路': [121.4920, 31.3250],
+        '淞发路': [121.4950, 31.3360],
+        '张华浜': [121.4980, 31.3470],
+        '淞滨路': [121.4970, 31.3580],
+        '水产路': [121.4940, 31.3710],
+        '宝杨路': [121.4880, 31.3850],
+        '友谊路': [121.4820, 31.3960],
+        '铁力路': [121.4720, 31.4050],
+        '江杨北路': [121.4570, 31.4100],
+
+        // 4 号线
+        '海伦路': [121.4870, 31.2590],
+        '临平路': [121.4960, 31.2570],
+        '大连路': [121.5110, 31.2550],
+        '杨树浦路': [121.5200, 31.2520],
+        '浦东大道': [121.5210, 31.2410],
+        '浦电路': [121.5290, 31.2190],
+        '蓝村路': [121.5230, 31.2090],
+        '塘桥': [121.5150, 31.2150],
+        '南浦大桥': [121.5010, 31.2110],
+        '西藏南路': [121.4920, 31.2050],
+        '鲁班路': [121.4780, 31.2000],
+        '大木桥路': [121.4650, 31.1980],
+        '东安路': [121.4560, 31.1950],
+        '上海体育场': [121.4460, 31.1870],
+
+        // 7 号线
+        '美兰湖': [121.3560, 31.4080],
+        '罗南新村': [121.3600, 31.3950],
+        '潘广路': [121.3650, 31.3850],
+        '刘行': [121.3710, 31.3720],
+        '顾村公园': [121.3780, 31.3570],
+        '祁华路': [121.3820, 31.3460],
+        '上海大学': [121.3920, 31.3230],
+        '南陈路': [121.3980, 31.3150],
+        '上大路': [121.4020, 31.3070],
+        '场中路': [121.4080, 31.2980],
+        '大场镇': [121.4130, 31.2890],
+        '行知路': [121.4150, 31.2800],
+        '大华三路': [121.4200, 31.2700],
+        '新村路': [121.4250, 31.2600],
+        '岚皋路': [121.4280, 31.2510],
+        '长寿路': [121.4390, 31.2400],
+        '昌平路': [121.4460, 31.2330],
+        '肇嘉浜路': [121.4520, 31.1980],
+        '龙华中路': [121.4600, 31.1870],
+        '后滩': [121.4810, 31.1740],
+        '长清路': [121.4900, 31.1810],
+        '耀华路': [121.5000, 31.1840],
+        '云台路': [121.5100, 31.1880],
+        '高科西路': [121.5200, 31.1920],
+        '杨高南路': [121.5300, 31.1960],
+        '锦绣路': [121.5400, 31.1990],
+        '芳华路': [121.5490, 31.2010],
+        '花木路': [121.5660, 31.2070],
+
+        // 8 号线
+        '市光路': [121.5360, 31.3210],
+        '嫩江路': [121.5290, 31.3150],
+        '翔殷路': [121.5270, 31.3060],
+        '黄兴公园': [121.5260, 31.2950],
+        '延吉中路': [121.5260, 31.2860],
+        '黄兴路': [121.5230, 31.2780],
+        '江浦路': [121.5170, 31.2720],
+        '鞍山新村': [121.5110, 31.2700],
+        '四平路': [121.5000, 31.2700],
+        '曲阳路': [121.4890, 31.2700],
+        '西藏北路': [121.4760, 31.2580],
+        '中兴路': [121.4740, 31.2500],
+        '曲阜路': [121.4720, 31.2420],
+        '大世界': [121.4800, 31.2290],
+        '老西门': [121.4860, 31.2170],
+        '陆家浜路': [121.4910, 31.2110],
+        '中华艺术宫': [121.4940, 31.1880],
+        '成山路': [121.5020, 31.1750],
+        '杨思': [121.5030, 31.1620],
+        '东方体育中心': [121.4890, 31.1520],
+        '凌兆新村': [121.5010, 31.1440],
+        '芦恒路': [121.5000, 31.1170],
+        '浦江镇': [121.5100, 31.0980],
+        '江月路': [121.5170, 31.0840],
+        '联航路': [121.5240, 31.0720],
+        '沈杜公路': [121.5190, 31.0570],
+
+        // 9 号线
+        '松江南站': [121.2300, 30.9860],
+        '醉白池': [121.2350, 31.0020],
+        '松江体育中心': [121.2310, 31.0170],
+        '松江新城': [121.2170, 31.0350],
+        '松江大学城': [121.2280, 31.0480],
+        '洞泾': [121.2330, 31.0880],
+        '佘山': [121.2380, 31.1010],
+        '泗泾': [121.2650, 31.1180],
+        '九亭': [121.3240, 31.1380],
+        '中春路': [121.3480, 31.1480],
+        '七宝': [121.3570, 31.1560],
+        '星中路': [121.3720, 31.1630],
+        '合川路': [121.3890, 31.1700],
+        '漕河泾开发区': [121.3980, 31.1720],
+        '桂林路': [121.4180, 31.1780],
+        '嘉善路': [121.4590, 31.1990],
+        '打浦桥': [121.4710, 31.2030],
+        '马当路': [121.4770, 31.2090],
+        '小南门': [121.4980, 31.2140],
+        '商城路': [121.5210, 31.2330],
+        '杨高中路': [121.5470, 31.2350],
+        '芳甸路': [121.5610, 31.2400],
+        '蓝天路': [121.5730, 31.2430],
+        '台儿庄路': [121.5870, 31.2480],
+        '金桥': [121.5940, 31.2550],
+        '金吉路': [121.6070, 31.2580],
+        '金海路': [121.6190, 31.2620],
+        '顾唐路': [121.6380, 31.2590],
+        '民雷路': [121.6510, 31.2530],
+        '曹路': [121.6690, 31.2480],
+
+        // 10 号线
+        '虹桥1号航站楼': [121.3460, 31.1960],
+        '上海动物园': [121.3660, 31.1960],
+        '龙溪路': [121.3760, 31.1970],
+        '水城路': [121.3900, 31.2000],
+        '伊犁路': [121.4020, 31.2020],
+        '宋园路': [121.4120, 31.2020],
+        '交通大学': [121.4340, 31.2020],
+        '上海图书馆': [121.4450, 31.2080],
+        '一大会址·新天地': [121.4760, 31.2170],
+        '豫园': [121.4910, 31.2290],
+        '天潼路': [121.4860, 31.2460],
+        '四川北路': [121.4860, 31.2540],
+        '邮电新村': [121.4920, 31.2660],
+        '同济大学': [121.5030, 31.2800],
+        '国权路': [121.5080, 31.2880],
+        '五角场': [121.5150, 31.2990],
+        '江湾体育场': [121.5180, 31.3070],
+        '三门路': [121.5130, 31.3160],
+        '殷高东路': [121.5070, 31.3220],
+        '新江湾城': [121.4990, 31.3310],
+
+        // 11 号线
+        '嘉定新城': [121.2470, 31.3310],
+        '马陆': [121.2780, 31.3140],
+        '南翔': [121.3190, 31.2960],
+        '桃浦新村': [121.3430, 31.2830],
+        '武威路': [121.3560, 31.2730],
+        '祁连山路': [121.3650, 31.2650],
+        '李子园': [121.3760, 31.2580],
+        '上海西站': [121.3930, 31.2610],
+        '真如': [121.4060, 31.2550],
+        '枫桥路': [121.4110, 31.2440],
+        '隆德路': [121.4250, 31.2260],
+        '上海游泳馆': [121.4400, 31.1830],
+        '龙华': [121.4510, 31.1760],
+        '云锦路': [121.4600, 31.1670],
+        '龙耀路': [121.4690, 31.1590],
+        '三林': [121.5090, 31.1440],
+        '三林东': [121.5240, 31.1470],
+        '浦三路': [121.5380, 31.1530],
+        '御桥': [121.5670, 31.1600],
+        '罗山路': [121.5940, 31.1710],
+        '秀沿路': [121.6180, 31.1620],
+        '康新公路': [121.6430, 31.1510],
+        '迪士尼': [121.6650, 31.1440],
+
+        // 12 号线
+        '七莘路': [121.3690, 31.1340],
+        '虹莘路': [121.3820, 31.1400],
+        '顾戴路': [121.3900, 31.1490],
+        '东兰路': [121.3950, 31.1580],
+        '虹梅路': [121.4020, 31.1680],
+        '虹漕路': [121.4110, 31.1700],
+        '桂林公园': [121.4250, 31.1700],
+        '国际客运中心': [121.4980, 31.2510],
+        '提篮桥': [121.5050, 31.2540],
+        '江浦公园': [121.5190, 31.2610],
+        '宁国路': [121.5290, 31.2630],
+        '隆昌路': [121.5390, 31.2670],
+        '爱国路': [121.5480, 31.2720],
+        '复兴岛': [121.5600, 31.2790],
+        '东陆路': [121.5760, 31.2750],
+        '巨峰路': [121.5890, 31.2700],
+        '杨高北路': [121.6000, 31.2680],
+        '金京路': [121.6110, 31.2670],
+        '申江路': [121.6150, 31.2660],
+
+        // 13 号线
+        '金运路': [121.3300, 31.2430],
+        '金沙江西路': [121.3470, 31.2440],
+        '丰庄': [121.3620, 31.2460],
+        '祁连山南路': [121.3760, 31.2430],
+        '真北路': [121.3910, 31.2400],
+        '大渡河路': [121.4030, 31.2370],
+        '武宁路': [121.4310, 31.2310],
+        '江宁路': [121.4470, 31.2410],
+        '自然博物馆': [121.4640, 31.2350],
+        '淮海中路': [121.4670, 31.2200],
+        '世博会博物馆': [121.4860, 31.2010],
+        '世博大道': [121.4920, 31.1850],
+        '东明路': [121.5130, 31.1710],
+        '华鹏路': [121.5250, 31.1680],
+        '下南路': [121.5350, 31.1640],
+        '北蔡': [121.5490, 31.1730],
+        '陈春路': [121.5640, 31.1780],
+        '莲溪路': [121.5740, 31.1800],
+        '华夏中路': [121.5890, 31.1830],
+        '中科路': [121.5960, 31.1930],
+        '学林路': [121.6030, 31.1970],
+        '张江路': [121.6100, 31.2000]
+    },
+
+    // 线路（站点按运行方向排列；loop 表示环线）
+    LINES: [
+        {
+            name: '1号线',
+            color: '#E4002B',
+            stations: [
+                '富锦路', '友谊西路', '宝安公路', '共富新村', '呼兰路', '通河新村', '共康路',
+                '彭浦新村', '汶水路', '上海马戏城', '延长路', '中山北路', '上海火车站', '汉中路',
+                '新闸路', '人民广场', '一大会址·黄陂南路', '陕西南路', '常熟路', '衡山路', '徐家汇',
+                '上海体育馆', '漕宝路', '上海南站', '锦江乐园', '莲花路', '外环路', '莘庄'
+            ]
+        },
+        {
+            name: '2号线',
+            color: '#97D700',
+            stations: [
+                '徐泾东', '虹桥火车站', '虹桥2号航站楼', '淞虹路', '北新泾', '威宁路', '娄山关路',
+                '中山公园', '江苏路', '静安寺', '南京西路', '人民广场', '南京东路', '陆家嘴',
+                '东昌路', '世纪大道', '上海科技馆', '世纪公园', '龙阳路', '张江高科', '金科路',
+                '广兰路', '唐镇', '创新中路', '华夏东路', '川沙', '凌空路', '远东大道', '海天三路',
+                '浦东国际机场'
+            ]
+        },
+        {
+            name: '3号线',
+            color: '#FFD100',
+            stations: [
+                '上海南站', '石龙路', '龙漕路', '漕溪路', '宜山路', '虹桥路', '延安西路',
+                '中山公园', '金沙江路', '曹杨路', '镇坪路', '中潭路', '上海火车站', '宝山路',
+                '东宝兴路', '虹口足球场', '赤峰路', '大柏树', '江湾镇', '殷高西路', '长江南路',
+                '淞发路', '张华浜', '淞滨路', '水产路', '宝杨路', '友谊路', '铁力路', '江杨北路'
+            ]
+        },
+        {
+            name: '4号线',
+            color: '#5F259F',
+            loop: true,
+            stations: [
+                '宜山路', '虹桥路', '延安西路', '中山公园', '金沙江路', '曹杨路', '镇坪路',
+                '中潭路', '上海火车站', '宝山路', '海伦路', '临平路', '大连路', '杨树浦路',
+                '浦东大道', '世纪大道', '浦电路', '蓝村路', '塘桥', '南浦大桥', '西藏南路',
+                '鲁班路', '大木桥路', '东安路', '上海体育场', '上海体育馆'
+            ]
+        },
+        {
+            name: '7号线',
+            color: '#FF6900',
+            stations: [
+                '美兰湖', '罗南新村', '潘广路', '刘行', '顾村公园', '祁华路', '上海大学', '南陈路',
+                '上大路', '场中路', '大场镇', '行知路', '大华三路', '新村路', '岚皋路', '镇坪路',
+                '长寿路', '昌平路', '静安寺', '常熟路', '肇嘉浜路', '东安路', '龙华中路', '后滩',
+                '长清路', '耀华路', '云台路', '高科西路', '杨高南路', '锦绣路', '芳华路', '龙阳路',
+                '花木路'
+            ]
+        },
+        {
+            name: '8号线',
+            color: '#009EDB',
+            stations: [
+                '市光路', '嫩江路', '翔殷路', '黄兴公园', '延吉中路', '黄兴路', '江浦路',
+                '鞍山新村', '四平路', '曲阳路', '虹口足球场', '西藏北路', '中兴路', '曲阜路',
+                '人民广场', '大世界', '老西门', '陆家浜路', '西藏南路', '中华艺术宫', '耀华路',
+                '成山路', '杨思', '东方体育中心', '凌兆新村', '芦恒路', '浦江镇', '江月路',
+                '联航路', '沈杜公路'
+            ]
+        },
+        {
+            name: '9号线',
+            color: '#71C5E8',
+            stations: [
+                '松江南站', '醉白池', '松江体育中心', '松江新城', '松江大学城', '洞泾', '佘山',
+                '泗泾', '九亭', '中春路', '七宝', '星中路', '合川路', '漕河泾开发区', '桂林路',
+                '宜山路', '徐家汇', '肇嘉浜路', '嘉善路', '打浦桥', '马当路', '陆家浜路', '小南门',
+                '商城路', '世纪大道', '杨高中路', '芳甸路', '蓝天路', '台儿庄路', '金桥', '金吉路',
+                '金海路', '顾唐路', '民雷路', '曹路'
+            ]
+        },
+        {
+            name: '10号线',
+            color: '#C1A7E2',
+            stations: [
+                '虹桥火车站', '虹桥2号航站楼', '虹桥1号航站楼', '上海动物园', '龙溪路', '水城路',
+                '伊犁路', '宋园路', '虹桥路', '交通大学', '上海图书馆', '陕西南路', '一大会址·新天地',
+                '老西门', '豫园', '南京东路', '天潼路', '四川北路', '海伦路', '邮电新村', '四平路',
+                '同济大学', '国权路', '五角场', '江湾体育场', '三门路', '殷高东路', '新江湾城'
+            ]
+        },
+        {
+            name: '11号线',
+            color: '#76232F',
+            stations: [
+                '嘉定新城', '马陆', '南翔', '桃浦新村', '武威路', '祁连山路', '李子园', '上海西站',
+                '真如', '枫桥路', '曹杨路', '隆德路', '江苏路', '交通大学', '徐家汇', '上海游泳馆',
+                '龙华', '云锦路', '龙耀路', '东方体育中心', '三林', '三林东', '浦三路', '御桥',
+                '罗山路', '秀沿路', '康新公路', '迪士尼'
+            ]
+        },
+        {
+            name: '12号线',
+            color: '#007B5F',
+            stations: [
+                '七莘路', '虹莘路', '顾戴路', '东兰路', '虹梅路', '虹漕路', '桂林公园', '漕宝路',
+                '龙漕路', '龙华', '龙华中路', '大木桥路', '嘉善路', '陕西南路', '南京西路', '汉中路',
+                '曲阜路', '天潼路', '国际客运中心', '提篮桥', '大连路', '江浦公园', '宁国路',
+                '隆昌路', '爱国路', '复兴岛', '东陆路', '巨峰路', '杨高北路', '金京路', '申江路',
+                '金海路'
+            ]
+        },
+        {
+            name: '13号线',
+            color: '#EF95CF',
+            stations: [
+                '金运路', '金沙江西路', '丰庄', '祁连山南路', '真北路', '大渡河路', '金沙江路',
+                '隆德路', '武宁路', '长寿路', '江宁路', '汉中路', '自然博物馆', '南京西路',
+                '淮海中路', '一大会址·新天地', '马当路', '世博会博物馆', '世博大道', '长清路',
+                '成山路', '东明路', '华鹏路', '下南路', '北蔡', '陈春路', '莲溪路', '华夏中路',
+                '中科路', '学林路', '张江路'
+            ]
+        }
+    ]
+};
+
+// 导出数据（如果使用模块化）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { METRO_NETWORK };
+}
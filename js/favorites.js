@@ -0,0 +1,186 @@
+/**
+ * 收藏
+ * - 常用地点：带标签（如"家""公司"）和坐标，输入提示中优先显示，搜索时直接使用坐标
+ * - 常去站点：收藏的推荐站点，作为常用的聚会地点
+ * 数据保存在 localStorage 的 CONFIG.STORAGE_KEYS.FAVORITES 下
+ */
+
+// Node 环境下加载依赖（浏览器中为全局变量）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./config'), require('./requestCache'));
+}
+
+class Favorites {
+    /**
+     * @param {Object} options
+     * @param {Storage} options.storage - 存储后端，默认 localStorage
+     * @param {string} options.key - 存储键
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || RequestCache.getDefaultStorage();
+        this.key = options.key || CONFIG.STORAGE_KEYS.FAVORITES;
+        this.places = [];    // [{ id, label, name, lng, lat, address, district }]，按用户排列的顺序
+        this.stations = [];  // [{ name, lng, lat, address, savedAt }]，最近收藏的在前
+        this.load();
+    }
+
+    getPlaces() {
+        return this.places.slice();
+    }
+
+    getStations() {
+        return this.stations.slice();
+    }
+
+    /**
+     * 收藏地点
+     * @param {string} label - 标签
+     * @param {Object} location - {name, lng, lat, address, district}
+     * @returns {Object} 新增的地点
+     */
+    addPlace(label, location) {
+        label = String(label || '').trim();
+        if (!label) {
+            throw new Error('请填写地点标签');
+        }
+        if (this.places.some(place => place.label === label)) {
+            throw new Error(`已有名为"${label}"的收藏地点`);
+        }
+
+        const place = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            label,
+            name: location.name,
+            lng: Number(location.lng),
+            lat: Number(location.lat),
+            address: location.address || '',
+            district: location.district || ''
+        };
+
+        this.places.push(place);
+        this.save();
+        return place;
+    }
+
+    /**
+     * 修改地点标签
+     */
+    renamePlace(id, label) {
+        label = String(label || '').trim();
+        const place = this.getPlace(id);
+        if (!label) {
+            throw new Error('请填写地点标签');
+        }
+        if (this.places.some(other => other.label === label && other.id !== id)) {
+            throw new Error(`已有名为"${label}"的收藏地点`);
+        }
+
+        place.label = label;
+        this.save();
+    }
+
+    removePlace(id) {
+        this.places = this.places.filter(place => place.id !== id);
+        this.save();
+    }
+
+    /**
+     * 调整地点顺序
+     * @param {number} offset - -1 上移，1 下移
+     */
+    movePlace(id, offset) {
+        const index = this.places.findIndex(place => place.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.places.length) return;
+
+        const [place] = this.places.splice(index, 1);
+        this.places.splice(target, 0, place);
+        this.save();
+    }
+
+    getPlace(id) {
+        const place = this.places.find(item => item.id === id);
+        if (!place) {
+            throw new Error(`收藏地点不存在: ${id}`);
+        }
+        return place;
+    }
+
+    /**
+     * 按关键词匹配收藏地点（标签或地点名称包含关键词），关键词为空时返回全部
+     */
+    matchPlaces(keyword) {
+        const normalized = RequestCache.normalizeAddress(keyword || '');
+        if (!normalized) return this.getPlaces();
+
+        return this.places.filter(place => (
+            RequestCache.normalizeAddress(place.label).includes(normalized) ||
+            RequestCache.normalizeAddress(place.name).includes(normalized)
+        ));
+    }
+
+    hasStation(name) {
+        return this.stations.some(station => station.name === name);
+    }
+
+    /**
+     * 收藏或取消收藏站点
+     * @param {Object} station - 推荐结果中的站点
+     * @returns {boolean} 操作后是否为已收藏
+     */
+    toggleStation(station) {
+        if (this.hasStation(station.name)) {
+            this.removeStation(station.name);
+            return false;
+        }
+
+        this.stations.unshift({
+            name: station.name,
+            lng: Number(station.lng),
+            lat: Number(station.lat),
+            address: station.address || '',
+            savedAt: Date.now()
+        });
+        this.save();
+        return true;
+    }
+
+    removeStation(name) {
+        this.stations = this.stations.filter(station => station.name !== name);
+        this.save();
+    }
+
+    load() {
+        try {
+            const saved = this.storage.getItem(this.key);
+            if (saved) {
+                const data = JSON.parse(saved);
+                this.places = Array.isArray(data.places) ? data.places : [];
+                this.stations = Array.isArray(data.stations) ? data.stations : [];
+            }
+        } catch (error) {
+            Logger.error('加载收藏失败:', error);
+            this.places = [];
+            this.stations = [];
+        }
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.key, JSON.stringify({
+                places: this.places,
+                stations: this.stations
+            }));
+        } catch (error) {
+            Logger.error('保存收藏失败:', error);
+        }
+    }
+}
+
+// 创建全局实例
+const favorites = new Favorites();
+
+// 导出（如果使用模块化）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Favorites, favorites };
+}
@@ -0,0 +1,197 @@
+/**
+ * 固定数据路线服务
+ * 从预先录制的 JSON 读取地理编码、路线和 POI，不访问网络也不需要高德 Key，
+ * 用于在 Node 中对整个查找流程做确定性的单元测试
+ *
+ * Node 中使用：
+ *   const { FixtureProvider } = require('./js/fixtureProvider');
+ *   const { StationFinder } = require('./js/stationFinder');
+ *   const { metroRouter } = require('./js/metroRouter');
+ *
+ *   const provider = FixtureProvider.fromFile('fixtures/sample.json');
+ *   const finder = new StationFinder(provider, metroRouter);
+ *   const result = await finder.findMeetingStations(['人民广场', '陆家嘴']);
+ *
+ * 数据格式见 fixtures/sample.json：
+ * - geocodes:    地址 -> 坐标信息
+ * - routes:      "lng,lat->lng,lat"（坐标保留 4 位小数） -> 公交路线
+ * - walking:     同上 -> 步行路线
+ * - stations:    地铁站 POI 列表，按距离和半径过滤后作为附近搜索结果
+ * - places:      关键词 -> 周边地点 POI 列表（餐厅、咖啡等），同样按距离和半径过滤
+ * - exits:       站点名称 -> 出入口列表 [{name: '1号口', lng, lat}]，没有时按 places 中的 POI 提取
+ * - suggestions: 关键词 -> 输入提示列表
+ *
+ * 固定数据不排队，各方法忽略 options.signal，取消由 StationFinder 在各步骤之间检查
+ */
+
+// Node 环境下加载依赖（浏览器中为全局变量）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./config'), require('./routingProvider'), require('./stationFinder'));
+}
+
+class FixtureProvider extends RoutingProvider {
+    /**
+     * @param {Object} fixtures - 固定数据
+     * @param {Object} options
+     * @param {boolean} options.strict - 为 true 时缺失的路线直接报错；否则按直线距离生成确定的估算路线
+     */
+    constructor(fixtures = {}, options = {}) {
+        super();
+        this.geocodes = fixtures.geocodes || {};
+        this.routes = fixtures.routes || {};
+        this.walking = fixtures.walking || {};
+        this.stations = fixtures.stations || [];
+        this.places = fixtures.places || {};
+        this.exits = fixtures.exits || {};
+        this.suggestions = fixtures.suggestions || {};
+        this.strict = options.strict === true;
+    }
+
+    /**
+     * 从 JSON 文件创建（仅 Node 环境）
+     */
+    static fromFile(path, options = {}) {
+        const fs = require('fs');
+        return new FixtureProvider(JSON.parse(fs.readFileSync(path, 'utf8')), options);
+    }
+
+    async geocode(address) {
+        const location = this.geocodes[address];
+        if (!location) {
+            throw new Error(`地址解析失败: ${address}`);
+        }
+        return { ...location };
+    }
+
+    /**
+     * 取 300 米内最近的已知地址，没有时退回默认的坐标名称
+     */
+    async reverseGeocode(location) {
+        let best = null;
+        let bestDistance = 300;
+        Object.entries(this.geocodes).forEach(([address, point]) => {
+            const distance = this.calculateDistance(location, point);
+            if (distance <= bestDistance) {
+                best = { address, point };
+                bestDistance = distance;
+            }
+        });
+
+        if (!best) {
+            return super.reverseGeocode(location);
+        }
+        return {
+            name: best.address,
+            formattedAddress: best.point.formattedAddress || best.address,
+            adcode: best.point.adcode || '',
+            district: best.point.district || ''
+        };
+    }
+
+    /**
+     * 固定数据不区分出发时间，options.departAt 被忽略
+     */
+    async getTransitRoute(origin, destination, options = {}) {
+        const key = FixtureProvider.routeKey(origin, destination);
+        if (this.routes[key]) {
+            return JSON.parse(JSON.stringify(this.routes[key]));
+        }
+        if (this.strict) {
+            throw new Error(`无法获取路线信息 (fixture 中没有 ${key})`);
+        }
+
+        // 估算：直线距离 × 1.4，按 8 米/秒行驶，另加 5 分钟进出站
+        const distance = Math.round(this.calculateDistance(origin, destination) * 1.4);
+        return {
+            duration: Math.round(distance / 8) + 300,
+            walking_distance: 0,
+            distance,
+            cost: 0,
+            transfers: 0,
+            segments: {
+                segments: [],
+                allSubwayStations: []
+            }
+        };
+    }
+
+    async getWalkingRoute(origin, destination) {
+        const key = FixtureProvider.routeKey(origin, destination);
+        if (this.walking[key]) {
+            return { ...this.walking[key] };
+        }
+        if (this.strict) {
+            throw new Error(`无法获取步行路线 (fixture 中没有 ${key})`);
+        }
+
+        const distance = Math.round(this.calculateDistance(origin, destination) * 1.3);
+        return {
+            duration: Math.round(distance / 1.2),
+            distance
+        };
+    }
+
+    async searchNearbySubwayStations(location, radius = 3000) {
+        return this.stations
+            .map(station => ({
+                address: '',
+                ...station,
+                distance: Math.round(this.calculateDistance(location, station))
+            }))
+            .filter(station => station.distance <= radius)
+            .sort((a, b) => a.distance - b.distance);
+    }
+
+    async searchNearbyPlaces(location, keyword, radius = CONFIG.AMENITIES.RADIUS) {
+        const pois = (this.places[keyword] || [])
+            .map(poi => ({
+                address: '',
+                type: '',
+                ...poi,
+                distance: Math.round(this.calculateDistance(location, poi))
+            }))
+            .filter(poi => poi.distance <= radius)
+            .sort((a, b) => a.distance - b.distance);
+
+        return { count: pois.length, pois };
+    }
+
+    async searchStationExits(station, options = {}) {
+        const exits = this.exits[station.name] || this.exits[RoutingProvider.getStationBaseName(station.name)];
+        return exits ? exits.map(exit => ({ ...exit })) : super.searchStationExits(station, options);
+    }
+
+    async getSuggestions(keyword) {
+        return (this.suggestions[keyword] || []).map(suggestion => ({ ...suggestion }));
+    }
+
+    /**
+     * 不真正等待，保证测试快速且结果确定
+     */
+    delay(ms) {
+        return Promise.resolve();
+    }
+
+    /**
+     * 计算两点之间的直线距离（米），复用 StationFinder 的 Haversine 公式
+     */
+    calculateDistance(loc1, loc2) {
+        return StationFinder.prototype.calculateDistance(loc1, loc2);
+    }
+
+    /**
+     * 坐标键（保留 4 位小数，约 10 米精度）
+     */
+    static pointKey(location) {
+        return `${Number(location.lng).toFixed(4)},${Number(location.lat).toFixed(4)}`;
+    }
+
+    static routeKey(origin, destination) {
+        return `${FixtureProvider.pointKey(origin)}->${FixtureProvider.pointKey(destination)}`;
+    }
+}
+
+// 导出（如果使用模块化）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FixtureProvider };
+}
@@ -1,13 +1,31 @@
 /**
  * 高德地图 API 封装
  * 使用高德 JavaScript API 的插件服务，避免跨域问题
+ * 实现 RoutingProvider 接口
  */
 
-class GaodeAPI {
-    constructor() {
+// Node 环境下加载依赖（浏览器中为全局变量）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./config'), require('./routingProvider'), require('./requestCache'), require('./rateLimiter'));
+}
+
+class GaodeAPI extends RoutingProvider {
+    /**
+     * @param {Object} options
+     * @param {RequestCache|null} options.cache - 请求缓存，传 null 关闭缓存
+     * @param {RateLimiter} options.scheduler - 请求调度器，所有高德服务调用都经过它限流和重试
+     */
+    constructor(options = {}) {
+        super();
         this.city = CONFIG.CITY;
+        this.cache = options.cache !== undefined
+            ? options.cache
+            : (CONFIG.CACHE.ENABLED ? new RequestCache() : null);
+        this.scheduler = options.scheduler || new RateLimiter();
         this.geocoder = null;
         this.transfer = null;
+        this.transfers = new Map();  // 按策略和出发时间复用的 Transfer 实例，键为"策略|日期 时间"，按最近使用排序
+        this.walking = null;
         this.placeSearch = null;
         this.autoComplete = null;  // 自动补全服务
         this.initServices();
@@ -27,6 +45,7 @@ class GaodeAPI {
             AMap.plugin([
                 'AMap.Geocoder',
                 'AMap.Transfer',
+                'AMap.Walking',
                 'AMap.PlaceSearch',
                 'AMap.AutoComplete'  // 输入提示插件
             ], () => {
@@ -46,6 +65,11 @@ class GaodeAPI {
                     });
                     Logger.log('Transfer 创建成功');
 
+                    this.walking = new AMap.Walking({
+                        hideMarkers: true
+                    });
+                    Logger.log('Walking 创建成功');
+
                     this.placeSearch = new AMap.PlaceSearch({
                         city: this.city,
                         pageSize: 20,
@@ -73,18 +97,49 @@ class GaodeAPI {
      * 确保服务已初始化
      */
     async ensureServicesReady() {
-        if (!this.geocoder || !this.transfer || !this.placeSearch || !this.autoComplete) {
+        if (!this.geocoder || !this.transfer || !this.walking || !this.placeSearch || !this.autoComplete) {
             await this.initServices();
         }
     }
 
     /**
-     * 地理编码：将地址转换为经纬度坐标
-     * 使用 Geocoder 主方案 + PlaceSearch 备用方案
+     * 优先从缓存读取，未命中时调用 loader 并写入缓存
+     * 空数组（如附近搜索失败时的兜底结果）不写入缓存
+     */
+    async withCache(namespace, key, loader) {
+        if (!this.cache) {
+            return loader();
+        }
+
+        const cached = this.cache.get(namespace, key);
+        if (cached !== undefined) {
+            Logger.log(`💾 命中缓存 [${namespace}] ${key}`);
+            return cached;
+        }
+
+        const value = await loader();
+        if (!(Array.isArray(value) && value.length === 0)) {
+            this.cache.set(namespace, key, value);
+        }
+        return value;
+    }
+
+    /**
+     * 地理编码：将地址转换为经纬度坐标（按规范化地址缓存）
      * @param {string} address - 地址字符串
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - 取消信号（可选），取消后排队中的请求不再发起
      * @returns {Promise<{lng: number, lat: number, formattedAddress: string}>}
      */
-    async geocode(address) {
+    async geocode(address, options = {}) {
+        return this.withCache('geocode', RequestCache.normalizeAddress(address), () => this.requestGeocode(address, options));
+    }
+
+    /**
+     * 地理编码请求
+     * 使用 Geocoder 主方案 + PlaceSearch 备用方案
+     */
+    async requestGeocode(address, options = {}) {
         await this.ensureServicesReady();
 
         Logger.log(`🔍 开始地理编码: ${address}`);
@@ -92,25 +147,93 @@ class GaodeAPI {
 
         // 先尝试 Geocoder
         try {
-            return await this.geocodeWithGeocoder(address);
+            return await this.geocodeWithGeocoder(address, options);
         } catch (error) {
+            if (RateLimiter.isAbortError(error)) throw error;
             Logger.warn(`⚠️  Geocoder 失败: ${error.message}，尝试使用 PlaceSearch...`);
 
             // 如果 Geocoder 失败，使用 PlaceSearch 作为备用方案
             try {
-                return await this.geocodeWithPlaceSearch(address);
+                return await this.geocodeWithPlaceSearch(address, options);
             } catch (error2) {
+                if (RateLimiter.isAbortError(error2)) throw error2;
                 Logger.error(`❌ PlaceSearch 也失败: ${error2.message}`);
                 throw new Error(`地址解析失败: ${address}。请检查: 1) 是否配置了安全密钥 2) 地址是否正确`);
             }
         }
     }
 
+    /**
+     * 逆地理编码：坐标 -> 地点名称（按取整坐标缓存）
+     * 优先使用附近的 POI 名称，没有时使用去掉省市前缀的结构化地址
+     * @param {Object} location - 坐标 {lng, lat}
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - 取消信号（可选），取消后排队中的请求不再发起
+     * @returns {Promise<{name: string, formattedAddress: string, adcode: string, district: string}>}
+     */
+    async reverseGeocode(location, options = {}) {
+        return this.withCache('reverse', RequestCache.pointKey(location), () => this.requestReverseGeocode(location, options));
+    }
+
+    /**
+     * 逆地理编码请求
+     */
+    async requestReverseGeocode(location, options = {}) {
+        await this.ensureServicesReady();
+
+        return this.scheduler.schedule(() => new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new Error('逆地理编码超时'));
+            }, 10000);
+
+            this.geocoder.getAddress([location.lng, location.lat], (status, result) => {
+                clearTimeout(timeout);
+
+                if (status === 'complete' && result.regeocode) {
+                    const regeocode = result.regeocode;
+                    const component = regeocode.addressComponent || {};
+                    const poi = (regeocode.pois || [])[0];
+                    const formattedAddress = regeocode.formattedAddress || '';
+
+                    resolve({
+                        name: poi ? poi.name : formattedAddress.replace(/^上海市/, ''),
+                        formattedAddress,
+                        adcode: component.adcode || '',
+                        district: component.district || ''
+                    });
+                } else {
+                    Logger.error('❌ 逆地理编码失败:', status, result);
+                    reject(GaodeAPI.createServiceError(`无法解析该位置 (status: ${status})`, status, result));
+                }
+            });
+        }), { signal: options.signal });
+    }
+
+    /**
+     * 将浏览器定位得到的 GPS（WGS-84）坐标转换为高德坐标（GCJ-02）
+     * @param {Object} location - GPS 坐标 {lng, lat}
+     * @returns {Promise<{lng: number, lat: number}>}
+     */
+    async convertFromGps(location) {
+        await this.ensureServicesReady();
+
+        return this.scheduler.schedule(() => new Promise((resolve, reject) => {
+            AMap.convertFrom([location.lng, location.lat], 'gps', (status, result) => {
+                if (status === 'complete' && result.locations && result.locations.length > 0) {
+                    const converted = result.locations[0];
+                    resolve({ lng: converted.lng, lat: converted.lat });
+                } else {
+                    reject(GaodeAPI.createServiceError(`坐标转换失败 (status: ${status})`, status, result));
+                }
+            });
+        }));
+    }
+
     /**
      * 使用 Geocoder 进行地理编码
      */
-    async geocodeWithGeocoder(address) {
-        return new Promise((resolve, reject) => {
+    async geocodeWithGeocoder(address, options = {}) {
+        return this.scheduler.schedule(() => new Promise((resolve, reject) => {
             // 添加超时处理
             const timeout = setTimeout(() => {
                 Logger.error('⏱️  Geocoder 超时（10秒无响应）');
@@ -146,17 +269,17 @@ class GaodeAPI {
                     }
 
                     Logger.error('❌ Geocoder 错误:', errorMsg, result);
-                    reject(new Error(errorMsg));
+                    reject(GaodeAPI.createServiceError(errorMsg, status, result));
                 }
             });
-        });
+        }), { signal: options.signal });
     }
 
     /**
      * 使用 PlaceSearch 进行地理编码（备用方案）
      */
-    async geocodeWithPlaceSearch(address) {
-        return new Promise((resolve, reject) => {
+    async geocodeWithPlaceSearch(address, options = {}) {
+        return this.scheduler.schedule(() => new Promise((resolve, reject) => {
             const timeout = setTimeout(() => {
                 reject(new Error('PlaceSearch超时'));
             }, 10000);
@@ -186,24 +309,112 @@ class GaodeAPI {
                 } else if (status === 'no_data') {
                     reject(new Error('未找到该地点'));
                 } else {
-                    reject(new Error(`PlaceSearch失败: status=${status}`));
+                    reject(GaodeAPI.createServiceError(`PlaceSearch失败: status=${status}`, status, result));
                 }
             });
-        });
+        }), { signal: options.signal });
     }
 
     /**
-     * 公交路线规划（地铁优先）
+     * 公交路线规划（按取整坐标 + 出行时段缓存）
      * @param {Object} origin - 起点坐标 {lng, lat}
      * @param {Object} destination - 终点坐标 {lng, lat}
+     * @param {Object} options - 查询选项
+     * @param {Date} options.departAt - 出发时间，默认为当前时间
+     * @param {string} options.policy - 路线偏好（CONFIG.ROUTE_POLICIES 中的键）
+     * @param {AbortSignal} options.signal - 取消信号（可选），取消后排队中的请求不再发起
      * @returns {Promise<Object>} 路线信息
      */
-    async getTransitRoute(origin, destination) {
+    async getTransitRoute(origin, destination, options = {}) {
+        const bucket = RequestCache.timeBucket(options.departAt);
+        const policyName = options.policy || CONFIG.ALGORITHM.ROUTE_POLICY;
+        const key = `${RequestCache.pointKey(origin)}->${RequestCache.pointKey(destination)}@${bucket}#${policyName}`;
+        return this.withCache('route', key, () => this.requestTransitRoute(origin, destination, options));
+    }
+
+    /**
+     * 获取指定策略和出发时间的 Transfer 实例
+     * 时间最短 + 当前时间使用初始化时创建的默认实例，其余按策略和精确的日期时间创建并复用；
+     * 实例创建后无法修改日期时间，超过 MAX_TRANSFER_SERVICES 个时淘汰最久未用的
+     */
+    getTransferService(amapPolicy, departAt) {
+        if (amapPolicy === 'LEAST_TIME' && !departAt) {
+            return this.transfer;
+        }
+
+        const when = departAt ? GaodeAPI.formatDateTime(departAt) : null;
+        const key = `${amapPolicy}|${when ? `${when.date} ${when.time}` : 'now'}`;
+        if (this.transfers.has(key)) {
+            // 重新插入，Map 的顺序即最近使用顺序
+            const transfer = this.transfers.get(key);
+            this.transfers.delete(key);
+            this.transfers.set(key, transfer);
+        } else {
+            const options = {
+                city: this.city,
+                policy: AMap.TransferPolicy[amapPolicy]
+            };
+            if (when) {
+                options.date = when.date;
+                options.time = when.time;
+            }
+            this.transfers.set(key, new AMap.Transfer(options));
+            if (this.transfers.size > GaodeAPI.MAX_TRANSFER_SERVICES) {
+                this.transfers.delete(this.transfers.keys().next().value);
+            }
+        }
+        return this.transfers.get(key);
+    }
+
+    /**
+     * 按路线偏好从高德返回的方案中选择一个
+     * 只坐地铁时先排除含公交的方案，再按等效耗时取最优
+     * @returns {Object|null} 选中的方案，没有符合条件的方案时返回 null
+     */
+    selectPlan(plans, policy) {
+        const candidates = policy.subwayOnly
+            ? plans.filter(plan => !this.planUsesBus(plan))
+            : plans;
+
+        let best = null;
+        let bestCost = Infinity;
+        candidates.forEach(plan => {
+            const cost = RoutingProvider.getRouteCost({
+                duration: parseInt(plan.time) || 0,
+                walking_distance: parseInt(plan.walking_distance) || 0,
+                cost: parseFloat(plan.cost) || 0,
+                transfers: GaodeAPI.countTransfers(plan)
+            }, policy);
+            if (cost < bestCost) {
+                best = plan;
+                bestCost = cost;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * 方案中是否有非地铁的公共交通段
+     */
+    planUsesBus(plan) {
+        return plan.segments.some(segment => (
+            segment.transit &&
+            (segment.transit.lines || []).some(line => !this.isSubwayLine(line.name || ''))
+        ));
+    }
+
+    /**
+     * 公交路线规划请求（地铁优先）
+     */
+    async requestTransitRoute(origin, destination, options = {}) {
         await this.ensureServicesReady();
+        const policy = RoutingProvider.getPolicy(options.policy);
+        const transfer = this.getTransferService(policy.amapPolicy, options.departAt);
 
         Logger.log(`🚇 开始查询路线: [${origin.lng}, ${origin.lat}] -> [${destination.lng}, ${destination.lat}]`);
 
-        return new Promise((resolve, reject) => {
+        return this.scheduler.schedule(() => new Promise((resolve, reject) => {
             // 添加超时处理
             const timeout = setTimeout(() => {
                 Logger.error('⏱️  路线查询超时（15秒无响应）');
@@ -215,7 +426,7 @@ class GaodeAPI {
 
             Logger.log('调用 Transfer.search...', { start: startLngLat, end: endLngLat });
 
-            this.transfer.search(startLngLat, endLngLat, (status, result) => {
+            transfer.search(startLngLat, endLngLat, (status, result) => {
                 clearTimeout(timeout);
 
                 Logger.log(`Transfer 回调 - status: ${status}`, result);
@@ -223,11 +434,23 @@ class GaodeAPI {
                 if (status === 'complete' && result.plans && result.plans.length > 0) {
                     Logger.log(`✅ 找到 ${result.plans.length} 个路线方案`);
 
-                    const plan = result.plans[0];  // 取第一条推荐路线
-                    Logger.log('选择第一个方案:', plan);
+                    const plan = this.selectPlan(result.plans, policy);
+                    if (!plan) {
+                        reject(new Error('没有只乘坐地铁的方案'));
+                        return;
+                    }
+                    Logger.log(`按"${policy.label}"选择方案:`, plan);
 
-                    // 提取地铁站信息
+                    // 提取地铁站信息（名称和坐标）
                     const subwayStations = new Set();
+                    const stopLocations = {};
+                    const addStop = stop => {
+                        if (!stop || !stop.name) return;
+                        subwayStations.add(stop.name);
+                        if (stop.location) {
+                            stopLocations[stop.name] = { lng: stop.location.lng, lat: stop.location.lat };
+                        }
+                    };
                     const segments = [];
 
                     plan.segments.forEach((segment, idx) => {
@@ -240,7 +463,8 @@ class GaodeAPI {
                             segments.push({
                                 type: 'walking',
                                 distance: parseInt(walking.distance || 0),
-                                duration: parseInt(walking.time || segment.time || 0)
+                                duration: parseInt(walking.time || segment.time || 0),
+                                path: GaodeAPI.getSegmentPath(segment)
                             });
                         }
                         // 公交/地铁段
@@ -253,21 +477,11 @@ class GaodeAPI {
                                     // 检查是否为地铁
                                     if (this.isSubwayLine(line.name || '')) {
                                         // 提取途径站点
-                                        if (line.via_stops && line.via_stops.length > 0) {
-                                            line.via_stops.forEach(stop => {
-                                                if (stop && stop.name) {
-                                                    subwayStations.add(stop.name);
-                                                }
-                                            });
-                                        }
+                                        (line.via_stops || []).forEach(addStop);
 
                                         // 添加起始站和终点站
-                                        if (line.departure_stop && line.departure_stop.name) {
-                                            subwayStations.add(line.departure_stop.name);
-                                        }
-                                        if (line.arrival_stop && line.arrival_stop.name) {
-                                            subwayStations.add(line.arrival_stop.name);
-                                        }
+                                        addStop(line.departure_stop);
+                                        addStop(line.arrival_stop);
 
                                         segments.push({
                                             type: 'subway',
@@ -275,7 +489,19 @@ class GaodeAPI {
                                             startStation: (line.departure_stop && line.departure_stop.name) || '',
                                             endStation: (line.arrival_stop && line.arrival_stop.name) || '',
                                             duration: parseInt(line.time || 0),
-                                            distance: parseInt(line.distance || 0)
+                                            distance: parseInt(line.distance || 0),
+                                            ...GaodeAPI.getRideGeometry(segment, line)
+                                        });
+                                    } else if (line === lines[0]) {
+                                        // 公交段（同一段的多条可选线路只记录第一条）
+                                        segments.push({
+                                            type: 'bus',
+                                            lineName: line.name || '',
+                                            startStation: (line.departure_stop && line.departure_stop.name) || '',
+                                            endStation: (line.arrival_stop && line.arrival_stop.name) || '',
+                                            duration: parseInt(line.time || 0),
+                                            distance: parseInt(line.distance || 0),
+                                            ...GaodeAPI.getRideGeometry(segment, line)
                                         });
                                     }
                                 });
@@ -290,9 +516,11 @@ class GaodeAPI {
                         walking_distance: parseInt(plan.walking_distance) || 0,  // 步行距离（米）
                         distance: parseInt(plan.distance) || 0,  // 总距离（米）
                         cost: parseFloat(plan.cost) || 0,  // 价格
+                        transfers: GaodeAPI.countTransfers(plan),  // 换乘次数
                         segments: {
                             segments: segments,
-                            allSubwayStations: Array.from(subwayStations)
+                            allSubwayStations: Array.from(subwayStations),
+                            stopLocations
                         }
                     };
 
@@ -300,10 +528,55 @@ class GaodeAPI {
                     resolve(routeData);
                 } else {
                     Logger.error('❌ 路线查询失败:', status, result);
-                    reject(new Error(`无法获取路线信息 (status: ${status})`));
+                    reject(GaodeAPI.createServiceError(`无法获取路线信息 (status: ${status})`, status, result));
                 }
             });
-        });
+        }), { signal: options.signal });
+    }
+
+    /**
+     * 步行路线规划（按取整坐标缓存）
+     * 用于离线路网模式下从出发地步行到附近地铁站的"最后一公里"
+     * @param {Object} origin - 起点坐标 {lng, lat}
+     * @param {Object} destination - 终点坐标 {lng, lat}
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - 取消信号（可选），取消后排队中的请求不再发起
+     * @returns {Promise<{duration: number, distance: number, path: Array}>}
+     */
+    async getWalkingRoute(origin, destination, options = {}) {
+        const key = `${RequestCache.pointKey(origin)}->${RequestCache.pointKey(destination)}`;
+        return this.withCache('walking', key, () => this.requestWalkingRoute(origin, destination, options));
+    }
+
+    /**
+     * 步行路线规划请求
+     */
+    async requestWalkingRoute(origin, destination, options = {}) {
+        await this.ensureServicesReady();
+
+        return this.scheduler.schedule(() => new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new Error('步行路线查询超时'));
+            }, 10000);
+
+            const startLngLat = new AMap.LngLat(origin.lng, origin.lat);
+            const endLngLat = new AMap.LngLat(destination.lng, destination.lat);
+
+            this.walking.search(startLngLat, endLngLat, (status, result) => {
+                clearTimeout(timeout);
+
+                if (status === 'complete' && result.routes && result.routes.length > 0) {
+                    const route = result.routes[0];
+                    resolve({
+                        duration: parseInt(route.time) || 0,
+                        distance: parseInt(route.distance) || 0,
+                        path: GaodeAPI.toPath((route.steps || []).reduce((points, step) => points.concat(step.path || []), []))
+                    });
+                } else {
+                    reject(GaodeAPI.createServiceError(`无法获取步行路线 (status: ${status})`, status, result));
+                }
+            });
+        }), { signal: options.signal });
     }
 
     /**
@@ -316,15 +589,33 @@ class GaodeAPI {
     }
 
     /**
-     * 搜索附近的地铁站
+     * 搜索附近的地铁站（按取整坐标 + 半径缓存）
      * @param {Object} location - 中心点坐标 {lng, lat}
      * @param {number} radius - 搜索半径（米）
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - 取消信号（可选），取消后排队中的请求不再发起
      * @returns {Promise<Array>} 地铁站列表
      */
-    async searchNearbySubwayStations(location, radius = 3000) {
+    async searchNearbySubwayStations(location, radius = 3000, options = {}) {
+        const key = `${RequestCache.pointKey(location)}@${radius}`;
+        try {
+            return await this.withCache('nearby', key, () => this.requestNearbySubwayStations(location, radius, options));
+        } catch (error) {
+            if (RateLimiter.isAbortError(error)) throw error;
+            // 重试后仍然失败：返回空列表，不阻断查找流程
+            Logger.error('搜索地铁站失败:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * 附近地铁站搜索请求
+     * 频率限制错误会被拒绝以便调度器重试，其他错误直接返回空列表
+     */
+    async requestNearbySubwayStations(location, radius, options = {}) {
         await this.ensureServicesReady();
 
-        return new Promise((resolve, reject) => {
+        return this.scheduler.schedule(() => new Promise((resolve, reject) => {
             this.placeSearch.searchNearBy('地铁站', [location.lng, location.lat], radius, (status, result) => {
                 if (status === 'complete' && result.poiList && result.poiList.pois) {
                     const stations = result.poiList.pois.map(poi => {
@@ -332,6 +623,7 @@ class GaodeAPI {
                         return {
                             name: poi.name,
                             address: poi.address || '',
+                            district: poi.adname || '',
                             lng: loc.lng,
                             lat: loc.lat,
                             distance: parseInt(poi.distance) || 0
@@ -344,11 +636,64 @@ class GaodeAPI {
                     Logger.warn('附近没有找到地铁站');
                     resolve([]);
                 } else {
-                    Logger.error('搜索地铁站失败:', status, result);
-                    resolve([]);
+                    const error = GaodeAPI.createServiceError(`搜索地铁站失败 (status: ${status})`, status, result);
+                    if (RateLimiter.isRetryableError(error)) {
+                        reject(error);
+                    } else {
+                        Logger.error('搜索地铁站失败:', status, result);
+                        resolve([]);
+                    }
                 }
             });
-        });
+        }), { signal: options.signal });
+    }
+
+    /**
+     * 按关键词搜索周边地点（餐厅、咖啡等，按坐标、半径和关键词缓存）
+     * @param {Object} location - 中心点
+     * @param {string} keyword - 搜索关键词
+     * @param {number} radius - 搜索半径（米）
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - 取消信号（可选），取消后排队中的请求不再发起
+     * @returns {Promise<{count: number, pois: Array}>} 失败时返回空结果
+     */
+    async searchNearbyPlaces(location, keyword, radius = CONFIG.AMENITIES.RADIUS, options = {}) {
+        const key = `${RequestCache.pointKey(location)}@${radius}#${keyword}`;
+        try {
+            return await this.withCache('nearby', key, () => this.requestNearbyPlaces(location, keyword, radius, options));
+        } catch (error) {
+            if (RateLimiter.isAbortError(error)) throw error;
+            Logger.error(`搜索周边${keyword}失败:`, error.message);
+            return { count: 0, pois: [] };
+        }
+    }
+
+    /**
+     * 周边地点搜索请求
+     * 失败时拒绝（频率限制错误由调度器重试），避免把失败结果写入缓存
+     */
+    async requestNearbyPlaces(location, keyword, radius, options = {}) {
+        await this.ensureServicesReady();
+
+        return this.scheduler.schedule(() => new Promise((resolve, reject) => {
+            this.placeSearch.searchNearBy(keyword, [location.lng, location.lat], radius, (status, result) => {
+                if (status === 'complete' && result.poiList) {
+                    const pois = (result.poiList.pois || []).map(poi => ({
+                        name: poi.name,
+                        address: typeof poi.address === 'string' ? poi.address : '',
+                        lng: poi.location.lng,
+                        lat: poi.location.lat,
+                        distance: parseInt(poi.distance) || 0,
+                        type: poi.type || ''
+                    }));
+                    resolve({ count: parseInt(result.poiList.count) || pois.length, pois });
+                } else if (status === 'no_data') {
+                    resolve({ count: 0, pois: [] });
+                } else {
+                    reject(GaodeAPI.createServiceError(`搜索周边${keyword}失败 (status: ${status})`, status, result));
+                }
+            });
+        }), { signal: options.signal });
     }
 
     /**
@@ -358,51 +703,30 @@ class GaodeAPI {
      * @returns {Promise<Array>} 包含时间信息的地铁站数组
      */
     async batchCalculateTransitTime(origin, stations) {
-        const results = [];
-
-        // 分批处理，避免请求过多
-        const batchSize = 5;
-        for (let i = 0; i < stations.length; i += batchSize) {
-            const batch = stations.slice(i, i + batchSize);
-            const promises = batch.map(async station => {
-                try {
-                    const route = await this.getTransitRoute(origin, station);
-                    return {
-                        ...station,
-                        duration: route.duration,
-                        distance: route.distance,
-                        walkingDistance: route.walking_distance
-                    };
-                } catch (error) {
-                    Logger.error(`计算到 ${station.name} 的时间失败:`, error);
-                    return {
-                        ...station,
-                        duration: Infinity,
-                        distance: Infinity,
-                        error: true
-                    };
-                }
-            });
-
-            const batchResults = await Promise.all(promises);
-            results.push(...batchResults);
-
-            // 添加小延迟避免API限流
-            if (i + batchSize < stations.length) {
-                await this.delay(200);
+        // 请求节奏由调度器统一控制，这里直接并发提交
+        const results = await Promise.all(stations.map(async station => {
+            try {
+                const route = await this.getTransitRoute(origin, station);
+                return {
+                    ...station,
+                    duration: route.duration,
+                    distance: route.distance,
+                    walkingDistance: route.walking_distance
+                };
+            } catch (error) {
+                Logger.error(`计算到 ${station.name} 的时间失败:`, error);
+                return {
+                    ...station,
+                    duration: Infinity,
+                    distance: Infinity,
+                    error: true
+                };
             }
-        }
+        }));
 
         return results.filter(r => !r.error && r.duration !== Infinity);
     }
 
-    /**
-     * 延迟函数
-     */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
     /**
      * 格式化时间（秒 -> 分钟）
      */
@@ -416,6 +740,108 @@ class GaodeAPI {
         return `${hours}小时${mins}分钟`;
     }
 
+    /**
+     * 取一段路线的路径坐标
+     * 乘车段使用 transit.path；步行段没有整体路径时拼接各步骤的 path
+     * @returns {Array<[number, number]>}
+     */
+    static getSegmentPath(segment) {
+        const transit = segment.transit || {};
+        if (transit.path && transit.path.length > 0) {
+            return GaodeAPI.toPath(transit.path);
+        }
+        if (transit.steps && transit.steps.length > 0) {
+            return GaodeAPI.toPath(transit.steps.reduce((points, step) => points.concat(step.path || []), []));
+        }
+        return GaodeAPI.toPath(segment.path || []);
+    }
+
+    /**
+     * 乘车段的路径、上下车站坐标、乘坐站数和方向
+     * @returns {{path: Array, startLocation: Array|null, endLocation: Array|null, stopCount: number, direction: string}}
+     */
+    static getRideGeometry(segment, line) {
+        const transit = segment.transit || {};
+        const departure = line.departure_stop || transit.on_station || {};
+        const arrival = line.arrival_stop || transit.off_station || {};
+        const viaCount = line.via_num !== undefined ? parseInt(line.via_num) : (line.via_stops || []).length;
+
+        return {
+            path: GaodeAPI.getSegmentPath(segment),
+            startLocation: departure.location ? GaodeAPI.toPoint(departure.location) : null,
+            endLocation: arrival.location ? GaodeAPI.toPoint(arrival.location) : null,
+            stopCount: (viaCount || 0) + 1,
+            direction: GaodeAPI.getLineDirection(line.name || '')
+        };
+    }
+
+    /**
+     * 从线路名称中取行驶方向的终点站
+     * 高德的线路名按行驶方向命名，如"地铁2号线(浦东国际机场--徐泾东)"的方向为徐泾东
+     */
+    static getLineDirection(lineName) {
+        const match = lineName.match(/\(([^()]*?)--([^()]*?)\)/);
+        return match ? match[2] : '';
+    }
+
+    /**
+     * 坐标序列转为 [[lng, lat], ...]，保留 5 位小数（约 1 米）并去掉相邻重复点，减小缓存体积
+     */
+    static toPath(points) {
+        const path = [];
+        points.forEach(point => {
+            const coord = GaodeAPI.toPoint(point);
+            const last = path[path.length - 1];
+            if (coord && !(last && last[0] === coord[0] && last[1] === coord[1])) {
+                path.push(coord);
+            }
+        });
+        return path;
+    }
+
+    /**
+     * 单个坐标转为 [lng, lat]，兼容 AMap.LngLat、{lng, lat}、[lng, lat] 和 "lng,lat"
+     */
+    static toPoint(point) {
+        let lng;
+        let lat;
+        if (Array.isArray(point)) {
+            [lng, lat] = point;
+        } else if (typeof point === 'string') {
+            [lng, lat] = point.split(',').map(Number);
+        } else if (point && typeof point.getLng === 'function') {
+            lng = point.getLng();
+            lat = point.getLat();
+        } else if (point) {
+            lng = point.lng;
+            lat = point.lat;
+        }
+
+        if (!isFinite(lng) || !isFinite(lat)) return null;
+        return [Number(Number(lng).toFixed(5)), Number(Number(lat).toFixed(5))];
+    }
+
+    /**
+     * 方案的换乘次数：乘车段数 - 1
+     */
+    static countTransfers(plan) {
+        const rides = plan.segments.filter(segment => segment.transit && segment.transit_mode !== 'WALK').length;
+        return Math.max(0, rides - 1);
+    }
+
+    /**
+     * 转为 Transfer 的 date / time 参数格式
+     * @returns {{date: string, time: string}} 如 {date: '2024-05-01', time: '22:30'}
+     */
+    static formatDateTime(value) {
+        const d = new Date(value);
+        const pad = n => String(n).padStart(2, '0');
+        return {
+            date: `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`,
+            time: `${pad(d.getHours())}:${pad(d.getMinutes())}`
+        };
+    }
+
     /**
      * 格式化距离（米 -> 公里）
      */
@@ -440,7 +866,7 @@ class GaodeAPI {
 
         Logger.log(`🔍 开始获取输入提示: ${keyword}`);
 
-        return new Promise((resolve, reject) => {
+        return this.scheduler.schedule(() => new Promise((resolve, reject) => {
             const timeout = setTimeout(() => {
                 Logger.warn('⏱️  AutoComplete 超时（5秒无响应）');
                 resolve([]);  // 超时返回空数组，不阻断用户操作
@@ -477,9 +903,31 @@ class GaodeAPI {
                     resolve([]);  // 失败返回空数组，不影响用户继续操作
                 }
             });
-        });
+        }));
+    }
+
+    /**
+     * 创建带有高德返回信息的错误，供调度器判断是否需要重试
+     * @param {string} message - 错误信息
+     * @param {string} status - 服务回调的 status
+     * @param {Object} result - 服务回调的 result，包含 info / infocode
+     */
+    static createServiceError(message, status, result) {
+        const error = new Error(message);
+        error.status = status;
+        error.info = (result && result.info) || '';
+        error.infocode = (result && result.infocode) || '';
+        return error;
     }
 }
 
-// 创建全局实例
-const gaodeAPI = new GaodeAPI();
+// 按策略和出发时间缓存的 Transfer 实例上限
+GaodeAPI.MAX_TRANSFER_SERVICES = 8;
+
+// 创建全局实例（仅浏览器环境）
+const gaodeAPI = typeof window !== 'undefined' ? new GaodeAPI() : null;
+
+// 导出（如果使用模块化）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GaodeAPI, gaodeAPI };
+}
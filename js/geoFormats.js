@@ -0,0 +1,431 @@
+/**
+ * 地理数据导入导出
+ * - 导出：把查找结果（起点、推荐站点、每个人到各站的分段路线）转为 GeoJSON / GPX / KML
+ * - 导入：从 GeoJSON / CSV 读取参与者出发地，结果可直接作为 findMeetingStations 的地点
+ *
+ * 高德使用 GCJ-02 坐标，而其他地图工具和这些文件格式通常使用 WGS-84，
+ * 导出和导入时默认在两者之间转换（coordSystem: 'wgs84'）；传 'gcj02' 则保持原坐标
+ */
+
+// Node 环境下加载依赖（浏览器中为全局变量）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./config'), require('./gaodeApi'), require('./stationFinder'));
+}
+
+class GeoFormats {
+    /**
+     * 导出为 GeoJSON FeatureCollection
+     * 要素的 properties.type 为 origin（起点）、station（推荐站点）或 leg（路段）
+     * @param {Object} result - findMeetingStations / findMiddleStations 的返回值
+     * @param {Object} options - {coordSystem: 'wgs84'|'gcj02'}
+     * @returns {string}
+     */
+    static toGeoJSON(result, options = {}) {
+        const convert = GeoFormats.getExportConverter(options);
+        const features = [];
+
+        result.origins.forEach((origin, index) => {
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: convert([origin.lng, origin.lat]) },
+                properties: { type: 'origin', label: StationFinder.getOriginLabel(index), name: GeoFormats.getOriginName(origin) }
+            });
+        });
+
+        result.recommendations.forEach((station, rank) => {
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: convert([station.lng, station.lat]) },
+                properties: {
+                    type: 'station',
+                    rank: rank + 1,
+                    name: station.name,
+                    times: station.times,
+                    maxTime: station.maxTime,
+                    timeDiff: station.timeDiff,
+                    totalTime: station.totalTime
+                }
+            });
+        });
+
+        GeoFormats.getLegs(result).forEach(leg => {
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates: leg.path.map(convert) },
+                properties: {
+                    type: 'leg',
+                    station: leg.station.name,
+                    origin: leg.originLabel,
+                    mode: leg.segment.type,
+                    lineName: leg.segment.lineName || null,
+                    duration: leg.segment.duration,
+                    distance: leg.segment.distance
+                }
+            });
+        });
+
+        return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+    }
+
+    /**
+     * 导出为 GPX：起点和推荐站点为航点，每个人到每个站的路线为一条轨迹（每个路段一个 trkseg）
+     * @returns {string}
+     */
+    static toGPX(result, options = {}) {
+        const convert = GeoFormats.getExportConverter(options);
+        const esc = GeoFormats.escapeXml;
+        const point = (tag, [lng, lat], inner) => (
+            `<${tag} lat="${lat.toFixed(6)}" lon="${lng.toFixed(6)}">${inner}</${tag}>`
+        );
+
+        const waypoints = [
+            ...result.origins.map((origin, index) => point('wpt', convert([origin.lng, origin.lat]),
+                `<name>${esc(`${StationFinder.getOriginLabel(index)} ${GeoFormats.getOriginName(origin)}`)}</name><type>origin</type>`)),
+            ...result.recommendations.map((station, rank) => point('wpt', convert([station.lng, station.lat]),
+                `<name>${esc(`${rank + 1}. ${station.name}`)}</name><type>station</type>`))
+        ];
+
+        const tracks = GeoFormats.groupLegs(result).map(({ name, legs }) => [
+            `  <trk><name>${esc(name)}</name>`,
+            ...legs.map(leg => (
+                `    <trkseg>${leg.path.map(p => point('trkpt', convert(p), '')).join('')}</trkseg>`
+            )),
+            '  </trk>'
+        ].join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="Shanghai Subway Finder" xmlns="http://www.topografix.com/GPX/1/1">',
+            ...waypoints.map(wpt => `  ${wpt}`),
+            ...tracks,
+            '</gpx>'
+        ].join('\n');
+    }
+
+    /**
+     * 导出为 KML：起点、推荐站点为地标，路线按站点分文件夹，地铁段使用线路颜色
+     * @returns {string}
+     */
+    static toKML(result, options = {}) {
+        const convert = GeoFormats.getExportConverter(options);
+        const esc = GeoFormats.escapeXml;
+        const coords = points => points.map(p => convert(p).map(v => v.toFixed(6)).join(',')).join(' ');
+        const placemark = (name, point, description = '') => (
+            `    <Placemark><name>${esc(name)}</name>${description ? `<description>${esc(description)}</description>` : ''}` +
+            `<Point><coordinates>${coords([point])}</coordinates></Point></Placemark>`
+        );
+
+        const origins = result.origins.map((origin, index) => placemark(
+            `${StationFinder.getOriginLabel(index)} ${GeoFormats.getOriginName(origin)}`, [origin.lng, origin.lat]
+        ));
+        const stations = result.recommendations.map((station, rank) => placemark(
+            `${rank + 1}. ${station.name}`,
+            [station.lng, station.lat],
+            station.times.map((time, i) => `${StationFinder.getOriginLabel(i)} ${GaodeAPI.formatDuration(time)}`).join('，')
+        ));
+
+        const folders = GeoFormats.groupLegs(result).map(({ name, legs }) => [
+            `    <Folder><name>${esc(name)}</name>`,
+            ...legs.map(leg => (
+                `      <Placemark><name>${esc(GeoFormats.describeSegment(leg.segment))}</name>` +
+                `<Style><LineStyle><color>${GeoFormats.toKmlColor(GeoFormats.getSegmentColor(leg))}</color><width>4</width></LineStyle></Style>` +
+                `<LineString><tessellate>1</tessellate><coordinates>${coords(leg.path)}</coordinates></LineString></Placemark>`
+            )),
+            '    </Folder>'
+        ].join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2">',
+            '  <Document>',
+            '    <name>上海地铁中间站推荐</name>',
+            ...origins,
+            ...stations,
+            ...folders,
+            '  </Document>',
+            '</kml>'
+        ].join('\n');
+    }
+
+    /**
+     * 从文件内容读取参与者出发地
+     * - GeoJSON：Point 要素，名称取 properties.name / title / address；
+     *   含 type=origin 的要素时（如本工具导出的文件）只读取这些要素
+     * - CSV：表头包含 name/名称、address/地址、lng/经度、lat/纬度 等列；
+     *   没有表头时每行为"地址"或"名称,经度,纬度"
+     * @param {string} text - 文件内容
+     * @param {string} filename - 文件名，用于判断格式
+     * @param {Object} options - {coordSystem: 'wgs84'|'gcj02'} 文件中坐标的坐标系
+     * @returns {Array<string|Object>} 地址字符串或 {name, lng, lat}
+     */
+    static parseOrigins(text, filename = '', options = {}) {
+        const trimmed = String(text).replace(/^\uFEFF/, '').trim();
+        const isJson = /\.(geo)?json$/i.test(filename) || trimmed.startsWith('{');
+
+        const places = isJson
+            ? GeoFormats.parseGeoJSONOrigins(trimmed, GeoFormats.getImportConverter(options))
+            : GeoFormats.parseCSVOrigins(trimmed, GeoFormats.getImportConverter(options));
+
+        if (places.length === 0) {
+            throw new Error('文件中没有找到出发地');
+        }
+        return places;
+    }
+
+    static parseGeoJSONOrigins(text, convert) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('GeoJSON 格式错误');
+        }
+
+        const features = data.type === 'FeatureCollection' ? data.features || [] : [data];
+        const points = features.filter(feature => (
+            feature && feature.geometry && feature.geometry.type === 'Point'
+        ));
+        const origins = points.filter(feature => feature.properties && feature.properties.type === 'origin');
+
+        return (origins.length > 0 ? origins : points).map((feature, index) => {
+            const properties = feature.properties || {};
+            const [lng, lat] = convert(feature.geometry.coordinates);
+            return {
+                name: String(properties.name || properties.title || properties.address || `地点 ${index + 1}`),
+                lng,
+                lat
+            };
+        });
+    }
+
+    static parseCSVOrigins(text, convert) {
+        const rows = GeoFormats.parseCSV(text).filter(row => row.some(cell => cell));
+        if (rows.length === 0) return [];
+
+        const header = rows[0].map(cell => cell.toLowerCase());
+        const findColumn = names => header.findIndex(cell => names.includes(cell));
+        let columns = {
+            name: findColumn(GeoFormats.CSV_COLUMNS.name),
+            address: findColumn(GeoFormats.CSV_COLUMNS.address),
+            lng: findColumn(GeoFormats.CSV_COLUMNS.lng),
+            lat: findColumn(GeoFormats.CSV_COLUMNS.lat)
+        };
+
+        const hasHeader = Object.values(columns).some(index => index !== -1);
+        if (!hasHeader) {
+            columns = rows[0].length >= 3 ? { name: 0, address: -1, lng: 1, lat: 2 } : { name: -1, address: 0, lng: -1, lat: -1 };
+        }
+
+        return rows.slice(hasHeader ? 1 : 0).map(row => {
+            const name = (row[columns.name] || '').trim();
+            const address = (row[columns.address] || '').trim();
+            const lng = parseFloat(row[columns.lng]);
+            const lat = parseFloat(row[columns.lat]);
+
+            if (isFinite(lng) && isFinite(lat)) {
+                const [x, y] = convert([lng, lat]);
+                return { name: name || address || `${lng},${lat}`, lng: x, lat: y };
+            }
+            return address || name;
+        }).filter(place => place);
+    }
+
+    /**
+     * 解析 CSV（支持双引号包裹和转义的字段）
+     * @returns {string[][]}
+     */
+    static parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field.trim());
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field.trim());
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        row.push(field.trim());
+        rows.push(row);
+
+        return rows;
+    }
+
+    /**
+     * 展开结果中每个人到每个推荐站点的路段
+     * 路段没有坐标（如固定数据的估算路线）时退回起点到站点的直线
+     * @returns {Array<{station, originLabel, originIndex, segment, path}>}
+     */
+    static getLegs(result) {
+        const legs = [];
+
+        result.recommendations.forEach(station => {
+            result.origins.forEach((origin, originIndex) => {
+                const route = station.routes && station.routes[originIndex];
+                const segments = route && route.segments ? route.segments.segments : [];
+                const withPath = segments.filter(segment => segment.path && segment.path.length > 1);
+                const originLabel = StationFinder.getOriginLabel(originIndex);
+
+                if (withPath.length === 0) {
+                    legs.push({
+                        station,
+                        originLabel,
+                        originIndex,
+                        segment: { type: 'direct', duration: route ? route.duration : null, distance: route ? route.distance : null },
+                        path: [[origin.lng, origin.lat], [station.lng, station.lat]]
+                    });
+                    return;
+                }
+
+                withPath.forEach(segment => {
+                    legs.push({ station, originLabel, originIndex, segment, path: segment.path });
+                });
+            });
+        });
+
+        return legs;
+    }
+
+    /**
+     * 按"起点 → 站点"分组的路段，用于 GPX 轨迹和 KML 文件夹
+     */
+    static groupLegs(result) {
+        const groups = new Map();
+
+        GeoFormats.getLegs(result).forEach(leg => {
+            const name = `${leg.originLabel} → ${leg.station.name}`;
+            if (!groups.has(name)) {
+                groups.set(name, { name, legs: [] });
+            }
+            groups.get(name).legs.push(leg);
+        });
+
+        return Array.from(groups.values());
+    }
+
+    static describeSegment(segment) {
+        if (segment.type === 'walking') return '步行';
+        if (segment.type === 'direct') return '直线（无路线数据）';
+        return `${segment.lineName} ${segment.startStation} → ${segment.endStation}`;
+    }
+
+    /**
+     * 路段颜色：地铁使用线路颜色，其余使用参与者颜色
+     */
+    static getSegmentColor(leg) {
+        if (leg.segment.type === 'subway' && typeof metroRouter !== 'undefined' && metroRouter) {
+            const color = metroRouter.getLineColor(leg.segment.lineName);
+            if (color) return color;
+        }
+        return StationFinder.getOriginColor(leg.originIndex);
+    }
+
+    /**
+     * "#RRGGBB" -> KML 的 "AABBGGRR"
+     */
+    static toKmlColor(hex) {
+        const [, r, g, b] = hex.match(/^#(..)(..)(..)$/) || [null, '18', '90', 'ff'];
+        return `ff${b}${g}${r}`.toLowerCase();
+    }
+
+    static getOriginName(origin) {
+        return origin.address || origin.name || origin.formattedAddress || '';
+    }
+
+    static escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    static getExportConverter(options) {
+        return (options.coordSystem || 'wgs84') === 'wgs84'
+            ? ([lng, lat]) => GeoFormats.gcjToWgs(lng, lat)
+            : ([lng, lat]) => [lng, lat];
+    }
+
+    static getImportConverter(options) {
+        return (options.coordSystem || 'wgs84') === 'wgs84'
+            ? ([lng, lat]) => GeoFormats.wgsToGcj(Number(lng), Number(lat))
+            : ([lng, lat]) => [Number(lng), Number(lat)];
+    }
+
+    /**
+     * WGS-84 -> GCJ-02（国测局公开的偏移算法，误差在 1 米以内）
+     */
+    static wgsToGcj(lng, lat) {
+        const a = 6378245.0;
+        const ee = 0.00669342162296594323;
+        const x = lng - 105.0;
+        const y = lat - 35.0;
+
+        let dLat = -100.0 + 2.0 * x + 3.0 * y + 0.2 * y * y + 0.1 * x * y + 0.2 * Math.sqrt(Math.abs(x));
+        dLat += (20.0 * Math.sin(6.0 * x * Math.PI) + 20.0 * Math.sin(2.0 * x * Math.PI)) * 2.0 / 3.0;
+        dLat += (20.0 * Math.sin(y * Math.PI) + 40.0 * Math.sin(y / 3.0 * Math.PI)) * 2.0 / 3.0;
+        dLat += (160.0 * Math.sin(y / 12.0 * Math.PI) + 320 * Math.sin(y * Math.PI / 30.0)) * 2.0 / 3.0;
+
+        let dLng = 300.0 + x + 2.0 * y + 0.1 * x * x + 0.1 * x * y + 0.1 * Math.sqrt(Math.abs(x));
+        dLng += (20.0 * Math.sin(6.0 * x * Math.PI) + 20.0 * Math.sin(2.0 * x * Math.PI)) * 2.0 / 3.0;
+        dLng += (20.0 * Math.sin(x * Math.PI) + 40.0 * Math.sin(x / 3.0 * Math.PI)) * 2.0 / 3.0;
+        dLng += (150.0 * Math.sin(x / 12.0 * Math.PI) + 300.0 * Math.sin(x / 30.0 * Math.PI)) * 2.0 / 3.0;
+
+        const radLat = lat / 180.0 * Math.PI;
+        const magic = 1 - ee * Math.sin(radLat) * Math.sin(radLat);
+        const sqrtMagic = Math.sqrt(magic);
+        dLat = (dLat * 180.0) / ((a * (1 - ee)) / (magic * sqrtMagic) * Math.PI);
+        dLng = (dLng * 180.0) / (a / sqrtMagic * Math.cos(radLat) * Math.PI);
+
+        return [lng + dLng, lat + dLat];
+    }
+
+    /**
+     * GCJ-02 -> WGS-84（迭代求 wgsToGcj 的逆，几次即收敛到厘米级）
+     */
+    static gcjToWgs(lng, lat) {
+        let wgsLng = lng;
+        let wgsLat = lat;
+
+        for (let i = 0; i < 5; i++) {
+            const [gcjLng, gcjLat] = GeoFormats.wgsToGcj(wgsLng, wgsLat);
+            wgsLng -= gcjLng - lng;
+            wgsLat -= gcjLat - lat;
+        }
+
+        return [wgsLng, wgsLat];
+    }
+}
+
+// CSV 表头中可识别的列名（小写）
+GeoFormats.CSV_COLUMNS = {
+    name: ['name', 'label', 'title', '名称', '姓名', '参与者'],
+    address: ['address', '地址'],
+    lng: ['lng', 'lon', 'longitude', '经度'],
+    lat: ['lat', 'latitude', '纬度']
+};
+
+// 导出（如果使用模块化）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GeoFormats };
+}
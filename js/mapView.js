@@ -8,8 +8,23 @@ class MapView {
         this.containerId = containerId;
         this.map = null;
         this.markers = [];
-        this.polylines = [];
+        this.originMarkers = [];  // 参与者起点标记（可拖动），与 markers 中的同一对象
+        this.polylines = [];      // 路线覆盖物（折线和换乘站标记）
+        this.segmentHighlight = null;  // 行程中当前高亮的路段
+        this.poiMarkers = [];     // 站点周边设施标记（独立图层，单独清除）
+        this.reachabilityMarkers = [];  // 等时圈 / 公平性热力图（独立图层，不随结果重绘清除）
+        this.candidateMarkers = [];     // 全部候选（独立图层，不随结果重绘清除）
         this.infoWindow = null;
+        this.handlers = {};       // 事件回调：mapClick(location)、originMoved(index, location)
+    }
+
+    /**
+     * 注册事件回调
+     * @param {string} event - 'mapClick' 点击地图；'originMoved' 拖动了参与者起点
+     * @param {Function} handler - 回调函数
+     */
+    on(event, handler) {
+        this.handlers[event] = handler;
     }
 
     /**
@@ -49,6 +64,13 @@ class MapView {
                 offset: new AMap.Pixel(0, -30)
             });
 
+            // 点击地图（用于在地图上选择出发地）
+            this.map.on('click', (e) => {
+                if (this.handlers.mapClick) {
+                    this.handlers.mapClick({ lng: e.lnglat.getLng(), lat: e.lnglat.getLat() });
+                }
+            });
+
             Logger.log('地图初始化成功');
             return true;
         } catch (error) {
@@ -66,12 +88,15 @@ class MapView {
             this.map.remove(marker);
         });
         this.markers = [];
+        this.originMarkers = [];
 
         // 清除路线
         this.polylines.forEach(polyline => {
             this.map.remove(polyline);
         });
         this.polylines = [];
+        this.clearSegmentHighlight();
+        this.clearPois();
 
         // 关闭信息窗口
         if (this.infoWindow) {
@@ -82,25 +107,13 @@ class MapView {
     /**
      * 显示搜索结果
      * @param {Object} result - 查找结果对象
+     * @param {boolean} fitView - 是否调整视野（搜索过程中刷新临时排名时为 false，避免地图跳动）
      */
-    displaySearchResult(result) {
+    displaySearchResult(result, fitView = true) {
         this.clearAll();
 
-        // 标记起点
-        this.addMarker(
-            result.startLocation,
-            '起点',
-            '#52c41a',
-            'A'
-        );
-
-        // 标记终点
-        this.addMarker(
-            result.endLocation,
-            '终点',
-            '#ff4d4f',
-            'B'
-        );
+        // 标记每位参与者的起点
+        this.showOrigins(result.origins);
 
         // 标记推荐站点
         result.recommendations.forEach((station, index) => {
@@ -109,16 +122,63 @@ class MapView {
         });
 
         // 自动调整视野以包含所有点
-        this.fitToView();
+        if (fitView) {
+            this.fitToView();
+        }
+    }
+
+    /**
+     * 显示参与者起点标记（替换之前的起点标记，不影响站点标记）
+     * 标记可以拖动，拖动结束后触发 originMoved 回调
+     * @param {Array<Object|null>} origins - 按参与者顺序的坐标，null 表示该参与者尚未确定位置
+     */
+    showOrigins(origins) {
+        this.originMarkers.forEach(marker => {
+            this.map.remove(marker);
+            this.markers = this.markers.filter(m => m !== marker);
+        });
+        this.originMarkers = [];
+
+        origins.forEach((origin, index) => {
+            if (!origin) return;
+
+            const label = origin.label || StationFinder.getOriginLabel(index);
+            const marker = this.addMarker(
+                origin,
+                `参与者 ${label}`,
+                StationFinder.getOriginColor(index),
+                label,
+                true
+            );
+
+            marker.on('dragend', () => {
+                const position = marker.getPosition();
+                if (this.handlers.originMoved) {
+                    this.handlers.originMoved(index, { lng: position.getLng(), lat: position.getLat() });
+                }
+            });
+
+            this.originMarkers.push(marker);
+        });
+    }
+
+    /**
+     * 切换选点模式：鼠标变为十字准星
+     */
+    setPicking(active) {
+        this.map.setDefaultCursor(active ? 'crosshair' : 'default');
     }
 
     /**
      * 添加普通标记
+     * @param {boolean} draggable - 是否可以拖动
      */
-    addMarker(location, title, color, label) {
+    addMarker(location, title, color, label, draggable = false) {
         const marker = new AMap.Marker({
             position: [location.lng, location.lat],
             title: title,
+            draggable: draggable,
+            cursor: draggable ? 'move' : 'pointer',
             label: {
                 content: `<div style="background: ${color}; color: white; padding: 4px 8px; border-radius: 4px; font-weight: bold;">${label}</div>`,
                 offset: new AMap.Pixel(0, -40)
@@ -131,7 +191,7 @@ class MapView {
         });
 
         marker.on('click', () => {
-            this.showInfoWindow(marker, title, location.formattedAddress || location.address);
+            this.showInfoWindow(marker, title, GeoFormats.escapeXml(location.formattedAddress || location.address || ''));
         });
 
         this.map.add(marker);
@@ -186,15 +246,14 @@ class MapView {
         const content = `
             <div style="padding: 12px; min-width: 200px;">
                 <h3 style="margin: 0 0 10px 0; color: #1890ff; font-size: 16px;">
-                    ${stationData.isBest ? '🏆 ' : ''}${stationData.stationName}
+                    ${stationData.isBest ? '🏆 ' : ''}${GeoFormats.escapeXml(stationData.stationName)}
                 </h3>
                 <div style="color: #666; font-size: 13px; line-height: 1.6;">
-                    <p style="margin: 5px 0;">
-                        <strong>到起点：</strong> ${stationData.timeFromStart}
-                    </p>
-                    <p style="margin: 5px 0;">
-                        <strong>到终点：</strong> ${stationData.timeToEnd}
-                    </p>
+                    ${stationData.times.map((time, index) => `
+                        <p style="margin: 5px 0;">
+                            <strong>${StationFinder.getOriginLabel(index)} 出发：</strong> ${time}
+                        </p>
+                    `).join('')}
                     <p style="margin: 5px 0;">
                         <strong>总时间：</strong> ${stationData.totalTime}
                     </p>
@@ -211,6 +270,8 @@ class MapView {
 
     /**
      * 显示简单信息窗口
+     * @param {string} title - 标题（纯文字，会被转义）
+     * @param {string} content - 内容 HTML，其中的地点名称等由调用方转义
      */
     showInfoWindow(marker, title, content) {
         // 确保 infoWindow 已初始化
@@ -222,7 +283,7 @@ class MapView {
 
         const html = `
             <div style="padding: 12px;">
-                <h3 style="margin: 0 0 8px 0; font-size: 14px;">${title}</h3>
+                <h3 style="margin: 0 0 8px 0; font-size: 14px;">${GeoFormats.escapeXml(title)}</h3>
                 <p style="margin: 0; color: #666; font-size: 12px;">${content}</p>
             </div>
         `;
@@ -232,64 +293,326 @@ class MapView {
     }
 
     /**
-     * 绘制路线（从起点到站点，从站点到终点）
+     * 绘制每位参与者到站点的路线
+     * 有路径数据时按实际路线绘制：步行段为虚线，地铁段使用线路颜色，换乘站加标记；
+     * 没有路径数据（如旧版缓存、固定数据的估算路线）时退回起点到站点的直线
+     * @param {Array} origins - 参与者起点
+     * @param {Object} station - 站点（含 routes，与 origins 一一对应）
      */
-    drawRoutes(startLocation, endLocation, station) {
-        // 绘制起点到站点
-        const path1 = [
-            [startLocation.lng, startLocation.lat],
-            [station.lng, station.lat]
-        ];
-
-        const polyline1 = new AMap.Polyline({
-            path: path1,
-            strokeColor: '#52c41a',
-            strokeWeight: 4,
-            strokeOpacity: 0.8,
-            strokeStyle: 'solid'
+    drawRoutes(origins, station) {
+        const overlays = [];
+
+        origins.forEach((origin, index) => {
+            const color = StationFinder.getOriginColor(index);
+            const route = station.routes && station.routes[index];
+            const segments = route && route.segments ? route.segments.segments : [];
+
+            if (!segments.some(segment => segment.path && segment.path.length > 1)) {
+                overlays.push(this.createPolyline(
+                    [[origin.lng, origin.lat], [station.lng, station.lat]],
+                    { strokeColor: color }
+                ));
+                return;
+            }
+
+            let rides = 0;
+            segments.forEach(segment => {
+                if (segment.path && segment.path.length > 1) {
+                    overlays.push(this.createSegmentPolyline(segment, color));
+                }
+
+                if (segment.type !== 'walking') {
+                    // 第二段及之后的乘车段起点即换乘站
+                    if (rides > 0 && segment.startLocation) {
+                        overlays.push(this.createTransferMarker(segment));
+                    }
+                    rides++;
+                }
+            });
         });
 
-        // 绘制站点到终点
-        const path2 = [
-            [station.lng, station.lat],
-            [endLocation.lng, endLocation.lat]
-        ];
+        this.map.add(overlays);
+        this.polylines.push(...overlays);
+    }
+
+    /**
+     * 按路段类型创建折线：步行为参与者颜色的虚线，地铁为线路颜色，公交为参与者颜色实线
+     */
+    createSegmentPolyline(segment, originColor) {
+        if (segment.type === 'walking') {
+            return this.createPolyline(segment.path, {
+                strokeColor: originColor,
+                strokeWeight: 4,
+                strokeStyle: 'dashed',
+                strokeDasharray: [8, 6]
+            });
+        }
 
-        const polyline2 = new AMap.Polyline({
-            path: path2,
-            strokeColor: '#1890ff',
+        return this.createPolyline(segment.path, {
+            strokeColor: segment.type === 'subway' ? this.getLineColor(segment.lineName) : originColor,
+            strokeWeight: segment.type === 'subway' ? 6 : 5,
+            isOutline: true,
+            outlineColor: '#ffffff',
+            borderWeight: 1
+        });
+    }
+
+    createPolyline(path, options = {}) {
+        return new AMap.Polyline({
+            path,
             strokeWeight: 4,
-            strokeOpacity: 0.8,
-            strokeStyle: 'solid'
+            strokeOpacity: 0.85,
+            strokeStyle: 'solid',
+            lineJoin: 'round',
+            ...options
         });
+    }
 
-        this.map.add([polyline1, polyline2]);
-        this.polylines.push(polyline1, polyline2);
+    /**
+     * 标记站点的出入口，建议碰头的出口用绿色突出（随路线一起清除）
+     * @param {Object} station - 站点（含 exits、exitAdvice，见 StationFinder.loadStationExits）
+     */
+    drawExits(station) {
+        if (!station.exits || station.exits.length === 0) return;
+
+        const meeting = station.exitAdvice ? station.exitAdvice.meeting : null;
+        const markers = station.exits.map(exit => {
+            const color = exit.name === meeting ? '#52c41a' : '#595959';
+            const marker = new AMap.Marker({
+                position: [exit.lng, exit.lat],
+                title: `${station.name} ${exit.name}`,
+                content: `<div style="background: ${color}; color: white; border-radius: 4px; padding: 0 4px; height: 18px; line-height: 18px; font-size: 11px; white-space: nowrap;">${GeoFormats.escapeXml(exit.name)}</div>`,
+                offset: new AMap.Pixel(-12, -9),
+                zIndex: exit.name === meeting ? 125 : 115
+            });
+
+            marker.on('click', () => {
+                this.showInfoWindow(marker, `${station.name} ${exit.name}`,
+                    exit.name === meeting ? '建议在此出口碰头' : '地铁站出入口');
+            });
+            return marker;
+        });
+
+        this.map.add(markers);
+        this.polylines.push(...markers);
+    }
+
+    /**
+     * 换乘站标记
+     */
+    createTransferMarker(segment) {
+        const color = segment.type === 'subway' ? this.getLineColor(segment.lineName) : '#8c8c8c';
+        return new AMap.Marker({
+            position: segment.startLocation,
+            title: `${segment.startStation} 换乘 ${segment.lineName}`,
+            content: `<div style="background: white; border: 3px solid ${color}; color: ${color}; border-radius: 50%; width: 22px; height: 22px; line-height: 16px; text-align: center; font-size: 12px; font-weight: bold;">换</div>`,
+            offset: new AMap.Pixel(-11, -11),
+            zIndex: 120
+        });
+    }
+
+    /**
+     * 地铁线路颜色，离线路网未收录的线路使用主题色
+     */
+    getLineColor(lineName) {
+        const color = typeof metroRouter !== 'undefined' && metroRouter ? metroRouter.getLineColor(lineName) : null;
+        return color || '#1890ff';
     }
 
     /**
      * 高亮显示特定站点
      */
-    highlightStation(station, startLocation, endLocation) {
+    highlightStation(station, origins) {
         // 清除之前的路线
         this.polylines.forEach(polyline => {
             this.map.remove(polyline);
         });
         this.polylines = [];
+        this.clearSegmentHighlight();
+        this.clearPois();
 
         // 绘制新路线
-        this.drawRoutes(startLocation, endLocation, station);
+        this.drawRoutes(origins, station);
+        this.drawExits(station);
 
         // 调整视野
-        this.map.setFitView(null, false, [100, 100, 100, 100]);
+        this.map.setFitView(this.markers.concat(this.polylines), false, [100, 100, 100, 100]);
     }
 
     /**
-     * 自动调整视野以包含所有标记
+     * 高亮行程中的某个路段，并把视野移到该路段
+     * @param {Object} segment - 路段（含 path）
+     */
+    highlightSegment(segment) {
+        this.clearSegmentHighlight();
+        if (!segment || !segment.path || segment.path.length < 2) return;
+
+        this.segmentHighlight = this.createPolyline(segment.path, {
+            strokeColor: '#fadb14',
+            strokeWeight: 10,
+            strokeOpacity: 0.9,
+            isOutline: true,
+            outlineColor: '#262626',
+            borderWeight: 2,
+            zIndex: 150
+        });
+        this.map.add(this.segmentHighlight);
+        this.map.setFitView([this.segmentHighlight], false, [120, 120, 120, 120]);
+    }
+
+    /**
+     * 取消路段高亮
+     */
+    clearSegmentHighlight() {
+        if (this.segmentHighlight) {
+            this.map.remove(this.segmentHighlight);
+            this.segmentHighlight = null;
+        }
+    }
+
+    /**
+     * 显示站点周边设施，替换之前显示的设施标记
+     * @param {Array} pois - 设施（含 category，见 StationFinder.getStationAmenities）
+     */
+    showPois(pois) {
+        this.clearPois();
+
+        this.poiMarkers = pois.map(poi => {
+            const category = CONFIG.AMENITIES.CATEGORIES[poi.category];
+            const marker = new AMap.Marker({
+                position: [poi.lng, poi.lat],
+                title: poi.name,
+                content: `<div style="background: white; border: 2px solid ${category.color}; border-radius: 50%; width: 24px; height: 24px; line-height: 22px; text-align: center; font-size: 13px; box-shadow: 0 1px 3px rgba(0,0,0,0.3);">${category.icon}</div>`,
+                offset: new AMap.Pixel(-12, -12),
+                zIndex: 110
+            });
+
+            marker.on('click', () => {
+                this.showInfoWindow(marker, `${category.icon} ${poi.name}`,
+                    `${poi.address ? `${GeoFormats.escapeXml(poi.address)}<br>` : ''}距站点 ${poi.distance} 米`);
+            });
+            return marker;
+        });
+
+        if (this.poiMarkers.length > 0) {
+            this.map.add(this.poiMarkers);
+        }
+    }
+
+    /**
+     * 清除周边设施标记
+     */
+    clearPois() {
+        if (this.poiMarkers.length > 0) {
+            this.map.remove(this.poiMarkers);
+            this.poiMarkers = [];
+        }
+    }
+
+    /**
+     * 显示可达性图层：全网每个站点一个圆点，按耗时分档着色，替换之前的图层
+     * @param {Array} stations - StationFinder.calculateReachability 的返回值
+     * @param {string} metric - 'isochrone' 某个出发地的等时圈；'maxTime' 最长耗时；'timeDiff' 时间差
+     * @param {number} originIndex - 等时圈对应的出发地序号
+     */
+    showReachability(stations, metric, originIndex = 0) {
+        this.clearReachability();
+
+        this.reachabilityMarkers = stations.map(station => {
+            const minutes = (metric === 'isochrone' ? station.times[originIndex] : station[metric]) / 60;
+            const marker = new AMap.CircleMarker({
+                center: [station.lng, station.lat],
+                radius: 7,
+                fillColor: MapView.getLevelColor(minutes, CONFIG.REACHABILITY.LEVELS[metric]),
+                fillOpacity: 0.85,
+                strokeColor: 'white',
+                strokeWeight: 1,
+                zIndex: 12,
+                cursor: 'pointer'
+            });
+
+            marker.on('click', () => {
+                const times = station.times.map((time, index) => `${StationFinder.getOriginLabel(index)} 约 ${Math.round(time / 60)} 分钟`);
+                this.showInfoWindow(marker, station.name,
+                    `${times.join('<br>')}<br>最长 ${Math.round(station.maxTime / 60)} 分钟，时间差 ${Math.round(station.timeDiff / 60)} 分钟`);
+            });
+            return marker;
+        });
+
+        if (this.reachabilityMarkers.length > 0) {
+            this.map.add(this.reachabilityMarkers);
+        }
+    }
+
+    /**
+     * 清除可达性图层
+     */
+    clearReachability() {
+        if (this.reachabilityMarkers.length > 0) {
+            this.map.remove(this.reachabilityMarkers);
+            this.reachabilityMarkers = [];
+        }
+    }
+
+    /**
+     * 显示全部候选：已评估的站点按排名从绿到红着色（分为 REACHABILITY.COLORS 的档数），失败的候选为灰色
+     * @param {Array} stations - 已排序的站点（result.stations）
+     * @param {Array} failed - 未能参与排名的候选（result.failed），没有坐标的不显示
+     */
+    showCandidates(stations, failed = []) {
+        this.clearCandidates();
+
+        const colors = CONFIG.REACHABILITY.COLORS;
+        const ranked = stations.map((station, index) => ({
+            station,
+            color: colors[Math.floor(index / stations.length * colors.length)],
+            content: `第 ${index + 1} 名${typeof station.score === 'number' ? `，得分 ${Math.round(station.score)}` : ''}`
+        }));
+        const skipped = failed.filter(station => StationRegistry.hasCoordinates(station)).map(station => ({
+            station,
+            color: '#bfbfbf',
+            content: `${StationFinder.FAILURE_TYPES[station.failure.type]}：${GeoFormats.escapeXml(station.failure.reason)}`
+        }));
+
+        this.candidateMarkers = ranked.concat(skipped).map(({ station, color, content }) => {
+            const marker = new AMap.CircleMarker({
+                center: [station.lng, station.lat],
+                radius: 5,
+                fillColor: color,
+                fillOpacity: 0.9,
+                strokeColor: 'white',
+                strokeWeight: 1,
+                zIndex: 14,
+                cursor: 'pointer'
+            });
+
+            marker.on('click', () => {
+                this.showInfoWindow(marker, station.name, content);
+            });
+            return marker;
+        });
+
+        if (this.candidateMarkers.length > 0) {
+            this.map.add(this.candidateMarkers);
+        }
+    }
+
+    /**
+     * 清除全部候选图层
+     */
+    clearCandidates() {
+        if (this.candidateMarkers.length > 0) {
+            this.map.remove(this.candidateMarkers);
+            this.candidateMarkers = [];
+        }
+    }
+
+    /**
+     * 自动调整视野以包含所有标记和路线（不含覆盖全网的可达性图层和全部候选图层）
      */
     fitToView() {
         if (this.markers.length > 0) {
-            this.map.setFitView(null, false, [50, 50, 50, 50]);
+            this.map.setFitView(this.markers.concat(this.polylines), false, [50, 50, 50, 50]);
         }
     }
 
@@ -333,6 +656,17 @@ class MapView {
     getMap() {
         return this.map;
     }
+
+    /**
+     * 按分档阈值取颜色：不超过第 i 个阈值时为第 i 种颜色，超过所有阈值时为最后一种
+     * @param {number} value - 分钟
+     * @param {number[]} levels - 升序阈值（分钟）
+     */
+    static getLevelColor(value, levels) {
+        const colors = CONFIG.REACHABILITY.COLORS;
+        const index = levels.findIndex(level => value <= level);
+        return colors[index === -1 ? levels.length : index];
+    }
 }
 
 // 创建全局实例
@@ -346,6 +680,11 @@ if (typeof window !== 'undefined') {
             mapView = new MapView('mapView');
             if (mapView.init()) {
                 Logger.log('地图视图初始化完成');
+
+                // 应用可能先于地图就绪，由这里补充绑定地图事件
+                if (window.app) {
+                    window.app.onMapReady(mapView);
+                }
             }
         }, 500);
     });
@@ -0,0 +1,416 @@
+/**
+ * 离线地铁路网路由
+ * 基于内置的 METRO_NETWORK 数据构建线路图，在浏览器内用 Dijkstra 计算最短耗时
+ */
+
+// Node 环境下加载依赖（浏览器中为全局变量）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./config'), require('./data/metroNetwork'));
+}
+
+/**
+ * 二叉最小堆，用作 Dijkstra 的优先队列
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(key, priority) {
+        this.items.push({ key, priority });
+        let i = this.items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.items[parent].priority <= this.items[i].priority) break;
+            [this.items[parent], this.items[i]] = [this.items[i], this.items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < this.items.length && this.items[left].priority < this.items[smallest].priority) {
+                    smallest = left;
+                }
+                if (right < this.items.length && this.items[right].priority < this.items[smallest].priority) {
+                    smallest = right;
+                }
+                if (smallest === i) break;
+                [this.items[smallest], this.items[i]] = [this.items[i], this.items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+class MetroRouter {
+    constructor(network) {
+        this.network = network;
+        this.defaults = network.DEFAULTS;
+        this.stations = new Map();   // 站名 -> { name, lng, lat, lines }
+        this.lines = new Map();      // 线路名 -> { name, color, stations, loop }
+        this.edges = new Map();      // 节点 -> [{ to, time, distance, type }]
+        this.buildGraph();
+    }
+
+    /**
+     * 构建线路图
+     * 节点为"线路|站名"，同一线路相邻站之间为乘车边，同站不同线路之间为换乘边
+     */
+    buildGraph() {
+        Object.entries(this.network.STATIONS).forEach(([name, [lng, lat]]) => {
+            this.stations.set(name, { name, lng, lat, lines: [] });
+        });
+
+        this.network.LINES.forEach(line => {
+            this.lines.set(line.name, line);
+
+            line.stations.forEach(name => {
+                this.stations.get(name).lines.push(line.name);
+            });
+
+            const count = line.stations.length;
+            const segmentCount = line.loop ? count : count - 1;
+            for (let i = 0; i < segmentCount; i++) {
+                const from = line.stations[i];
+                const to = line.stations[(i + 1) % count];
+                const distance = this.calculateDistance(this.stations.get(from), this.stations.get(to)) *
+                    this.defaults.TRACK_FACTOR;
+                const time = distance / this.defaults.AVERAGE_SPEED + this.defaults.DWELL_TIME;
+
+                this.addEdge(MetroRouter.nodeKey(line.name, from), MetroRouter.nodeKey(line.name, to), time, distance, 'ride');
+                this.addEdge(MetroRouter.nodeKey(line.name, to), MetroRouter.nodeKey(line.name, from), time, distance, 'ride');
+            }
+        });
+
+        this.stations.forEach(station => {
+            const transferTime = this.network.TRANSFER_OVERRIDES[station.name] || this.defaults.TRANSFER_TIME;
+            station.lines.forEach(fromLine => {
+                station.lines.forEach(toLine => {
+                    if (fromLine !== toLine) {
+                        this.addEdge(
+                            MetroRouter.nodeKey(fromLine, station.name),
+                            MetroRouter.nodeKey(toLine, station.name),
+                            transferTime,
+                            0,
+                            'transfer'
+                        );
+                    }
+                });
+            });
+        });
+
+        Logger.log(`离线路网构建完成: ${this.lines.size} 条线路, ${this.stations.size} 个站点`);
+    }
+
+    addEdge(from, to, time, distance, type) {
+        if (!this.edges.has(from)) {
+            this.edges.set(from, []);
+        }
+        this.edges.get(from).push({ to, time, distance, type });
+    }
+
+    /**
+     * 获取站点信息
+     */
+    getStation(name) {
+        return this.stations.get(name) || null;
+    }
+
+    /**
+     * 列车行驶方向的终点站（环线返回空字符串）
+     * @param {string} lineName - 线路名
+     * @param {string} from - 上车站
+     * @param {string} next - 下一站
+     */
+    getDirection(lineName, from, next) {
+        const line = this.lines.get(lineName);
+        if (!line || line.loop) return '';
+
+        const forward = line.stations.indexOf(next) > line.stations.indexOf(from);
+        return forward ? line.stations[line.stations.length - 1] : line.stations[0];
+    }
+
+    /**
+     * 站点坐标 [lng, lat]
+     */
+    getCoordinates(name) {
+        const station = this.stations.get(name);
+        return [station.lng, station.lat];
+    }
+
+    /**
+     * 获取路网中的所有站点
+     */
+    getAllStations() {
+        return Array.from(this.stations.values());
+    }
+
+    /**
+     * 获取线路颜色
+     */
+    getLineColor(lineName) {
+        const line = this.lines.get(MetroRouter.normalizeLineName(lineName));
+        return line ? line.color : null;
+    }
+
+    /**
+     * 获取线路首末班车时刻
+     * @param {string} lineName - 线路名，可以是高德返回的完整名称
+     * @returns {{first: string, last: string}|null}
+     */
+    getServiceHours(lineName) {
+        const hours = this.network.SERVICE_HOURS || {};
+        return hours[MetroRouter.normalizeLineName(lineName)] || null;
+    }
+
+    /**
+     * 查找离某点最近的若干个站点（按直线距离）
+     * @param {Object} location - {lng, lat}
+     * @param {number} limit - 返回数量
+     */
+    findNearestStations(location, limit = 3) {
+        return this.getAllStations()
+            .map(station => ({
+                ...station,
+                distance: Math.round(this.calculateDistance(location, station))
+            }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, limit);
+    }
+
+    /**
+     * 按直线距离估算步行耗时（高德步行规划不可用时的备用方案）
+     */
+    estimateWalking(from, to) {
+        const distance = Math.round(this.calculateDistance(from, to) * this.defaults.WALKING_FACTOR);
+        return {
+            distance,
+            duration: Math.round(distance / this.defaults.WALKING_SPEED)
+        };
+    }
+
+    /**
+     * 计算从若干进站点出发到全网所有节点的最短耗时
+     * @param {Array} accessLegs - 进站步行段 [{station, duration, distance, path}]
+     * @returns {Object} 最短路树，用于 getTravelTime / buildRoute
+     */
+    shortestPathTree(accessLegs) {
+        const dist = new Map();
+        const prev = new Map();
+        const heap = new MinHeap();
+
+        accessLegs.forEach(leg => {
+            const station = this.stations.get(leg.station);
+            if (!station) return;
+
+            station.lines.forEach(lineName => {
+                const node = MetroRouter.nodeKey(lineName, station.name);
+                const time = leg.duration + this.defaults.BOARDING_WAIT;
+                if (time < (dist.has(node) ? dist.get(node) : Infinity)) {
+                    dist.set(node, time);
+                    prev.set(node, { access: leg });
+                    heap.push(node, time);
+                }
+            });
+        });
+
+        while (heap.size > 0) {
+            const { key, priority } = heap.pop();
+            if (priority > dist.get(key)) continue;
+
+            (this.edges.get(key) || []).forEach(edge => {
+                const time = priority + edge.time;
+                if (time < (dist.has(edge.to) ? dist.get(edge.to) : Infinity)) {
+                    dist.set(edge.to, time);
+                    prev.set(edge.to, { from: key, edge });
+                    heap.push(edge.to, time);
+                }
+            });
+        }
+
+        return { dist, prev, accessLegs };
+    }
+
+    /**
+     * 从最短路树中取出到某站的最短耗时
+     * @returns {{duration: number, node: string|null, access: Object|null}}
+     */
+    getTravelTime(tree, stationName) {
+        const station = this.stations.get(stationName);
+        let best = { duration: Infinity, node: null, access: null };
+        if (!station) return best;
+
+        // 进站点本身：只需步行
+        tree.accessLegs.forEach(leg => {
+            if (leg.station === stationName && leg.duration < best.duration) {
+                best = { duration: leg.duration, node: null, access: leg };
+            }
+        });
+
+        station.lines.forEach(lineName => {
+            const node = MetroRouter.nodeKey(lineName, stationName);
+            const time = tree.dist.has(node) ? tree.dist.get(node) : Infinity;
+            if (time < best.duration) {
+                best = { duration: time, node, access: null };
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * 根据最短路树生成到某站的路线
+     * 返回结构与 GaodeAPI.getTransitRoute 一致，地铁段耗时包含候车/换乘时间
+     * @returns {Object|null} 路线信息，不可达时返回 null
+     */
+    buildRoute(tree, stationName) {
+        const best = this.getTravelTime(tree, stationName);
+        if (best.duration === Infinity) return null;
+
+        // 回溯得到节点序列
+        const steps = [];
+        let access = best.access;
+        let node = best.node;
+        while (node) {
+            const link = tree.prev.get(node);
+            steps.unshift({ node, link });
+            if (link.access) {
+                access = link.access;
+                break;
+            }
+            node = link.from;
+        }
+
+        const segments = [{
+            type: 'walking',
+            distance: access.distance,
+            duration: access.duration,
+            path: access.path || []
+        }];
+        const allSubwayStations = [];
+        let waitTime = this.defaults.BOARDING_WAIT;
+        let current = null;
+
+        steps.forEach(({ node: key, link }) => {
+            const [lineName, name] = MetroRouter.parseNodeKey(key);
+            allSubwayStations.push(name);
+
+            if (link.access) {
+                current = null;
+            } else if (link.edge.type === 'transfer') {
+                waitTime = link.edge.time;
+                current = null;
+            } else {
+                if (!current) {
+                    const [, startStation] = MetroRouter.parseNodeKey(link.from);
+                    current = {
+                        type: 'subway',
+                        lineName,
+                        startStation,
+                        endStation: name,
+                        duration: Math.round(waitTime),
+                        distance: 0,
+                        viaStops: [],
+                        path: [this.getCoordinates(startStation)],
+                        startLocation: this.getCoordinates(startStation)
+                    };
+                    segments.push(current);
+                } else {
+                    current.viaStops.push(current.endStation);
+                }
+                current.endStation = name;
+                current.endLocation = this.getCoordinates(name);
+                current.path.push(current.endLocation);
+                current.duration += Math.round(link.edge.time);
+                current.distance += Math.round(link.edge.distance);
+            }
+        });
+
+        const rides = segments.filter(segment => segment.type === 'subway');
+        rides.forEach(segment => {
+            segment.stopCount = segment.viaStops.length + 1;
+            segment.direction = this.getDirection(segment.lineName, segment.startStation, segment.viaStops[0] || segment.endStation);
+        });
+        const subwayDistance = rides.reduce((sum, segment) => sum + segment.distance, 0);
+
+        return {
+            duration: Math.round(best.duration),
+            walking_distance: access.distance,
+            distance: access.distance + subwayDistance,
+            cost: subwayDistance > 0 ? MetroRouter.estimateFare(subwayDistance) : 0,
+            transfers: Math.max(0, rides.length - 1),
+            source: 'local',
+            segments: {
+                segments,
+                allSubwayStations: Array.from(new Set(allSubwayStations))
+            }
+        };
+    }
+
+    /**
+     * 计算两点之间的直线距离（米）
+     * 使用 Haversine 公式
+     */
+    calculateDistance(loc1, loc2) {
+        const R = 6371000;
+        const lat1 = loc1.lat * Math.PI / 180;
+        const lat2 = loc2.lat * Math.PI / 180;
+        const deltaLat = (loc2.lat - loc1.lat) * Math.PI / 180;
+        const deltaLng = (loc2.lng - loc1.lng) * Math.PI / 180;
+
+        const a = Math.sin(deltaLat / 2) * Math.sin(deltaLat / 2) +
+                  Math.cos(lat1) * Math.cos(lat2) *
+                  Math.sin(deltaLng / 2) * Math.sin(deltaLng / 2);
+
+        return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    /**
+     * 按上海地铁计价规则估算票价（元）
+     * 6 公里内 3 元，6-16 公里 4 元，之后每 10 公里加 1 元
+     */
+    static estimateFare(distance) {
+        const km = distance / 1000;
+        if (km <= 6) return 3;
+        if (km <= 16) return 4;
+        return 4 + Math.ceil((km - 16) / 10);
+    }
+
+    /**
+     * 统一线路名称：高德返回的"地铁1号线(富锦路--莘庄)"等转为"1号线"
+     */
+    static normalizeLineName(lineName) {
+        const match = String(lineName || '').match(/(\d+)号线/);
+        return match ? `${match[1]}号线` : lineName;
+    }
+
+    static nodeKey(lineName, stationName) {
+        return `${lineName}|${stationName}`;
+    }
+
+    static parseNodeKey(key) {
+        return key.split('|');
+    }
+}
+
+// 创建全局实例
+const metroRouter = typeof METRO_NETWORK !== 'undefined' ? new MetroRouter(METRO_NETWORK) : null;
+
+// 导出（如果使用模块化）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MetroRouter, metroRouter };
+}
@@ -0,0 +1,192 @@
+/**
+ * 请求调度器
+ * 令牌桶限制每秒请求数，同时限制并发数；
+ * 遇到高德的频率限制错误时按指数退避自动重试
+ */
+
+// Node 环境下加载依赖（浏览器中为全局变量）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./config'));
+}
+
+class RateLimiter {
+    /**
+     * @param {Object} options
+     * @param {number} options.qps - 每秒最多发起的请求数
+     * @param {number} options.concurrency - 同时进行中的请求数上限
+     * @param {number} options.maxRetries - 频率限制错误的最大重试次数
+     * @param {number} options.baseDelay - 首次重试的等待时间（毫秒），之后每次翻倍
+     * @param {number} options.maxDelay - 单次重试的最长等待时间（毫秒）
+     */
+    constructor(options = {}) {
+        const defaults = CONFIG.RATE_LIMIT;
+        this.qps = options.qps || defaults.QPS;
+        this.concurrency = options.concurrency || defaults.CONCURRENCY;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : defaults.MAX_RETRIES;
+        this.baseDelay = options.baseDelay || defaults.BASE_DELAY;
+        this.maxDelay = options.maxDelay || defaults.MAX_DELAY;
+
+        this.tokens = this.qps;
+        this.lastRefill = Date.now();
+        this.active = 0;
+        this.queue = [];
+        this.timer = null;
+    }
+
+    /**
+     * 将一次服务调用加入队列
+     * @param {Function} task - 返回 Promise 的函数
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - 取消信号：排队中的任务不再发起，已发起的任务结果被丢弃，均以 AbortError 拒绝
+     * @returns {Promise<*>} task 的结果
+     */
+    schedule(task, options = {}) {
+        const signal = options.signal;
+        if (signal && signal.aborted) {
+            return Promise.reject(RateLimiter.createAbortError());
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = { task, resolve, reject, attempt: 0, settled: false };
+
+            if (signal) {
+                const onAbort = () => {
+                    this.queue = this.queue.filter(item => item !== job);
+                    this.settle(job, 'reject', RateLimiter.createAbortError());
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+                job.cleanup = () => signal.removeEventListener('abort', onAbort);
+            }
+
+            this.queue.push(job);
+            this.pump();
+        });
+    }
+
+    /**
+     * 结束任务（只生效一次：取消后到达的结果被忽略）
+     */
+    settle(job, method, value) {
+        if (job.settled) return;
+
+        job.settled = true;
+        if (job.cleanup) job.cleanup();
+        job[method](value);
+    }
+
+    /**
+     * 按经过的时间补充令牌
+     */
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.qps, this.tokens + (now - this.lastRefill) / 1000 * this.qps);
+        this.lastRefill = now;
+    }
+
+    /**
+     * 在令牌和并发数允许的范围内启动排队的任务
+     */
+    pump() {
+        this.refill();
+
+        while (this.queue.length > 0 && this.active < this.concurrency && this.tokens >= 1) {
+            this.tokens -= 1;
+            this.run(this.queue.shift());
+        }
+
+        // 令牌不足：等到下一个令牌生成后再试
+        if (this.queue.length > 0 && this.active < this.concurrency && !this.timer) {
+            const wait = Math.ceil((1 - this.tokens) / this.qps * 1000);
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.pump();
+            }, wait);
+        }
+    }
+
+    async run(job) {
+        this.active++;
+
+        try {
+            this.settle(job, 'resolve', await job.task());
+        } catch (error) {
+            if (job.settled) {
+                // 已取消，不再重试
+            } else if (RateLimiter.isRetryableError(error) && job.attempt < this.maxRetries) {
+                const backoff = this.getBackoff(job.attempt);
+                job.attempt++;
+                Logger.warn(`⚠️  触发频率限制（${error.info || error.message}），${backoff}ms 后第 ${job.attempt} 次重试`);
+
+                // 清空令牌，让其他排队的请求也放慢
+                this.tokens = 0;
+                setTimeout(() => {
+                    if (job.settled) return;
+                    this.queue.unshift(job);
+                    this.pump();
+                }, backoff);
+            } else {
+                this.settle(job, 'reject', error);
+            }
+        } finally {
+            this.active--;
+            this.pump();
+        }
+    }
+
+    /**
+     * 指数退避：baseDelay × 2^attempt，加少量随机抖动，不超过 maxDelay
+     */
+    getBackoff(attempt) {
+        const backoff = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt));
+        return backoff + Math.floor(Math.random() * this.baseDelay / 2);
+    }
+
+    /**
+     * 取消错误，与浏览器 fetch 被取消时的错误同名
+     */
+    static createAbortError() {
+        const error = new Error('搜索已取消');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    static isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    }
+
+    /**
+     * 已取消时抛出 AbortError，用于在多个步骤之间检查取消信号
+     * @param {AbortSignal} signal - 可以为空
+     */
+    static throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw RateLimiter.createAbortError();
+        }
+    }
+
+    /**
+     * 是否为可以通过等待重试解决的频率限制错误
+     * 日配额用尽重试也无法恢复，不算在内
+     */
+    static isRetryableError(error) {
+        if (!error) return false;
+
+        const text = `${error.info || ''} ${error.message || ''}`;
+        const code = String(error.infocode || '');
+
+        return RateLimiter.RETRYABLE_INFO.some(info => text.includes(info)) ||
+            RateLimiter.RETRYABLE_CODES.includes(code);
+    }
+}
+
+// 高德频率限制相关的错误信息和错误码
+RateLimiter.RETRYABLE_INFO = [
+    'ACCESS_TOO_FREQUENT',
+    'QPS_HAS_EXCEEDED_THE_LIMIT'      // 同时匹配 CUQPS_ / CKQPS_ 前缀
+];
+RateLimiter.RETRYABLE_CODES = ['10004', '10014', '10019', '10020', '10021'];
+
+// 导出（如果使用模块化）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RateLimiter };
+}
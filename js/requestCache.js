@@ -0,0 +1,300 @@
+/**
+ * 请求缓存
+ * 将地理编码、路线规划等结果持久化到 localStorage，重复搜索时不再消耗高德配额
+ * - 每类数据（命名空间）有各自的过期时间
+ * - 条目总数超过上限时按最近最少使用（LRU）淘汰
+ */
+
+// Node 环境下加载依赖（浏览器中为全局变量）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./config'));
+}
+
+/**
+ * 内存存储，接口与 localStorage 一致
+ * 用于 localStorage 不可用的环境（Node、隐私模式等）
+ */
+class MemoryStorage {
+    constructor() {
+        this.data = new Map();
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.data.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.data.delete(key);
+    }
+}
+
+class RequestCache {
+    /**
+     * @param {Object} options
+     * @param {Storage} options.storage - 存储后端，默认 localStorage
+     * @param {string} options.prefix - 存储键前缀
+     * @param {number} options.maxEntries - 最大条目数
+     * @param {Object} options.ttl - 各命名空间的过期时间（毫秒）
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || RequestCache.getDefaultStorage();
+        this.prefix = options.prefix || CONFIG.STORAGE_KEYS.CACHE;
+        this.maxEntries = options.maxEntries || CONFIG.CACHE.MAX_ENTRIES;
+        this.ttl = options.ttl || CONFIG.CACHE.TTL;
+        this.index = this.loadIndex();  // 条目键 -> { expires, lastAccess }
+        this.lastTouch = 0;
+        this.saveTimer = null;
+        this.pruneExpired();
+
+        // 页面关闭前写入尚未保存的访问时间
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('pagehide', () => this.flush());
+        }
+    }
+
+    /**
+     * 读取缓存
+     * @returns {*} 缓存值，未命中或已过期时返回 undefined
+     */
+    get(namespace, key) {
+        const entryKey = this.entryKey(namespace, key);
+        const meta = this.index[entryKey];
+        if (!meta) return undefined;
+
+        if (meta.expires < Date.now()) {
+            this.remove(entryKey);
+            return undefined;
+        }
+
+        try {
+            const raw = this.storage.getItem(entryKey);
+            if (raw === null) {
+                delete this.index[entryKey];
+                this.saveIndex();
+                return undefined;
+            }
+
+            // 访问时间只影响淘汰顺序，合并写入，避免每次命中都序列化整个索引
+            meta.lastAccess = this.touch();
+            this.scheduleIndexSave();
+            return JSON.parse(raw);
+        } catch (error) {
+            Logger.warn('读取缓存失败:', error);
+            this.remove(entryKey);
+            return undefined;
+        }
+    }
+
+    /**
+     * 写入缓存
+     * @param {number} ttl - 过期时间（毫秒），默认使用命名空间配置
+     */
+    set(namespace, key, value, ttl = this.ttl[namespace]) {
+        const entryKey = this.entryKey(namespace, key);
+        const raw = JSON.stringify(value);
+        const now = Date.now();
+
+        this.index[entryKey] = {
+            expires: now + (ttl || 0),
+            lastAccess: this.touch()
+        };
+        this.evictOverflow(entryKey);
+
+        try {
+            this.storage.setItem(entryKey, raw);
+        } catch (error) {
+            // 存储空间不足：淘汰最旧的四分之一后重试一次
+            Logger.warn('缓存空间不足，淘汰旧条目后重试');
+            this.evictOldest(Math.ceil(Object.keys(this.index).length / 4), entryKey);
+            try {
+                this.storage.setItem(entryKey, raw);
+            } catch (retryError) {
+                Logger.error('写入缓存失败:', retryError);
+                delete this.index[entryKey];
+            }
+        }
+
+        this.saveIndex();
+    }
+
+    /**
+     * 清空所有缓存
+     */
+    clear() {
+        Object.keys(this.index).forEach(entryKey => {
+            this.storage.removeItem(entryKey);
+        });
+        this.index = {};
+        this.saveIndex();
+        Logger.log('缓存已清空');
+    }
+
+    /**
+     * 缓存统计
+     * @returns {{entries: number, namespaces: Object}}
+     */
+    stats() {
+        const namespaces = {};
+        Object.keys(this.index).forEach(entryKey => {
+            const namespace = entryKey.slice(this.prefix.length + 1).split(':')[0];
+            namespaces[namespace] = (namespaces[namespace] || 0) + 1;
+        });
+
+        return {
+            entries: Object.keys(this.index).length,
+            namespaces
+        };
+    }
+
+    remove(entryKey) {
+        this.storage.removeItem(entryKey);
+        delete this.index[entryKey];
+        this.saveIndex();
+    }
+
+    /**
+     * 删除所有过期条目
+     */
+    pruneExpired() {
+        const now = Date.now();
+        Object.keys(this.index).forEach(entryKey => {
+            if (this.index[entryKey].expires < now) {
+                this.storage.removeItem(entryKey);
+                delete this.index[entryKey];
+            }
+        });
+        this.saveIndex();
+    }
+
+    /**
+     * 超过条目上限时淘汰最近最少使用的条目
+     * @param {string} keep - 刚写入、不参与淘汰的条目键
+     */
+    evictOverflow(keep = null) {
+        const overflow = Object.keys(this.index).length - this.maxEntries;
+        if (overflow > 0) {
+            this.evictOldest(overflow, keep);
+        }
+    }
+
+    /**
+     * 按最近访问时间淘汰 count 个条目
+     * @param {string} keep - 不参与淘汰的条目键
+     */
+    evictOldest(count, keep = null) {
+        Object.keys(this.index)
+            .filter(entryKey => entryKey !== keep)
+            .sort((a, b) => this.index[a].lastAccess - this.index[b].lastAccess)
+            .slice(0, count)
+            .forEach(entryKey => {
+                this.storage.removeItem(entryKey);
+                delete this.index[entryKey];
+            });
+    }
+
+    /**
+     * 生成严格递增的访问时间，避免同一毫秒内多次访问无法区分先后
+     */
+    touch() {
+        this.lastTouch = Math.max(Date.now(), this.lastTouch + 1);
+        return this.lastTouch;
+    }
+
+    entryKey(namespace, key) {
+        return `${this.prefix}:${namespace}:${key}`;
+    }
+
+    loadIndex() {
+        try {
+            const saved = this.storage.getItem(`${this.prefix}:index`);
+            return saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            Logger.warn('加载缓存索引失败:', error);
+            return {};
+        }
+    }
+
+    /**
+     * 延迟写入索引，期间的多次访问合并为一次写入
+     */
+    scheduleIndexSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.saveIndex(), CONFIG.CACHE.INDEX_SAVE_DELAY);
+        // Node 中不让待写入的索引阻止进程退出
+        if (this.saveTimer.unref) {
+            this.saveTimer.unref();
+        }
+    }
+
+    /**
+     * 立即写入尚未保存的索引
+     */
+    flush() {
+        if (this.saveTimer) {
+            this.saveIndex();
+        }
+    }
+
+    saveIndex() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        try {
+            this.storage.setItem(`${this.prefix}:index`, JSON.stringify(this.index));
+        } catch (error) {
+            Logger.error('保存缓存索引失败:', error);
+        }
+    }
+
+    /**
+     * 规范化地址，作为地理编码的缓存键
+     * 统一全角/半角、大小写和空白，并去掉"上海市"前缀
+     */
+    static normalizeAddress(address) {
+        return String(address)
+            .normalize('NFKC')
+            .toLowerCase()
+            .replace(/\s+/g, '')
+            .replace(/^上海市?/, '');
+    }
+
+    /**
+     * 坐标键：按 COORD_PRECISION 位小数取整（3 位约 100 米）
+     */
+    static pointKey(location) {
+        const precision = CONFIG.CACHE.COORD_PRECISION;
+        return `${Number(location.lng).toFixed(precision)},${Number(location.lat).toFixed(precision)}`;
+    }
+
+    /**
+     * 出行时段键：工作日/周末 + 一天内的第几个时段
+     * @param {Date} date - 出发时间，默认当前时间
+     */
+    static timeBucket(date = new Date()) {
+        const day = date.getDay();
+        const dayType = day === 0 || day === 6 ? 'we' : 'wd';
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        return `${dayType}${Math.floor(minutes / CONFIG.CACHE.TIME_BUCKET_MINUTES)}`;
+    }
+
+    static getDefaultStorage() {
+        try {
+            if (typeof localStorage !== 'undefined') {
+                return localStorage;
+            }
+        } catch (error) {
+            // 部分浏览器在禁用存储时访问 localStorage 会抛错
+        }
+        return new MemoryStorage();
+    }
+}
+
+// 导出（如果使用模块化）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RequestCache, MemoryStorage };
+}
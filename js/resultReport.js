@@ -0,0 +1,206 @@
+/**
+ * 结果报告
+ * - CSV：推荐站点的对比表，时间为原始秒数，便于在表格软件中计算
+ * - 打印报告：独立的 HTML 页面（样式见 css/print.css），包含对比表、路线示意图和每个人的逐步行程
+ */
+
+// Node 环境下加载依赖（浏览器中为全局变量）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./config'), require('./routingProvider'), require('./gaodeApi'),
+        require('./stationFinder'), require('./geoFormats'));
+}
+
+class ResultReport {
+    /**
+     * 导出推荐站点对比表
+     * 每位参与者各有耗时、换乘次数、票价三列
+     * @param {Object} result - findMeetingStations 的返回值
+     * @returns {string} 带 BOM 的 UTF-8 CSV（Excel 可直接识别中文）
+     */
+    static toCSV(result) {
+        const labels = result.origins.map((origin, index) => StationFinder.getOriginLabel(index));
+        const header = [
+            '排名', '站点', '经度', '纬度',
+            ...labels.map(label => `${label} 耗时(秒)`),
+            '最长耗时(秒)', '时间差(秒)', '平衡度(%)', '总耗时(秒)',
+            ...labels.map(label => `${label} 换乘次数`),
+            ...labels.map(label => `${label} 票价(元)`),
+            '得分'
+        ];
+
+        const rows = result.recommendations.map((station, index) => {
+            const data = stationFinder.formatResultForDisplay(station, index);
+            return [
+                data.rank, data.stationName, data.location.lng, data.location.lat,
+                ...data.timesSec,
+                data.maxTimeSec, data.timeDiffSec, data.balanceScore, data.totalTimeSec,
+                ...data.transfers,
+                ...data.fares,
+                typeof station.score === 'number' ? Math.round(station.score) : ''
+            ];
+        });
+
+        return '\uFEFF' + [header, ...rows].map(row => row.map(ResultReport.csvCell).join(',')).join('\r\n');
+    }
+
+    /**
+     * 生成可打印的报告页面
+     * @param {Object} result - findMeetingStations 的返回值
+     * @param {Object} options
+     * @param {string} options.baseUrl - 页面基准地址，用于加载 css/print.css
+     * @returns {string} 完整的 HTML 文档
+     */
+    static toHTML(result, options = {}) {
+        const esc = GeoFormats.escapeXml;
+        const stations = result.recommendations.map((station, index) => ({
+            station,
+            data: stationFinder.formatResultForDisplay(station, index)
+        }));
+        const labels = result.origins.map((origin, index) => StationFinder.getOriginLabel(index));
+        const generatedAt = new Date(result.savedAt || Date.now());
+
+        const originsList = result.origins.map((origin, index) => `
+            <li><span class="dot" style="background: ${StationFinder.getOriginColor(index)};"></span>
+                ${labels[index]}：${esc(GeoFormats.getOriginName(origin))}</li>
+        `).join('');
+
+        const table = `
+            <table class="comparison">
+                <thead>
+                    <tr>
+                        <th>排名</th><th>站点</th>
+                        ${labels.map(label => `<th>${label} 耗时</th>`).join('')}
+                        <th>最长</th><th>时间差</th><th>平衡度</th><th>总耗时</th><th>换乘</th><th>票价</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${stations.map(({ data }) => `
+                        <tr>
+                            <td>${data.rank}</td>
+                            <td>${esc(data.stationName)}</td>
+                            ${data.times.map(time => `<td>${time}</td>`).join('')}
+                            <td>${data.maxTime}</td>
+                            <td>${data.timeDiff}</td>
+                            <td>${data.balanceScore}%</td>
+                            <td>${data.totalTime}</td>
+                            <td>${data.transfers.join(' / ')}</td>
+                            <td>${data.fares.map(fare => `${fare}元`).join(' / ')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        const details = stations.map(({ station, data }) => `
+            <section class="station">
+                <h2>${data.rank}. ${esc(data.stationName)}</h2>
+                ${data.serviceWarnings.map(warning => `<p class="warning">⚠️ ${esc(warning)}</p>`).join('')}
+                ${data.exitAdvice ? `<p class="exits">🚪 建议在 ${esc(data.exitAdvice.meeting)} 碰头；${data.exitAdvice.arrivals.map((exit, index) => `${labels[index]} 最近 ${esc(exit)}`).join('，')}</p>` : ''}
+                ${data.itineraries.map((itinerary, index) => `
+                    <div class="itinerary">
+                        <h3>${labels[index]} 出发 · ${itinerary.duration}${itinerary.fare ? ` · ${itinerary.fare}` : ''}</h3>
+                        <ol>
+                            ${itinerary.steps.map(step => `
+                                <li class="${step.type}">${esc(step.text)}${step.duration ? `<span class="time">${step.duration}</span>` : ''}</li>
+                            `).join('') || '<li>暂无详细路线</li>'}
+                        </ol>
+                    </div>
+                `).join('')}
+            </section>
+        `).join('');
+
+        return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    ${options.baseUrl ? `<base href="${esc(options.baseUrl)}">` : ''}
+    <title>中间站推荐报告</title>
+    <link rel="stylesheet" href="css/print.css">
+</head>
+<body>
+    <header>
+        <h1>上海地铁中间站推荐</h1>
+        <p class="meta">生成于 ${generatedAt.toLocaleString('zh-CN')} · 路线偏好：${esc(RoutingProvider.getPolicy(result.policy).label)}${result.venue ? ` · 场所：${esc(result.venue)}` : ''}</p>
+        <ul class="origins">${originsList}</ul>
+    </header>
+    <figure class="snapshot">
+        ${ResultReport.renderMapSvg(result)}
+        <figcaption>路线示意图（彩色线为第 1 名站点的路线，圆点为出发地，编号为推荐排名）</figcaption>
+    </figure>
+    ${table}
+    ${details}
+</body>
+</html>`;
+    }
+
+    /**
+     * 路线示意图：按经纬度等比例投影出发地、推荐站点和第 1 名站点的分段路线
+     * 不依赖地图瓦片，打印时保持清晰
+     * @returns {string} SVG
+     */
+    static renderMapSvg(result, width = 640, height = 400) {
+        const best = result.recommendations[0];
+        const legs = GeoFormats.getLegs({ ...result, recommendations: best ? [best] : [] });
+        const points = [
+            ...result.origins.map(origin => [origin.lng, origin.lat]),
+            ...result.recommendations.map(station => [station.lng, station.lat]),
+            ...legs.flatMap(leg => leg.path)
+        ];
+        if (points.length === 0) return '';
+
+        // 经度按纬度余弦缩放，使示意图不变形
+        const padding = 30;
+        const lngs = points.map(([lng]) => lng);
+        const lats = points.map(([, lat]) => lat);
+        const minLng = Math.min(...lngs);
+        const maxLat = Math.max(...lats);
+        const cos = Math.cos((maxLat * Math.PI) / 180);
+        const spanX = Math.max((Math.max(...lngs) - minLng) * cos, 1e-6);
+        const spanY = Math.max(maxLat - Math.min(...lats), 1e-6);
+        const scale = Math.min((width - padding * 2) / spanX, (height - padding * 2) / spanY);
+        const project = ([lng, lat]) => [
+            (padding + (lng - minLng) * cos * scale).toFixed(1),
+            (padding + (maxLat - lat) * scale).toFixed(1)
+        ];
+
+        const lines = legs.map(leg => `
+            <polyline points="${leg.path.map(p => project(p).join(',')).join(' ')}"
+                fill="none" stroke="${GeoFormats.getSegmentColor(leg)}" stroke-width="${leg.segment.type === 'walking' ? 2 : 4}"
+                ${leg.segment.type === 'walking' || leg.segment.type === 'direct' ? 'stroke-dasharray="6 4"' : ''} stroke-linejoin="round"/>
+        `).join('');
+
+        const stations = result.recommendations.map((station, index) => {
+            const [x, y] = project([station.lng, station.lat]);
+            return `
+                <circle cx="${x}" cy="${y}" r="${index === 0 ? 9 : 7}" fill="${index === 0 ? '#52c41a' : '#1890ff'}" stroke="white" stroke-width="2"/>
+                <text x="${x}" y="${y}" dy="4" text-anchor="middle" font-size="10" fill="white">${index + 1}</text>
+            `;
+        }).join('');
+
+        const origins = result.origins.map((origin, index) => {
+            const [x, y] = project([origin.lng, origin.lat]);
+            return `
+                <circle cx="${x}" cy="${y}" r="9" fill="${StationFinder.getOriginColor(index)}" stroke="white" stroke-width="2"/>
+                <text x="${x}" y="${y}" dy="4" text-anchor="middle" font-size="10" fill="white">${StationFinder.getOriginLabel(index)}</text>
+            `;
+        }).join('');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">
+            <rect width="100%" height="100%" fill="#fafafa"/>
+            ${lines}${stations}${origins}
+        </svg>`;
+    }
+
+    /**
+     * CSV 单元格：含逗号、引号或换行时加引号并转义
+     */
+    static csvCell(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// 导出（如果使用模块化）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ResultReport };
+}
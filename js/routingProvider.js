@@ -0,0 +1,199 @@
+/**
+ * 路线服务提供者接口
+ * StationFinder 只通过这里定义的方法访问地图服务，
+ * 高德（GaodeAPI）和测试用的固定数据（FixtureProvider）都实现这一接口
+ */
+
+// Node 环境下加载依赖（浏览器中为全局变量）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./config'));
+}
+
+/*
+ * 以下方法最后一个参数 options 中的 signal（AbortSignal，可选）用于取消查找：
+ * 取消后尚未发起的请求不再发起，以 AbortError（见 RateLimiter.createAbortError）拒绝；不排队的服务可以忽略
+ */
+class RoutingProvider {
+    /**
+     * 地理编码：将地址转换为经纬度坐标
+     * @param {string} address - 地址字符串
+     * @param {Object} options - {signal}
+     * @returns {Promise<{lng: number, lat: number, formattedAddress: string, province: string, city: string, district: string}>}
+     */
+    async geocode(address, options = {}) {
+        throw new Error(`${this.constructor.name} 未实现 geocode`);
+    }
+
+    /**
+     * 逆地理编码：将坐标转换为可读的地点名称
+     * 默认以坐标作为名称，具体服务可覆盖
+     * @param {Object} location - 坐标 {lng, lat}
+     * @param {Object} options - {signal}
+     * @returns {Promise<{name: string, formattedAddress: string, adcode: string, district: string}>}
+     */
+    async reverseGeocode(location, options = {}) {
+        const name = `${Number(location.lng).toFixed(5)}, ${Number(location.lat).toFixed(5)}`;
+        return { name, formattedAddress: name, adcode: '', district: '' };
+    }
+
+    /**
+     * 公交路线规划
+     * @param {Object} origin - 起点坐标 {lng, lat}
+     * @param {Object} destination - 终点坐标 {lng, lat}
+     * @param {Object} options - 查询选项
+     * @param {Date} options.departAt - 出发时间，默认为当前时间
+     * @param {string} options.policy - 路线偏好（CONFIG.ROUTE_POLICIES 中的键），默认时间最短
+     * @param {AbortSignal} options.signal - 取消信号（可选），取消后尚未发起的请求不再发起
+     * @returns {Promise<Object>} 路线信息 {duration, walking_distance, distance, cost, transfers, segments: {segments, allSubwayStations, stopLocations}}
+     *   allSubwayStations 为途经的地铁站名称，stopLocations（可选）为站点名称 -> {lng, lat}
+     *   segments 中每段为 {type: 'walking'|'subway'|'bus', duration, distance, path}，
+     *   乘车段另有 lineName、startStation、endStation、startLocation、endLocation；path 为 [[lng, lat], ...]，可以为空
+     */
+    async getTransitRoute(origin, destination, options = {}) {
+        throw new Error(`${this.constructor.name} 未实现 getTransitRoute`);
+    }
+
+    /**
+     * 步行路线规划
+     * @param {Object} origin - 起点坐标 {lng, lat}
+     * @param {Object} destination - 终点坐标 {lng, lat}
+     * @param {Object} options - {signal}
+     * @returns {Promise<{duration: number, distance: number, path: Array}>} path 为步行路径 [[lng, lat], ...]，可以为空
+     */
+    async getWalkingRoute(origin, destination, options = {}) {
+        throw new Error(`${this.constructor.name} 未实现 getWalkingRoute`);
+    }
+
+    /**
+     * 搜索附近的地铁站
+     * @param {Object} location - 中心点坐标 {lng, lat}
+     * @param {number} radius - 搜索半径（米）
+     * @param {Object} options - {signal}
+     * @returns {Promise<Array<{name: string, address: string, district: string, lng: number, lat: number, distance: number}>>}
+     *   district 为所在区，可以为空
+     */
+    async searchNearbySubwayStations(location, radius, options = {}) {
+        throw new Error(`${this.constructor.name} 未实现 searchNearbySubwayStations`);
+    }
+
+    /**
+     * 按关键词搜索周边地点（餐厅、咖啡等）
+     * 默认没有数据，具体服务可覆盖
+     * @param {Object} location - 中心点坐标 {lng, lat}
+     * @param {string} keyword - 搜索关键词
+     * @param {number} radius - 搜索半径（米）
+     * @param {Object} options - {signal}
+     * @returns {Promise<{count: number, pois: Array<{name: string, address: string, lng: number, lat: number, distance: number, type: string}>}>}
+     *   count 为范围内的总数，pois 只包含第一页
+     */
+    async searchNearbyPlaces(location, keyword, radius, options = {}) {
+        return { count: 0, pois: [] };
+    }
+
+    /**
+     * 查询地铁站的出入口
+     * 默认按"X站出入口"做周边搜索，从 POI 名称（如"人民广场(地铁站)1号口"）中提取出口编号；
+     * 有现成出口数据的服务可覆盖
+     * @param {Object} station - 地铁站 {name, lng, lat}
+     * @param {Object} options - {signal}
+     * @returns {Promise<Array<{name: string, lng: number, lat: number}>>} name 为"1号口"，按编号排序
+     */
+    async searchStationExits(station, options = {}) {
+        const baseName = RoutingProvider.getStationBaseName(station.name);
+        const { pois } = await this.searchNearbyPlaces(station, `${baseName}站出入口`, CONFIG.EXITS.RADIUS, options);
+
+        const exits = new Map();
+        pois.forEach(poi => {
+            const name = poi.name.includes(baseName) ? RoutingProvider.parseExitName(poi.name) : null;
+            if (name && !exits.has(name)) {
+                exits.set(name, { name, lng: poi.lng, lat: poi.lat });
+            }
+        });
+
+        return Array.from(exits.values())
+            .sort((a, b) => a.name.localeCompare(b.name, 'zh-CN', { numeric: true }));
+    }
+
+    /**
+     * 输入提示（自动补全）
+     * @param {string} keyword - 搜索关键词
+     * @returns {Promise<Array<{name: string, address: string, location: {lng: number, lat: number}, adcode: string, district: string}>>}
+     */
+    async getSuggestions(keyword) {
+        return [];
+    }
+
+    /**
+     * 延迟函数
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * 获取路线偏好配置，未知名称时退回默认偏好
+     * @param {string} name - CONFIG.ROUTE_POLICIES 中的键
+     */
+    static getPolicy(name) {
+        const policies = CONFIG.ROUTE_POLICIES;
+        return policies[name] || policies[CONFIG.ALGORITHM.ROUTE_POLICY];
+    }
+
+    /**
+     * 按路线偏好计算等效耗时（秒）：实际耗时 + 换乘、步行、票价的折算
+     * @param {Object} route - 路线信息 {duration, transfers, walking_distance, cost}
+     * @param {Object} policy - 路线偏好配置
+     */
+    static getRouteCost(route, policy) {
+        return route.duration +
+            (route.transfers || 0) * (policy.transferPenalty || 0) +
+            (route.walking_distance || 0) * (policy.walkingPenalty || 0) +
+            (route.cost || 0) * (policy.costPenalty || 0);
+    }
+
+    /**
+     * 站点名称去掉"(地铁站)""站"等后缀：人民广场(地铁站) -> 人民广场
+     */
+    static getStationBaseName(name) {
+        return String(name).replace(/[(（]地铁站[)）]$/, '').replace(/(地铁站|站)$/, '');
+    }
+
+    /**
+     * 从出口 POI 名称中提取出口编号：人民广场(地铁站)1号口 -> 1号口，世纪大道地铁站A口 -> A口
+     * @returns {string|null} 不是出口时返回 null
+     */
+    static parseExitName(poiName) {
+        const match = String(poiName).match(/([A-Za-z]?\d*[A-Za-z]?)\s*号?(出入口|出口|口)$/);
+        if (!match || !match[1]) return null;
+        return /\d/.test(match[1]) ? `${match[1].toUpperCase()}号口` : `${match[1].toUpperCase()}口`;
+    }
+
+    /**
+     * 检查对象是否实现了接口要求的全部方法
+     * @throws {Error} 缺少方法时抛出
+     */
+    static assertProvider(provider) {
+        const missing = RoutingProvider.METHODS.filter(method => typeof provider[method] !== 'function');
+        if (missing.length > 0) {
+            throw new Error(`路线服务缺少方法: ${missing.join(', ')}`);
+        }
+    }
+}
+
+// 接口方法列表
+RoutingProvider.METHODS = [
+    'geocode',
+    'reverseGeocode',
+    'getTransitRoute',
+    'getWalkingRoute',
+    'searchNearbySubwayStations',
+    'searchNearbyPlaces',
+    'searchStationExits',
+    'getSuggestions',
+    'delay'
+];
+
+// 导出（如果使用模块化）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RoutingProvider };
+}
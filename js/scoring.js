@@ -0,0 +1,164 @@
+/**
+ * 站点评分模型
+ * 由若干命名的评分项组合而成，每项把站点的某个指标折算为等效秒数，
+ * 乘以权重后相加得到总分（越小越好）。调整权重只需重新排序，不需要重新请求路线。
+ */
+
+// Node 环境下加载依赖（浏览器中为全局变量）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./config'));
+}
+
+class ScoringModel {
+    /**
+     * @param {Object} weights - 评分项键 -> 权重，缺省的项按 0 处理；默认使用 SCORING.DEFAULT_PRESET
+     */
+    constructor(weights = null) {
+        this.weights = {};
+        this.setWeights(weights || ScoringModel.getPreset(CONFIG.SCORING.DEFAULT_PRESET).weights);
+    }
+
+    /**
+     * 设置全部权重
+     */
+    setWeights(weights) {
+        this.weights = {};
+        ScoringModel.CRITERIA.forEach(criterion => {
+            this.weights[criterion.key] = Number(weights[criterion.key]) || 0;
+        });
+    }
+
+    /**
+     * 设置单项权重
+     */
+    setWeight(key, weight) {
+        if (!ScoringModel.getCriterion(key)) {
+            throw new Error(`未知的评分项: ${key}`);
+        }
+        this.weights[key] = Number(weight) || 0;
+    }
+
+    getWeights() {
+        return { ...this.weights };
+    }
+
+    /**
+     * 计算单个站点的得分
+     * 站点缺少某项数据（如尚未获取周边设施）时，使用 fallbacks 中的值，没有则该项不计分
+     * @param {Object} fallbacks - 评分项键 -> 缺少数据时使用的值
+     * @returns {{score: number, breakdown: Object}} breakdown 为各项加权后的等效秒数
+     */
+    score(station, fallbacks = {}) {
+        const breakdown = {};
+        let score = 0;
+
+        ScoringModel.CRITERIA.forEach(criterion => {
+            const weight = this.weights[criterion.key];
+            if (!weight) return;
+
+            let value = criterion.evaluate(station);
+            if (!ScoringModel.hasValue(value)) {
+                value = fallbacks[criterion.key];
+            }
+            if (!ScoringModel.hasValue(value)) return;
+
+            breakdown[criterion.key] = value * weight;
+            score += breakdown[criterion.key];
+        });
+
+        return { score, breakdown };
+    }
+
+    /**
+     * 为站点打分并按得分升序排序（不修改传入的站点对象）
+     * 只有部分站点有某项数据时，缺少数据的站点按该项最差的值计分，避免因缺少数据反而排到前面
+     */
+    rank(stations) {
+        const fallbacks = {};
+        ScoringModel.CRITERIA.forEach(criterion => {
+            if (!this.weights[criterion.key]) return;
+
+            const values = stations.map(station => criterion.evaluate(station)).filter(ScoringModel.hasValue);
+            if (values.length > 0) {
+                fallbacks[criterion.key] = Math.max(...values);
+            }
+        });
+
+        return stations
+            .map(station => {
+                const { score, breakdown } = this.score(station, fallbacks);
+                return { ...station, score, scoreBreakdown: breakdown };
+            })
+            .sort((a, b) => a.score - b.score);
+    }
+
+    static hasValue(value) {
+        return value !== null && value !== undefined && isFinite(value);
+    }
+
+    static getCriterion(key) {
+        return ScoringModel.CRITERIA.find(criterion => criterion.key === key) || null;
+    }
+
+    /**
+     * 获取内置预设，未知名称时返回默认预设
+     */
+    static getPreset(name) {
+        const presets = CONFIG.SCORING.PRESETS;
+        return presets[name] || presets[CONFIG.SCORING.DEFAULT_PRESET];
+    }
+}
+
+// 评分项
+// evaluate 返回等效秒数（越小越好），返回 null 表示该站点没有这项数据
+// 耗时类指标使用按路线偏好折算后的等效耗时（见 RoutingProvider.getRouteCost）
+ScoringModel.CRITERIA = [
+    {
+        key: 'maxTime',
+        label: '最长耗时',
+        description: '所有人中耗时最长的那位',
+        evaluate: station => station.maxCost
+    },
+    {
+        key: 'totalTime',
+        label: '总耗时',
+        description: '所有人耗时之和',
+        evaluate: station => station.totalCost
+    },
+    {
+        key: 'timeDiff',
+        label: '时间差',
+        description: '最长与最短耗时之差，越小越公平',
+        evaluate: station => station.costDiff
+    },
+    {
+        key: 'transfers',
+        label: '换乘次数',
+        description: '所有人的换乘次数之和，每次折算 5 分钟',
+        evaluate: station => station.transfers.reduce((sum, count) => sum + count, 0) * 300
+    },
+    {
+        key: 'walking',
+        label: '步行距离',
+        description: '所有人的步行距离之和，每 100 米折算 1 分钟',
+        evaluate: station => station.walkingDistances.reduce((sum, distance) => sum + distance, 0) * 0.6
+    },
+    {
+        key: 'fare',
+        label: '票价',
+        description: '所有人的票价之和，每元折算 2 分钟',
+        evaluate: station => station.fares.reduce((sum, fare) => sum + fare, 0) * 120
+    },
+    {
+        // station.amenityScore 由 StationFinder.loadAmenityScores 查询周边设施后写入
+        key: 'amenities',
+        label: '周边设施',
+        description: '站点周边餐饮、商场等设施越少扣分越多，满分 0 分钟，无设施 10 分钟',
+        evaluate: station => (typeof station.amenityScore === 'number' ? (100 - station.amenityScore) * 6 : null)
+    }
+];
+
+// 导出（如果使用模块化）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScoringModel };
+}
@@ -0,0 +1,314 @@
+/**
+ * 搜索历史
+ * 每条记录保存查询条件、解析后的起点和排名靠前的站点（含完整路线），
+ * 点击即可还原结果列表和地图，不再消耗高德配额
+ * - 置顶的记录排在最前，不受条数上限淘汰
+ * - 路线坐标可按 Google 折线算法编码为字符串，减小 localStorage 占用
+ */
+
+// Node 环境下加载依赖（浏览器中为全局变量）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./config'), require('./requestCache'));
+}
+
+class SearchHistory {
+    /**
+     * @param {Object} options
+     * @param {Storage} options.storage - 存储后端，默认 localStorage
+     * @param {string} options.key - 存储键
+     * @param {number} options.maxEntries - 未置顶记录的最大条数
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || RequestCache.getDefaultStorage();
+        this.key = options.key || CONFIG.STORAGE_KEYS.SEARCH_HISTORY;
+        this.maxEntries = options.maxEntries || CONFIG.MAX_HISTORY;
+        this.entries = [];  // [{ id, addresses, query, result, pinned, timestamp }]，最近的在前
+        this.load();
+    }
+
+    /**
+     * 所有记录：置顶的在前，其余按时间倒序
+     */
+    getEntries() {
+        return this.entries.filter(entry => entry.pinned)
+            .concat(this.entries.filter(entry => !entry.pinned));
+    }
+
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * 按关键词搜索历史：匹配参与者地址和推荐站点名称
+     */
+    search(keyword) {
+        const normalized = RequestCache.normalizeAddress(keyword || '');
+        if (!normalized) return this.getEntries();
+
+        return this.getEntries().filter(entry => {
+            const stationNames = entry.result ? entry.result.stations.map(station => station.name) : [];
+            return entry.addresses.concat(stationNames)
+                .some(text => RequestCache.normalizeAddress(text).includes(normalized));
+        });
+    }
+
+    /**
+     * 添加一条记录，参与者地址和查询条件都相同的旧记录被替换（保留置顶状态）
+     * @param {string[]} addresses - 所有参与者的地址
+     * @param {Object} query - 查询条件（见 SubwayFinderApp.getQueryState）
+     * @param {Object} result - findMeetingStations 的返回值（可选）
+     * @returns {Object} 新记录
+     */
+    add(addresses, query = null, result = null) {
+        const key = SearchHistory.getEntryKey(addresses, query);
+        const previous = this.entries.find(entry => SearchHistory.getEntryKey(entry.addresses, entry.query) === key);
+
+        const entry = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            addresses,
+            query,
+            result: result ? SearchHistory.compactResult(result) : null,
+            pinned: previous ? previous.pinned : false,
+            timestamp: Date.now()
+        };
+
+        this.entries = [entry].concat(this.entries.filter(item => item !== previous));
+        this.trim();
+        this.save();
+        return entry;
+    }
+
+    remove(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        this.save();
+    }
+
+    /**
+     * 置顶或取消置顶
+     * @returns {boolean} 操作后是否为置顶
+     */
+    togglePin(id) {
+        const entry = this.get(id);
+        if (!entry) return false;
+
+        entry.pinned = !entry.pinned;
+        this.trim();
+        this.save();
+        return entry.pinned;
+    }
+
+    /**
+     * 还原记录中保存的结果，结构与 findMeetingStations 的返回值一致
+     * @returns {Object|null} 没有保存结果的旧记录返回 null
+     */
+    restoreResult(entry) {
+        if (!entry || !entry.result) return null;
+
+        const saved = entry.result;
+        const stations = saved.stations.map(station => ({
+            ...station,
+            routes: station.routes.map(route => SearchHistory.expandRoute(route))
+        }));
+
+        return {
+            origins: saved.origins,
+            mainRoutes: [],
+            stations,
+            recommendations: stations.slice(0, CONFIG.ALGORITHM.MAX_RESULTS),
+            totalCandidates: saved.totalCandidates,
+            routingMode: saved.routingMode,
+            departure: {
+                mode: saved.departure.mode,
+                time: new Date(saved.departure.time)
+            },
+            policy: saved.policy,
+            venue: saved.venue || null,
+            failed: saved.failed || [],
+            savedAt: entry.timestamp
+        };
+    }
+
+    /**
+     * 超出条数上限时淘汰最旧的未置顶记录
+     */
+    trim() {
+        let unpinned = 0;
+        this.entries = this.entries.filter(entry => entry.pinned || ++unpinned <= this.maxEntries);
+    }
+
+    load() {
+        try {
+            const saved = this.storage.getItem(this.key);
+            if (saved) {
+                // 兼容旧版只有 start/end 或只有地址的记录
+                this.entries = JSON.parse(saved).map((item, index) => ({
+                    id: item.id || `legacy${index}`,
+                    addresses: item.addresses || [item.start, item.end],
+                    query: item.query || null,
+                    result: item.result || null,
+                    pinned: !!item.pinned,
+                    timestamp: item.timestamp
+                }));
+            }
+        } catch (error) {
+            Logger.error('加载搜索历史失败:', error);
+            this.entries = [];
+        }
+    }
+
+    /**
+     * 保存到存储；空间不足时从最旧的记录开始丢弃保存的结果（保留查询条件）后重试
+     */
+    save() {
+        const withResults = this.entries.filter(entry => entry.result);
+
+        while (true) {
+            try {
+                this.storage.setItem(this.key, JSON.stringify(this.entries));
+                return;
+            } catch (error) {
+                const oldest = withResults.pop();
+                if (!oldest) {
+                    Logger.error('保存搜索历史失败:', error);
+                    return;
+                }
+                Logger.warn('存储空间不足，丢弃最旧一条历史记录的结果数据');
+                oldest.result = null;
+            }
+        }
+    }
+
+    /**
+     * 去重键：参与者地址 + 会改变结果的查询条件（计算方式、路线偏好、出行时间、场所）
+     * 评分权重不在其中，调整权重只是重排同一批结果
+     */
+    static getEntryKey(addresses, query) {
+        const { routingMode = '', policy = '', departure = null, venue = null } = query || {};
+        const time = departure && departure.mode !== 'now' ? `${departure.mode}@${departure.time}` : 'now';
+        return [...addresses, routingMode, policy, time, venue || ''].join('\n');
+    }
+
+    /**
+     * 精简查询结果：只保留排名靠前的站点，去掉参考路线；
+     * 失败的候选只保留计算失败的（超出候选上限的数量多，重新搜索即可得到），且只保留表格需要的字段
+     */
+    static compactResult(result) {
+        return {
+            origins: result.origins,
+            stations: result.stations.slice(0, CONFIG.HISTORY.MAX_STATIONS).map(station => ({
+                ...station,
+                routes: station.routes.map(route => SearchHistory.compactRoute(route))
+            })),
+            totalCandidates: result.totalCandidates,
+            routingMode: result.routingMode,
+            departure: {
+                mode: result.departure.mode,
+                time: new Date(result.departure.time).getTime()
+            },
+            policy: result.policy,
+            venue: result.venue || null,
+            failed: (result.failed || [])
+                .filter(station => station.failure.type !== 'limit')
+                .map(({ name, lng, lat, source, lines, district, failure }) => ({ name, lng, lat, source, lines, district, failure }))
+        };
+    }
+
+    /**
+     * 按配置把路段坐标编码为字符串（encodedPath），其余字段不变
+     */
+    static compactRoute(route) {
+        if (!CONFIG.HISTORY.COMPRESS_ROUTES || !route.segments) return route;
+
+        return {
+            ...route,
+            segments: {
+                ...route.segments,
+                segments: route.segments.segments.map(({ path, ...segment }) => (
+                    path ? { ...segment, encodedPath: SearchHistory.encodePath(path) } : segment
+                ))
+            }
+        };
+    }
+
+    static expandRoute(route) {
+        if (!route.segments) return route;
+
+        return {
+            ...route,
+            segments: {
+                ...route.segments,
+                segments: route.segments.segments.map(({ encodedPath, ...segment }) => (
+                    encodedPath !== undefined ? { ...segment, path: SearchHistory.decodePath(encodedPath) } : segment
+                ))
+            }
+        };
+    }
+
+    /**
+     * 折线编码：坐标取 5 位小数，逐点记录与上一点的差值
+     * @param {Array<Array<number>>} path - [[lng, lat], ...]
+     * @returns {string}
+     */
+    static encodePath(path) {
+        let lastLng = 0;
+        let lastLat = 0;
+
+        return path.map(([lng, lat]) => {
+            const x = Math.round(lng * 1e5);
+            const y = Math.round(lat * 1e5);
+            const encoded = SearchHistory.encodeNumber(x - lastLng) + SearchHistory.encodeNumber(y - lastLat);
+            lastLng = x;
+            lastLat = y;
+            return encoded;
+        }).join('');
+    }
+
+    static decodePath(encoded) {
+        const path = [];
+        let index = 0;
+        let lng = 0;
+        let lat = 0;
+
+        const next = () => {
+            let result = 0;
+            let shift = 0;
+            let byte;
+            do {
+                byte = encoded.charCodeAt(index++) - 63;
+                result |= (byte & 0x1f) << shift;
+                shift += 5;
+            } while (byte >= 0x20);
+            return result & 1 ? ~(result >> 1) : result >> 1;
+        };
+
+        while (index < encoded.length) {
+            lng += next();
+            lat += next();
+            path.push([lng / 1e5, lat / 1e5]);
+        }
+
+        return path;
+    }
+
+    /**
+     * 有符号整数编码为若干个可打印字符（每个字符 5 位）
+     */
+    static encodeNumber(value) {
+        let num = value < 0 ? ~(value << 1) : value << 1;
+        let encoded = '';
+
+        while (num >= 0x20) {
+            encoded += String.fromCharCode((0x20 | (num & 0x1f)) + 63);
+            num >>= 5;
+        }
+        return encoded + String.fromCharCode(num + 63);
+    }
+}
+
+// 创建全局实例
+const searchHistory = new SearchHistory();
+
+// 导出（如果使用模块化）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchHistory, searchHistory };
+}
@@ -0,0 +1,178 @@
+/**
+ * 分享链接
+ * 把一次查询（参与者地点、计算方式、路线偏好、出行时间、评分权重和选中的站点）
+ * 编码进 URL 查询字符串，打开链接即可还原同样的查询
+ *
+ * 参数：
+ *   p      参与者，可重复；"名称" 或 "名称@经度,纬度"（已确定坐标的地点）
+ *   mode   计算方式（online / local）
+ *   policy 路线偏好（CONFIG.ROUTE_POLICIES 的键）
+ *   time   出行时间，"depart@2024-05-01T21:00" 或 "arrive@..."，缺省为现在出发
+ *   w      评分权重，"maxTime:1,timeDiff:0.3"，只列出非零项
+ *   v      场所关键词（场所模式，如"火锅"）
+ *   s      选中的站点名称
+ */
+
+// Node 环境下加载依赖（浏览器中为全局变量）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./config'), require('./scoring'));
+}
+
+class ShareLink {
+    /**
+     * 把查询编码为 URL 查询字符串（不含 "?"）
+     * @param {Object} query
+     * @param {Array<string|Object>} query.places - 地址文字或 {name, lng, lat}
+     * @param {string} query.routingMode - 计算方式
+     * @param {string} query.policy - 路线偏好
+     * @param {{mode: string, time: string}} query.departure - time 为 "YYYY-MM-DDTHH:mm"
+     * @param {Object} query.weights - 评分项键 -> 权重
+     * @param {string} query.venue - 场所关键词（可选）
+     * @param {string} query.station - 选中的站点名称（可选）
+     * @returns {string}
+     */
+    static serialize(query) {
+        const params = new URLSearchParams();
+
+        query.places.forEach(place => {
+            params.append('p', typeof place === 'string' ? place : ShareLink.formatPlace(place));
+        });
+
+        if (query.routingMode) {
+            params.set('mode', query.routingMode);
+        }
+        if (query.policy) {
+            params.set('policy', query.policy);
+        }
+        if (query.departure && query.departure.mode !== 'now' && query.departure.time) {
+            params.set('time', `${query.departure.mode}@${query.departure.time}`);
+        }
+
+        const weights = Object.entries(query.weights || {})
+            .filter(([, weight]) => weight)
+            .map(([key, weight]) => `${key}:${Number(weight.toFixed(2))}`);
+        if (weights.length > 0) {
+            params.set('w', weights.join(','));
+        }
+
+        if (query.venue) {
+            params.set('v', query.venue);
+        }
+
+        if (query.station) {
+            params.set('s', query.station);
+        }
+
+        return params.toString();
+    }
+
+    /**
+     * 解析 URL 查询字符串
+     * 无法识别的参数忽略，少于两位参与者时视为不是分享链接
+     * @param {string} search - location.search（可带 "?"）
+     * @returns {Object|null} 与 serialize 的参数结构相同，缺省项为 null
+     */
+    static parse(search) {
+        const params = new URLSearchParams(search);
+        const places = params.getAll('p')
+            .map(value => ShareLink.parsePlace(value))
+            .filter(place => place)
+            .slice(0, CONFIG.MAX_PARTICIPANTS);
+
+        if (places.length < CONFIG.MIN_PARTICIPANTS) {
+            return null;
+        }
+
+        const policy = params.get('policy');
+        const mode = params.get('mode');
+
+        return {
+            places,
+            routingMode: ShareLink.ROUTING_MODES.includes(mode) ? mode : null,
+            policy: policy && CONFIG.ROUTE_POLICIES[policy] ? policy : null,
+            departure: ShareLink.parseDeparture(params.get('time')),
+            weights: ShareLink.parseWeights(params.get('w')),
+            venue: ShareLink.cleanText(params.get('v')) || null,
+            station: ShareLink.cleanText(params.get('s')) || null
+        };
+    }
+
+    /**
+     * 生成完整的分享链接
+     * @param {Object} query - 见 serialize
+     * @param {string} base - 页面地址，默认当前页面（去掉原有查询参数和锚点）
+     */
+    static buildUrl(query, base = `${location.origin}${location.pathname}`) {
+        return `${base}?${ShareLink.serialize(query)}`;
+    }
+
+    static formatPlace(place) {
+        return `${place.name}@${Number(place.lng).toFixed(6)},${Number(place.lat).toFixed(6)}`;
+    }
+
+    /**
+     * "名称@经度,纬度" -> {name, lng, lat}；没有合法坐标时返回清理后的文字
+     * @returns {string|Object|null} 名称清理后为空时返回 null
+     */
+    static parsePlace(value) {
+        const text = String(value || '');
+        const at = text.lastIndexOf('@');
+        if (at > 0) {
+            const [lng, lat] = text.slice(at + 1).split(',').map(parseFloat);
+            const name = ShareLink.cleanText(text.slice(0, at));
+            if (name && isFinite(lng) && isFinite(lat) && Math.abs(lng) <= 180 && Math.abs(lat) <= 90) {
+                return { name, lng, lat };
+            }
+        }
+        return ShareLink.cleanText(text) || null;
+    }
+
+    /**
+     * 清理链接中的文字：去掉控制字符和尖括号，合并空白，截断到 MAX_TEXT_LENGTH
+     * 地点名称会显示在页面上并存入搜索历史，不接受链接中夹带的 HTML
+     */
+    static cleanText(value) {
+        return String(value || '')
+            .replace(/[\u0000-\u001f\u007f<>]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, ShareLink.MAX_TEXT_LENGTH);
+    }
+
+    static parseDeparture(value) {
+        const match = String(value || '').match(/^(depart|arrive)@(\d{4}-\d{2}-\d{2}T\d{2}:\d{2})$/);
+        if (!match || isNaN(new Date(match[2]).getTime())) {
+            return { mode: 'now', time: null };
+        }
+        return { mode: match[1], time: match[2] };
+    }
+
+    /**
+     * "maxTime:1,timeDiff:0.3" -> {maxTime: 1, timeDiff: 0.3}；没有可用的项时返回 null
+     */
+    static parseWeights(value) {
+        if (!value) return null;
+
+        const weights = {};
+        value.split(',').forEach(item => {
+            const [key, weight] = item.split(':');
+            const number = parseFloat(weight);
+            if (ScoringModel.getCriterion(key) && isFinite(number)) {
+                weights[key] = Math.max(0, Math.min(CONFIG.SCORING.MAX_WEIGHT, number));
+            }
+        });
+
+        return Object.keys(weights).length > 0 ? weights : null;
+    }
+}
+
+// 可分享的计算方式（与页面上的 #routingMode 选项一致）
+ShareLink.ROUTING_MODES = ['online', 'local'];
+
+// 链接中地点名称、场所和站点名称的最大长度
+ShareLink.MAX_TEXT_LENGTH = 100;
+
+// 导出（如果使用模块化）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ShareLink };
+}
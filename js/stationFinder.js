@@ -3,240 +3,952 @@
  * 实现智能候选站点提取和最优站点计算
  */
 
+// Node 环境下加载依赖（浏览器中为全局变量）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./config'), require('./routingProvider'), require('./rateLimiter'), require('./gaodeApi'),
+        require('./scoring'), require('./stationRegistry'));
+}
+
 class StationFinder {
-    constructor(api) {
+    /**
+     * @param {RoutingProvider} api - 路线服务（GaodeAPI、FixtureProvider 等）
+     * @param {MetroRouter} router - 离线路网路由（可选，用于 local 模式）
+     * @param {ScoringModel} scoringModel - 站点评分模型（可选，默认使用默认预设）
+     */
+    constructor(api, router = null, scoringModel = null) {
+        if (api) {
+            RoutingProvider.assertProvider(api);
+        }
         this.api = api;
-        this.balanceWeight = CONFIG.ALGORITHM.BALANCE_WEIGHT;
+        this.router = router;
+        this.scoringModel = scoringModel || new ScoringModel();
+        this.amenityRequests = new Map();  // 进行中的设施密度查询：站点名称 -> Promise<score>
+        this.exitRequests = new Map();     // 进行中的出口查询：站点名称 -> Promise<exits>
+        this.districtRequests = new Map(); // 进行中的所在区查询：站点名称 -> Promise<district>
     }
 
     /**
      * 主入口：查找两个地点之间的最佳中间地铁站
-     * @param {string} startAddress - 起点地址
-     * @param {string} endAddress - 终点地址
+     * 兼容旧接口，内部转为两人的多起点查找
+     * @param {string|Object} startAddress - 起点地址，或已确定坐标的地点（见 findMeetingStations）
+     * @param {string|Object} endAddress - 终点地址，或已确定坐标的地点
      * @returns {Promise<Object>} 包含最优站点和详细信息
      */
     async findMiddleStations(startAddress, endAddress) {
+        const result = await this.findMeetingStations([startAddress, endAddress]);
+
+        return {
+            ...result,
+            startLocation: result.origins[0],
+            endLocation: result.origins[1],
+            mainRoute: result.mainRoutes[0] || null
+        };
+    }
+
+    /**
+     * 多起点查找：为 N 个参与者找到最公平的相聚地铁站
+     * @param {Array<string|Object>} addresses - 每位参与者的出发地（至少 2 个）：
+     *   地址字符串，或已确定坐标的地点 {name, lng, lat, adcode, address}（如输入提示选中的结果），后者不再地理编码
+     * @param {Object} options - 查找选项
+     * @param {string} options.routingMode - 'online' 逐站调用高德公交规划；'local' 使用离线路网
+     * @param {Object} options.departure - 出行时间 {mode: 'now'|'depart'|'arrive', time: Date}，默认现在出发
+     * @param {string} options.policy - 路线偏好（CONFIG.ROUTE_POLICIES 中的键），默认时间最短
+     * @param {string} options.venue - 场所关键词（如"火锅"）；指定时推荐的是排名靠前站点周边的场所，而不是站点本身
+     * @param {AbortSignal} options.signal - 取消信号：取消后排队中的高德请求不再发起，以 AbortError 拒绝
+     * @param {Function} options.onProgress - 进度回调，参数为进度事件：
+     *   {type: 'geocoded', origins}                     所有起点已确定坐标
+     *   {type: 'candidates', stage, total}             候选站点（stage 为 'stations'）或候选场所（'venues'）已确定
+     *   {type: 'evaluated', stage, done, total, getProvisional}
+     *                                                  又完成一个候选的路线计算；getProvisional() 按已完成的候选排出
+     *                                                  临时结果（结构同返回值，带 provisional: true），调用时才排序；
+     *                                                  非最终推荐类型的阶段或还没有完成的候选时为 null
+     * @returns {Promise<Object>} 包含所有起点、最优站点和详细信息
+     *   stations 为全部已评估的站点（已排序），recommendations 为其中前 MAX_RESULTS 个；
+     *   failed 为未能参与排名的候选，每个带 failure {type, reason}（type 见 StationFinder.FAILURE_TYPES）
+     */
+    async findMeetingStations(addresses, options = {}) {
+        const routingMode = options.routingMode || CONFIG.ALGORITHM.ROUTING_MODE;
+        const departure = StationFinder.normalizeDeparture(options.departure);
+        const policyName = CONFIG.ROUTE_POLICIES[options.policy] ? options.policy : CONFIG.ALGORITHM.ROUTE_POLICY;
+        const policy = RoutingProvider.getPolicy(policyName);
+        const venue = (options.venue || '').trim() || null;
+        const signal = options.signal || null;
+        const onProgress = options.onProgress || (() => {});
+        const routeOptions = {
+            departAt: this.getQueryTime(departure),
+            policy: policyName,
+            signal
+        };
+
         try {
+            if (!Array.isArray(addresses) || addresses.length < 2) {
+                throw new Error('至少需要两个出发地点');
+            }
+
             Logger.log('开始查找中间站点...');
-            Logger.log('起点:', startAddress);
-            Logger.log('终点:', endAddress);
+            Logger.log('出发地点:', addresses);
 
-            // 步骤 1: 地理编码，获取起点和终点坐标
-            const startLocation = await this.api.geocode(startAddress);
-            const endLocation = await this.api.geocode(endAddress);
+            // 步骤 1: 地理编码，获取每个起点的坐标（已确定坐标的地点直接使用）
+            const origins = [];
+            for (let i = 0; i < addresses.length; i++) {
+                RateLimiter.throwIfAborted(signal);
+                origins.push({
+                    label: StationFinder.getOriginLabel(i),
+                    ...await this.resolveOrigin(addresses[i], signal)
+                });
+                Logger.log(`起点 ${origins[i].label} 坐标:`, origins[i]);
+            }
+            onProgress({ type: 'geocoded', origins });
 
-            Logger.log('起点坐标:', startLocation);
-            Logger.log('终点坐标:', endLocation);
+            const context = { origins, mainRoutes: [], totalCandidates: 0, routingMode, departure, policy: policyName, venue, failed: [] };
+            let stationsWithTime;
 
-            // 步骤 2: 获取从起点到终点的公交路线
-            const mainRoute = await this.api.getTransitRoute(startLocation, endLocation);
-            Logger.log('主路线信息:', mainRoute);
+            // 每完成一个候选就报告进度，并记录失败的候选（只在最终推荐的类型上进行）
+            // 临时结果在调用方需要重绘时才排序，离线模式逐站报告时不会每站都重排全部已完成的站点
+            const reportEvaluated = stage => {
+                const finished = [];
+                let cached = null;
+                const getProvisional = () => {
+                    if (!cached || cached.count !== finished.length) {
+                        const result = this.buildResult(this.rankStations(finished, policy), { ...context, provisional: true });
+                        cached = { count: finished.length, result };
+                    }
+                    return cached.result;
+                };
+                return (station, done, total, failure) => {
+                    const provisional = stage === (venue ? 'venues' : 'stations');
+                    if (station && provisional) {
+                        this.annotateSchedule([station], departure);
+                        finished.push(station);
+                    }
+                    if (failure && provisional) {
+                        context.failed.push(failure);
+                    }
+                    onProgress({
+                        type: 'evaluated',
+                        stage,
+                        done,
+                        total,
+                        getProvisional: finished.length > 0 ? getProvisional : null
+                    });
+                };
+            };
 
-            // 步骤 3: 提取候选地铁站
-            const candidates = await this.extractCandidateStations(
-                startLocation,
-                endLocation,
-                mainRoute
-            );
+            if (routingMode === 'local' && this.router) {
+                // 离线模式：内置路网收录的所有站点都是候选，只有进站步行段需要调用高德
+                context.totalCandidates = this.router.getAllStations().length;
+                onProgress({ type: 'candidates', stage: 'stations', total: context.totalCandidates });
+                stationsWithTime = await this.calculateNetworkTravelTimes(origins, signal, reportEvaluated('stations'));
+            } else {
+                // 步骤 2: 获取参考路线（两人时为互相之间的路线，多人时为各自到中心点的路线）
+                context.mainRoutes = await this.getReferenceRoutes(origins, routeOptions);
+                Logger.log('参考路线信息:', context.mainRoutes);
+                RateLimiter.throwIfAborted(signal);
 
-            Logger.log(`找到 ${candidates.length} 个候选站点`);
+                // 步骤 3: 提取候选地铁站
+                const skipped = [];
+                const candidates = await this.extractCandidateStations(origins, context.mainRoutes, policy, skipped, signal);
+                if (!venue) {
+                    context.failed.push(...skipped);
+                }
+                RateLimiter.throwIfAborted(signal);
 
-            if (candidates.length === 0) {
-                throw new Error('未找到合适的地铁站候选');
-            }
+                Logger.log(`找到 ${candidates.length} 个候选站点`);
 
-            // 步骤 4: 计算每个候选站到起点和终点的时间
-            const stationsWithTime = await this.calculateTravelTimes(
-                startLocation,
-                endLocation,
-                candidates
-            );
+                if (candidates.length === 0) {
+                    throw new Error('未找到合适的地铁站候选');
+                }
+
+                // 步骤 4: 计算每个候选站到所有起点的时间
+                context.totalCandidates = candidates.length;
+                onProgress({ type: 'candidates', stage: 'stations', total: candidates.length });
+                stationsWithTime = await this.calculateTravelTimes(origins, candidates, routeOptions, reportEvaluated('stations'));
+            }
 
             Logger.log('已计算所有站点的通勤时间');
 
+            // 按出行时间推算各人出发/到达时刻，并检查首末班车
+            this.annotateSchedule(stationsWithTime, departure);
+
             // 步骤 5: 评分并排序
-            const rankedStations = this.rankStations(stationsWithTime);
+            let rankedStations = this.rankStations(stationsWithTime, policy);
 
-            // 步骤 6: 返回前 N 个最优站点
-            const topStations = rankedStations.slice(0, CONFIG.ALGORITHM.MAX_RESULTS);
+            // 场所模式：在排名靠前的站点和几何中心周边搜索场所，计算各人门到门的路线后用同样的评分排序
+            if (venue) {
+                RateLimiter.throwIfAborted(signal);
+                const venues = await this.extractCandidateVenues(origins, rankedStations, venue, signal);
+                Logger.log(`找到 ${venues.length} 个候选场所`);
+                RateLimiter.throwIfAborted(signal);
 
-            return {
-                startLocation: {
-                    address: startAddress,
-                    ...startLocation
-                },
-                endLocation: {
-                    address: endAddress,
-                    ...endLocation
-                },
-                mainRoute,
-                recommendations: topStations,
-                totalCandidates: candidates.length
-            };
+                if (venues.length === 0) {
+                    throw new Error(`推荐站点附近没有找到"${venue}"`);
+                }
+
+                context.totalCandidates = venues.length;
+                onProgress({ type: 'candidates', stage: 'venues', total: venues.length });
+                const venuesWithTime = await this.calculateTravelTimes(origins, venues, routeOptions, reportEvaluated('venues'));
+                if (venuesWithTime.length === 0) {
+                    throw new Error('所有候选场所的路线计算都失败了');
+                }
+
+                this.annotateSchedule(venuesWithTime, departure);
+                rankedStations = this.rankStations(venuesWithTime, policy);
+            }
+
+            // 周边设施参与评分时，为排名靠前的站点查询设施密度后重排
+            if (this.scoringModel.weights.amenities > 0) {
+                RateLimiter.throwIfAborted(signal);
+                await this.loadAmenityScores(rankedStations, CONFIG.AMENITIES.SCORE_CANDIDATES, signal);
+                rankedStations = this.scoringModel.rank(rankedStations);
+            }
+
+            // 步骤 6: 返回前 N 个最优站点（保留全部已评估站点，调整权重时可直接重排）
+            const result = this.buildResult(rankedStations, context);
+
+            // 为推荐站点查询出入口，给出碰头出口和各人到站方向最近的出口
+            if (!venue) {
+                RateLimiter.throwIfAborted(signal);
+                await this.loadStationExits(result.recommendations, origins, signal);
+            }
+
+            return result;
 
         } catch (error) {
-            Logger.error('查找中间站点失败:', error);
+            if (RateLimiter.isAbortError(error)) {
+                Logger.log('查找已取消');
+            } else {
+                Logger.error('查找中间站点失败:', error);
+            }
             throw error;
         }
     }
 
     /**
-     * 提取候选地铁站
-     * 策略：从起点到终点路线上的站点 + 中点附近的站点
+     * 组装查找结果（最终结果和进度事件中的临时结果结构相同）
+     * @param {Array} rankedStations - 已排序的全部站点
+     * @param {Object} context - {origins, mainRoutes, totalCandidates, routingMode, departure, policy, venue, ...}
      */
-    async extractCandidateStations(startLocation, endLocation, mainRoute) {
-        const candidateSet = new Map();  // 使用 Map 去重
+    buildResult(rankedStations, context) {
+        return {
+            ...context,
+            stations: rankedStations,
+            recommendations: rankedStations.slice(0, CONFIG.ALGORITHM.MAX_RESULTS)
+        };
+    }
 
-        // 策略 1: 从主路线中提取地铁站
-        if (mainRoute.segments && mainRoute.segments.allSubwayStations) {
-            mainRoute.segments.allSubwayStations.forEach(stationName => {
-                candidateSet.set(stationName, { name: stationName, source: 'route' });
-            });
+    /**
+     * 将一个出发地解析为带坐标的起点
+     * @param {string|Object} place - 地址字符串，或 {name, lng, lat, adcode, address}
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @returns {Promise<Object>} {address, lng, lat, formattedAddress, adcode, resolved}
+     */
+    async resolveOrigin(place, signal = null) {
+        if (StationFinder.isResolvedPlace(place)) {
+            return {
+                address: place.name,
+                lng: Number(place.lng),
+                lat: Number(place.lat),
+                formattedAddress: place.address ? `${place.name} ${place.address}` : place.name,
+                adcode: place.adcode || '',
+                district: place.district || '',
+                resolved: true
+            };
         }
 
-        // 策略 2: 搜索地理中点附近的地铁站
-        const midPoint = this.calculateMidpoint(startLocation, endLocation);
-        const nearbyStations = await this.api.searchNearbySubwayStations(
-            midPoint,
-            CONFIG.ALGORITHM.SEARCH_RADIUS
-        );
+        const address = typeof place === 'string' ? place : (place && place.name) || '';
+        const location = await this.api.geocode(address, { signal });
+        return {
+            address,
+            ...location,
+            resolved: false
+        };
+    }
 
-        nearbyStations.forEach(station => {
-            if (!candidateSet.has(station.name)) {
-                candidateSet.set(station.name, {
-                    ...station,
-                    source: 'nearby'
-                });
+    /**
+     * 获取用于提取候选站点的参考路线
+     * 两人时查询 A -> B；多人时查询每个起点到几何中心的路线
+     */
+    async getReferenceRoutes(origins, routeOptions = {}) {
+        const pairs = [];
+
+        if (origins.length === 2) {
+            pairs.push([origins[0], origins[1]]);
+        } else {
+            const center = this.calculateCentroid(origins);
+            origins.forEach(origin => pairs.push([origin, center]));
+        }
+
+        const routes = [];
+        for (const [from, to] of pairs) {
+            try {
+                routes.push(await this.api.getTransitRoute(from, to, routeOptions));
+            } catch (error) {
+                // 参考路线只用于补充候选站点，失败时不影响整体查找
+                Logger.warn('参考路线查询失败，跳过:', error.message);
             }
-        });
+        }
 
-        // 策略 3: 搜索起点和终点附近的地铁站
-        const startNearby = await this.api.searchNearbySubwayStations(
-            startLocation,
-            2000
-        );
-        const endNearby = await this.api.searchNearbySubwayStations(
-            endLocation,
-            2000
-        );
+        return routes;
+    }
 
-        [...startNearby, ...endNearby].forEach(station => {
-            if (!candidateSet.has(station.name)) {
-                candidateSet.set(station.name, {
-                    ...station,
-                    source: 'endpoint'
+    /**
+     * 提取候选地铁站
+     * 策略：参考路线上的站点 + 中心点附近的站点 + 各起点附近的站点
+     *      + 有内置路网时：按路网估算耗时的半程站点和各起点所在线路交汇的换乘枢纽
+     * 各来源的站点经 StationRegistry 规范名称后去重（出入口并入所属站点），并补齐坐标；
+     * 超过上限时按路网预估得分（不调用高德）只保留最有希望的站点做完整路线计算
+     * @param {Object} policy - 路线偏好配置，用于预估得分
+     * @param {Array} skipped - 可选，收集未能参与路线计算的站点（无法确定坐标、超出候选上限），每个带 failure
+     * @param {AbortSignal} signal - 取消信号（可选）
+     */
+    async extractCandidateStations(origins, mainRoutes, policy = RoutingProvider.getPolicy(), skipped = null, signal = null) {
+        const registry = new StationRegistry({ router: this.router });
+        const trees = this.router ? this.buildEstimateTrees(origins) : null;
+
+        // 策略 1: 从参考路线中提取地铁站（公交规划返回了途经站坐标时一并使用）
+        mainRoutes.forEach(route => {
+            const segments = route.segments;
+            if (segments && segments.allSubwayStations) {
+                const stopLocations = segments.stopLocations || {};
+                segments.allSubwayStations.forEach(stationName => {
+                    registry.add({ name: stationName, ...stopLocations[stationName] }, 'route');
                 });
             }
         });
 
+        // 策略 2: 搜索几何中心附近的地铁站
+        const center = this.calculateCentroid(origins);
+        const nearbyStations = await this.api.searchNearbySubwayStations(
+            center,
+            CONFIG.ALGORITHM.SEARCH_RADIUS,
+            { signal }
+        );
+
+        nearbyStations.forEach(station => registry.add(station, 'nearby'));
+
+        // 策略 3: 搜索每个起点附近的地铁站
+        for (const origin of origins) {
+            const originNearby = await this.api.searchNearbySubwayStations(origin, 2000, { signal });
+            originNearby.forEach(station => registry.add(station, 'endpoint'));
+        }
+
+        // 策略 4: 沿途的半程站点和换乘枢纽（坐标由登记表从内置路网补齐）
+        if (trees) {
+            this.findCorridorStations(origins, trees).forEach(({ station, source }) => {
+                registry.add({ name: station.name, lines: station.lines }, source);
+            });
+        }
+
+        // 路线途经站没有坐标时按内置路网或地理编码补齐，仍无法确定的站点不参与计算
+        const unresolved = await registry.resolveCoordinates(this.api, signal);
+
         // 转换为数组并限制数量
-        let candidates = Array.from(candidateSet.values());
+        let candidates = registry.getStations();
 
-        // 如果候选站点太多，优先选择中点附近的
-        if (candidates.length > CONFIG.ALGORITHM.MAX_CANDIDATES) {
+        // 如果候选站点太多：有内置路网时按预估得分保留，否则优先选择中心点附近的
+        if (candidates.length > CONFIG.ALGORITHM.MAX_CANDIDATES && trees) {
+            candidates = this.prescoreCandidates(candidates, trees, policy);
+        } else if (candidates.length > CONFIG.ALGORITHM.MAX_CANDIDATES) {
             candidates = candidates
                 .map(station => ({
                     ...station,
-                    distanceToMid: this.calculateDistance(station, midPoint)
+                    distanceToMid: this.calculateDistance(station, center)
                 }))
-                .sort((a, b) => a.distanceToMid - b.distanceToMid)
-                .slice(0, CONFIG.ALGORITHM.MAX_CANDIDATES);
+                .sort((a, b) => a.distanceToMid - b.distanceToMid);
+        }
+
+        if (skipped) {
+            skipped.push(
+                ...unresolved.map(station => StationFinder.createFailure(station, 'coordinates', '路网中没有该站，地理编码也未找到')),
+                ...candidates.slice(CONFIG.ALGORITHM.MAX_CANDIDATES).map(station => (
+                    StationFinder.createFailure(station, 'limit', `预估排名在前 ${CONFIG.ALGORITHM.MAX_CANDIDATES} 名之外，未计算路线`)
+                ))
+            );
         }
 
-        return candidates;
+        return candidates.slice(0, CONFIG.ALGORITHM.MAX_CANDIDATES);
     }
 
     /**
-     * 计算候选站点到起点和终点的通勤时间
+     * 按内置路网估算每个起点到全网站点的最短路（进站段按直线距离估算，不调用高德）
+     * @returns {Array} 最短路树，与 origins 一一对应
      */
-    async calculateTravelTimes(startLocation, endLocation, candidates) {
-        Logger.log('开始计算通勤时间...');
+    buildEstimateTrees(origins) {
+        return origins.map(origin => this.router.shortestPathTree(
+            this.router.findNearestStations(origin, CONFIG.ALGORITHM.ACCESS_STATIONS).map(station => ({
+                station: station.name,
+                ...this.router.estimateWalking(origin, station),
+                estimated: true
+            }))
+        ));
+    }
 
-        const results = [];
-
-        // 减少批量大小并增加延迟，避免触发 QPS 限制
-        const batchSize = 2;  // 从 3 减少到 2
-        for (let i = 0; i < candidates.length; i += batchSize) {
-            const batch = candidates.slice(i, i + batchSize);
-
-            const batchPromises = batch.map(async station => {
-                try {
-                    // 添加随机延迟，避免请求过于密集
-                    await this.api.delay(Math.random() * 200 + 100);
-
-                    // 计算起点到该站的时间
-                    const routeFromStart = await this.api.getTransitRoute(
-                        startLocation,
-                        station
-                    );
-
-                    // 添加延迟
-                    await this.api.delay(300);
-
-                    // 计算该站到终点的时间
-                    const routeToEnd = await this.api.getTransitRoute(
-                        station,
-                        endLocation
-                    );
-
-                    return {
-                        ...station,
-                        timeFromStart: routeFromStart.duration,
-                        timeToEnd: routeToEnd.duration,
-                        distanceFromStart: routeFromStart.distance,
-                        distanceToEnd: routeToEnd.distance,
-                        routeFromStart,
-                        routeToEnd
-                    };
-                } catch (error) {
-                    Logger.error(`计算站点 ${station.name} 失败:`, error);
-                    return null;
+    /**
+     * 全网站点的可达性：每个起点到各站的预估耗时，以及最长耗时和时间差（用于等时圈和公平性热力图）
+     * 与候选站点预排序使用同一组路网估算，不调用高德
+     * @param {Array} origins - 起点
+     * @returns {Array<Object>} {name, lng, lat, lines, times, maxTime, timeDiff}，时间单位为秒；任一起点不可达的站点不包含在内
+     */
+    calculateReachability(origins) {
+        if (!this.router) return [];
+
+        const trees = this.buildEstimateTrees(origins);
+        return this.router.getAllStations()
+            .map(station => {
+                const times = trees.map(tree => this.router.getTravelTime(tree, station.name).duration);
+                if (times.some(time => !isFinite(time))) return null;
+
+                return {
+                    name: station.name,
+                    lng: station.lng,
+                    lat: station.lat,
+                    lines: station.lines,
+                    times,
+                    maxTime: Math.max(...times),
+                    timeDiff: Math.max(...times) - Math.min(...times)
+                };
+            })
+            .filter(station => station !== null);
+    }
+
+    /**
+     * 沿途候选站点
+     * - 半程站点：各人预估耗时的 (最长 - 最短) / 最长 不超过 CORRIDOR_BALANCE，即大致位于各自最快路线的中途
+     * - 换乘枢纽：换乘站中，线路与每个起点附近站点的线路都有交集的站（各人都可以少换乘到达）
+     * @returns {Array<{station: Object, source: string}>} source 为 'corridor' 或 'hub'
+     */
+    findCorridorStations(origins, trees) {
+        const originLines = origins.map(origin => new Set(
+            this.router.findNearestStations(origin, CONFIG.ALGORITHM.ACCESS_STATIONS).flatMap(station => station.lines)
+        ));
+
+        return this.router.getAllStations()
+            .map(station => {
+                const times = trees.map(tree => this.router.getTravelTime(tree, station.name).duration);
+                if (times.some(time => !isFinite(time))) return null;
+
+                const maxTime = Math.max(...times);
+                if (maxTime === 0 || (maxTime - Math.min(...times)) / maxTime <= CONFIG.ALGORITHM.CORRIDOR_BALANCE) {
+                    return { station, source: 'corridor' };
                 }
-            });
 
-            const batchResults = await Promise.all(batchPromises);
-            results.push(...batchResults.filter(r => r !== null));
+                const isHub = station.lines.length > 1 &&
+                    originLines.every(lines => station.lines.some(line => lines.has(line)));
+                return isHub ? { station, source: 'hub' } : null;
+            })
+            .filter(item => item !== null);
+    }
+
+    /**
+     * 按路网估算的路线为候选站点预估得分（评分模型与正式排序相同），得分低的在前
+     * 不在内置路网中的站点按最近的路网站点 + 步行估算；无法估算的排在最后
+     * @returns {Array} 带 preScore 的候选站点
+     */
+    prescoreCandidates(candidates, trees, policy) {
+        const estimated = candidates.map(station => {
+            const routes = trees.map(tree => this.estimateRoute(tree, station));
+            if (routes.some(route => route === null)) {
+                return { station, preScore: Infinity };
+            }
+
+            const [ranked] = this.scoringModel.rank([this.evaluateStation({
+                ...station,
+                times: routes.map(route => route.duration),
+                routes
+            }, policy)]);
+            return { station, preScore: ranked.score };
+        });
+
+        return estimated
+            .sort((a, b) => a.preScore - b.preScore)
+            .map(({ station, preScore }) => ({ ...station, preScore: isFinite(preScore) ? Math.round(preScore) : null }));
+    }
 
-            // 进度日志
-            Logger.log(`已处理 ${Math.min(i + batchSize, candidates.length)}/${candidates.length} 个站点`);
+    /**
+     * 按路网估算到某个站点的路线
+     * @returns {Object|null} 路线信息（结构同 MetroRouter.buildRoute），不可达时返回 null
+     */
+    estimateRoute(tree, station) {
+        if (this.router.getStation(station.name)) {
+            return this.router.buildRoute(tree, station.name);
+        }
 
-            // 批次之间增加延迟，从 300ms 增加到 800ms
-            if (i + batchSize < candidates.length) {
-                Logger.log('⏳ 等待 800ms 避免频率限制...');
-                await this.api.delay(800);
+        // 不在路网中的站点（如未收录的线路）：到最近的路网站点后步行
+        let best = null;
+        this.router.findNearestStations(station, 2).forEach(nearest => {
+            const route = this.router.buildRoute(tree, nearest.name);
+            if (!route) return;
+
+            const walking = this.router.estimateWalking(nearest, station);
+            if (!best || route.duration + walking.duration < best.duration) {
+                best = {
+                    ...route,
+                    duration: route.duration + walking.duration,
+                    walking_distance: route.walking_distance + walking.distance
+                };
             }
+        });
+        return best;
+    }
+
+    /**
+     * 提取候选场所
+     * 在排名前 VENUES.STATION_CANDIDATES 的站点和几何中心周边按关键词搜索，每处取最近的几个，
+     * 按名称和坐标去重；超过上限时优先保留离中心点近的
+     * @param {Array} origins - 起点
+     * @param {Array} rankedStations - 已排序的站点
+     * @param {string} keyword - 场所关键词
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @returns {Promise<Array>} 场所 {name, lng, lat, address, type, source: 'venue', nearStation, distanceToStation}
+     */
+    async extractCandidateVenues(origins, rankedStations, keyword, signal = null) {
+        const center = this.calculateCentroid(origins);
+        const searchPoints = [
+            ...rankedStations.slice(0, CONFIG.VENUES.STATION_CANDIDATES),
+            { ...center, name: null }
+        ];
+
+        const venueSet = new Map();
+        for (const point of searchPoints) {
+            const { pois } = await this.api.searchNearbyPlaces(point, keyword, CONFIG.VENUES.RADIUS, { signal });
+
+            pois.slice(0, CONFIG.VENUES.PER_LOCATION).forEach(poi => {
+                const key = `${poi.name}@${poi.lng.toFixed(5)},${poi.lat.toFixed(5)}`;
+                if (!venueSet.has(key)) {
+                    venueSet.set(key, {
+                        name: poi.name,
+                        lng: poi.lng,
+                        lat: poi.lat,
+                        address: poi.address,
+                        type: poi.type,
+                        source: 'venue',
+                        nearStation: point.name,
+                        distanceToStation: point.name ? poi.distance : null
+                    });
+                }
+            });
+        }
+
+        let venues = Array.from(venueSet.values());
+        if (venues.length > CONFIG.VENUES.MAX_CANDIDATES) {
+            venues = venues
+                .sort((a, b) => this.calculateDistance(a, center) - this.calculateDistance(b, center))
+                .slice(0, CONFIG.VENUES.MAX_CANDIDATES);
         }
 
+        return venues;
+    }
+
+    /**
+     * 计算候选站点到每个起点的通勤时间
+     * 所有人都是"从自己的起点出发前往该站"
+     * @param {Function} onEvaluated - 每完成一个候选时调用 (站点或失败时为 null, 已完成数, 总数, 失败时为带 failure 的候选)
+     * @throws {Error} 取消（routeOptions.signal）时抛出 AbortError，其他单站失败只跳过该站
+     */
+    async calculateTravelTimes(origins, candidates, routeOptions = {}, onEvaluated = null) {
+        Logger.log('开始计算通勤时间...');
+
+        // 请求节奏由路线服务的调度器统一控制（限流 + 频率限制重试），这里直接并发提交
+        let finished = 0;
+        const evaluated = await Promise.all(candidates.map(async station => {
+            let result = null;
+            let failure = null;
+            try {
+                // 各起点到该站的路线
+                const routes = await Promise.all(origins.map(origin => this.api.getTransitRoute(origin, station, routeOptions)));
+
+                result = {
+                    ...station,
+                    times: routes.map(route => route.duration),
+                    distances: routes.map(route => route.distance),
+                    routes
+                };
+            } catch (error) {
+                if (RateLimiter.isAbortError(error)) throw error;
+                Logger.error(`计算站点 ${station.name} 失败:`, error);
+                failure = StationFinder.createFailure(station, 'route', error.message);
+            }
+
+            RateLimiter.throwIfAborted(routeOptions.signal);
+            finished++;
+            Logger.log(`已处理 ${finished}/${candidates.length} 个站点`);
+            if (onEvaluated) {
+                onEvaluated(result, finished, candidates.length, failure);
+            }
+            return result;
+        }));
+
+        const results = evaluated.filter(r => r !== null);
+
         Logger.log(`✅ 成功计算 ${results.length}/${candidates.length} 个站点`);
         return results;
     }
 
+    /**
+     * 使用离线路网计算全网每个站点到各起点的通勤时间
+     * 每个起点只需查询到附近几个地铁站的步行路线，其余由 MetroRouter 本地计算
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @param {Function} onEvaluated - 每算完一个站点时调用，参数同 calculateTravelTimes；不可达的站点作为失败报告
+     */
+    async calculateNetworkTravelTimes(origins, signal = null, onEvaluated = null) {
+        Logger.log('使用离线路网计算通勤时间...');
+
+        const trees = [];
+        for (const origin of origins) {
+            RateLimiter.throwIfAborted(signal);
+            const accessLegs = await this.getAccessLegs(origin, signal);
+            trees.push(this.router.shortestPathTree(accessLegs));
+        }
+        RateLimiter.throwIfAborted(signal);
+
+        const stations = this.router.getAllStations();
+        const results = stations
+            .map((station, index) => {
+                const routes = trees.map(tree => this.router.buildRoute(tree, station.name));
+                if (routes.some(route => route === null)) {
+                    if (onEvaluated) {
+                        onEvaluated(null, index + 1, stations.length,
+                            StationFinder.createFailure(station, 'unreachable', '从部分出发地无法经内置路网到达'));
+                    }
+                    return null;
+                }
+
+                const result = {
+                    name: station.name,
+                    lng: station.lng,
+                    lat: station.lat,
+                    lines: station.lines,
+                    source: 'network',
+                    times: routes.map(route => route.duration),
+                    distances: routes.map(route => route.distance),
+                    routes
+                };
+                if (onEvaluated) {
+                    onEvaluated(result, index + 1, stations.length, null);
+                }
+                return result;
+            })
+            .filter(station => station !== null);
+
+        Logger.log(`✅ 离线计算完成，共 ${results.length} 个站点`);
+        return results;
+    }
+
+    /**
+     * 获取某个起点到附近地铁站的步行进站段
+     * 优先使用高德步行规划，失败时按直线距离估算（取消时抛出 AbortError）
+     */
+    async getAccessLegs(origin, signal = null) {
+        const nearest = this.router.findNearestStations(origin, CONFIG.ALGORITHM.ACCESS_STATIONS);
+        const legs = [];
+
+        for (const station of nearest) {
+            // 没有步行路径时按直线绘制
+            const straightPath = [[origin.lng, origin.lat], [station.lng, station.lat]];
+            try {
+                const walking = await this.api.getWalkingRoute(origin, station, { signal });
+                legs.push({
+                    station: station.name,
+                    ...walking,
+                    path: walking.path && walking.path.length > 1 ? walking.path : straightPath
+                });
+            } catch (error) {
+                if (RateLimiter.isAbortError(error)) throw error;
+                Logger.warn(`步行到 ${station.name} 的路线查询失败，按直线距离估算:`, error.message);
+                legs.push({
+                    station: station.name,
+                    ...this.router.estimateWalking(origin, station),
+                    path: straightPath,
+                    estimated: true
+                });
+            }
+        }
+
+        Logger.log(`起点 ${origin.label} 的进站点:`, legs);
+        return legs;
+    }
+
+    /**
+     * 公交规划使用的出发时间
+     * 现在出发时不指定时间（使用默认的 Transfer 实例）；指定到达时间时无法直接按到达时间查询，按到达前 ARRIVE_LEAD_TIME 出发近似
+     */
+    getQueryTime(departure) {
+        if (departure.mode === 'now') {
+            return undefined;
+        }
+        if (departure.mode === 'arrive') {
+            return new Date(departure.time.getTime() - CONFIG.ALGORITHM.ARRIVE_LEAD_TIME * 1000);
+        }
+        return departure.time;
+    }
+
+    /**
+     * 为每个站点补充各人的出发/到达时刻和运营时间提醒
+     * - 现在出发 / 指定出发：到达 = 出发 + 耗时
+     * - 指定到达：最晚出发 = 到达 - 耗时
+     */
+    annotateSchedule(stations, departure) {
+        const base = departure.time.getTime();
+
+        stations.forEach(station => {
+            station.departTimes = [];
+            station.arriveTimes = [];
+            station.serviceWarnings = [];
+
+            station.routes.forEach((route, originIndex) => {
+                const departAt = departure.mode === 'arrive' ? base - route.duration * 1000 : base;
+                station.departTimes.push(departAt);
+                station.arriveTimes.push(departAt + route.duration * 1000);
+
+                this.checkServiceHours(route, departAt).forEach(warning => {
+                    station.serviceWarnings.push({ originIndex, ...warning });
+                });
+            });
+        });
+    }
+
+    /**
+     * 检查路线中每段地铁的上车时刻是否在首末班车之间
+     * @param {Object} route - 路线信息
+     * @param {number} departAt - 出发时刻（毫秒时间戳）
+     * @returns {Array<{lineName: string, boardAt: number, limit: string, type: 'first'|'last'}>}
+     */
+    checkServiceHours(route, departAt) {
+        if (!this.router || !route.segments) return [];
+
+        const warnings = [];
+        let elapsed = 0;
+
+        route.segments.segments.forEach(segment => {
+            if (segment.type === 'subway') {
+                const hours = this.router.getServiceHours(segment.lineName);
+                const boardAt = departAt + elapsed * 1000;
+                const boardMinutes = StationFinder.serviceMinutes(new Date(boardAt));
+
+                if (hours && boardMinutes > StationFinder.serviceMinutes(hours.last)) {
+                    warnings.push({ lineName: segment.lineName, boardAt, limit: hours.last, type: 'last' });
+                } else if (hours && boardMinutes < StationFinder.serviceMinutes(hours.first)) {
+                    warnings.push({ lineName: segment.lineName, boardAt, limit: hours.first, type: 'first' });
+                }
+            }
+            elapsed += segment.duration || 0;
+        });
+
+        return warnings;
+    }
+
     /**
      * 对站点进行评分和排序
-     * 评分标准：
-     * - 主要目标：最小化最长等待时间 max(timeA, timeB)
-     * - 次要目标：平衡两边时间 abs(timeA - timeB)
+     * 先计算各项指标，再由评分模型按当前权重打分（得分越小越好）
+     * @param {Object} policy - 路线偏好配置，默认时间最短
+     */
+    rankStations(stations, policy = RoutingProvider.getPolicy()) {
+        return this.scoringModel.rank(stations.map(station => this.evaluateStation(station, policy)));
+    }
+
+    /**
+     * 用当前评分权重重新排序已查询过的结果，不发起新的请求
+     * @param {Object} result - findMeetingStations 的返回值
+     * @returns {Object} 新的结果对象
      */
-    rankStations(stations) {
-        return stations.map(station => {
-            const maxTime = Math.max(station.timeFromStart, station.timeToEnd);
-            const timeDiff = Math.abs(station.timeFromStart - station.timeToEnd);
-            const totalTime = station.timeFromStart + station.timeToEnd;
+    rerank(result) {
+        const stations = this.scoringModel.rank(result.stations);
+        return {
+            ...result,
+            stations,
+            recommendations: stations.slice(0, CONFIG.ALGORITHM.MAX_RESULTS)
+        };
+    }
 
-            // 评分公式：最长时间 + 时间差 × 平衡权重
-            const score = maxTime + timeDiff * this.balanceWeight;
+    /**
+     * 查询站点周边设施（CONFIG.AMENITIES.CATEGORIES 中的每个分类）
+     * @param {Object} station - 站点 {lng, lat}
+     * @param {number} radius - 搜索半径（米）
+     * @param {AbortSignal} signal - 取消信号（可选）
+     * @returns {Promise<Object>} {radius, categories: {分类键: {count, pois}}, total, score}
+     *   pois 带有 category 字段；score 为 0-100 的设施密度
+     */
+    async getStationAmenities(station, radius = CONFIG.AMENITIES.RADIUS, signal = null) {
+        const keys = Object.keys(CONFIG.AMENITIES.CATEGORIES);
+        const results = await Promise.all(keys.map(key => (
+            this.api.searchNearbyPlaces(station, CONFIG.AMENITIES.CATEGORIES[key].keyword, radius, { signal })
+        )));
 
-            return {
-                ...station,
-                maxTime,
-                timeDiff,
-                totalTime,
-                score,
-                // 计算时间平衡度 (0-100, 100 = 完全平衡)
-                balanceScore: 100 - (timeDiff / maxTime) * 100
+        const categories = {};
+        keys.forEach((key, index) => {
+            categories[key] = {
+                count: results[index].count,
+                pois: results[index].pois.map(poi => ({ ...poi, category: key }))
             };
-        })
-        .sort((a, b) => a.score - b.score);
+        });
+
+        const total = results.reduce((sum, result) => sum + result.count, 0);
+        return {
+            radius,
+            categories,
+            total,
+            score: Math.min(100, Math.round((total / CONFIG.AMENITIES.SCORE_TARGET) * 100))
+        };
+    }
+
+    /**
+     * 为排名靠前、尚无设施数据的站点查询设施密度（默认半径），写入 station.amenityScore
+     * 只查询前几名以节省配额，其余站点评分时按最差的值计；同一站点进行中的查询会被复用（如连续拖动权重滑块）
+     * @param {Array} stations - 已排序的站点（直接修改）
+     * @param {AbortSignal} signal - 取消信号（可选），取消后复用同一查询的调用方也会收到 AbortError
+     */
+    async loadAmenityScores(stations, limit = CONFIG.AMENITIES.SCORE_CANDIDATES, signal = null) {
+        const pending = stations.slice(0, limit).filter(station => typeof station.amenityScore !== 'number');
+
+        await Promise.all(pending.map(async station => {
+            if (!this.amenityRequests.has(station.name)) {
+                const request = this.getStationAmenities(station, CONFIG.AMENITIES.RADIUS, signal)
+                    .then(amenities => amenities.score)
+                    .finally(() => this.amenityRequests.delete(station.name));
+                this.amenityRequests.set(station.name, request);
+            }
+            station.amenityScore = await this.amenityRequests.get(station.name);
+        }));
+    }
+
+    /**
+     * 为尚无出口数据的站点查询出入口，写入 station.exits 和 station.exitAdvice（见 chooseExits）
+     * 查询失败时按没有出口数据处理；同一站点进行中的查询会被复用
+     * @param {Array} stations - 站点（直接修改）
+     * @param {Array} origins - 起点，与站点的 routes 一一对应
+     * @param {AbortSignal} signal - 取消信号（可选），取消时抛出 AbortError
+     */
+    async loadStationExits(stations, origins, signal = null) {
+        const pending = stations.filter(station => !Array.isArray(station.exits));
+
+        await Promise.all(pending.map(async station => {
+            if (!this.exitRequests.has(station.name)) {
+                const request = this.api.searchStationExits(station, { signal })
+                    .catch(error => {
+                        if (RateLimiter.isAbortError(error)) throw error;
+                        Logger.warn(`查询 ${station.name} 的出入口失败:`, error.message);
+                        return [];
+                    })
+                    .finally(() => this.exitRequests.delete(station.name));
+                this.exitRequests.set(station.name, request);
+            }
+
+            station.exits = await this.exitRequests.get(station.name);
+            station.exitAdvice = this.chooseExits(station, origins);
+        }));
+    }
+
+    /**
+     * 为尚不知道所在区的站点逆地理编码，写入 station.district
+     * 只查询前 limit 个以节省配额（离线模式下全网站点都是候选），失败时留空；同一站点进行中的查询会被复用
+     * @param {Array} stations - 站点（直接修改）
+     */
+    async loadStationDistricts(stations, limit = CONFIG.CANDIDATE_TABLE.DISTRICT_LOOKUPS) {
+        const pending = stations.filter(station => !station.district && StationRegistry.hasCoordinates(station))
+            .slice(0, limit);
+
+        await Promise.all(pending.map(async station => {
+            if (!this.districtRequests.has(station.name)) {
+                const request = this.api.reverseGeocode(station)
+                    .then(place => place.district || '')
+                    .catch(error => {
+                        Logger.warn(`查询 ${station.name} 所在区失败:`, error.message);
+                        return '';
+                    })
+                    .finally(() => this.districtRequests.delete(station.name));
+                this.districtRequests.set(station.name, request);
+            }
+            station.district = await this.districtRequests.get(station.name);
+        }));
+    }
+
+    /**
+     * 站点所属线路：候选自带的线路，没有时查内置路网，再没有时取路线中到达该站的地铁线路
+     * @returns {string[]} 线路名称（如"2号线"）
+     */
+    getStationLines(station) {
+        if (station.lines && station.lines.length > 0) return station.lines;
+
+        const networkStation = this.router ? this.router.getStation(station.name) : null;
+        if (networkStation) return networkStation.lines;
+
+        const lines = new Set();
+        (station.routes || []).forEach(route => {
+            const segments = (route.segments && route.segments.segments) || [];
+            const last = segments.filter(segment => segment.type === 'subway').pop();
+            if (last) {
+                lines.add(StationFinder.getShortLineName(last.lineName).replace(/^地铁/, ''));
+            }
+        });
+        return Array.from(lines);
+    }
+
+    /**
+     * 选择出口
+     * - 每个人：离其到站方向（路线上距站点超过 EXITS.APPROACH_DISTANCE 的最后一个点，乘地铁时即上一站的方向）最近的出口
+     * - 碰头：到各人到站方向的最远距离最小的出口
+     * @returns {{meeting: string, arrivals: string[]}|null} 出口名称；没有出口数据时返回 null
+     */
+    chooseExits(station, origins) {
+        if (!station.exits || station.exits.length === 0) return null;
+
+        const approaches = origins.map((origin, index) => this.getApproachPoint(station, station.routes[index], origin));
+        const nearest = point => station.exits.reduce((best, exit) => (
+            this.calculateDistance(exit, point) < this.calculateDistance(best, point) ? exit : best
+        ));
+        const worstDistance = exit => Math.max(...approaches.map(point => this.calculateDistance(exit, point)));
+
+        return {
+            meeting: station.exits.reduce((best, exit) => (worstDistance(exit) < worstDistance(best) ? exit : best)).name,
+            arrivals: approaches.map(point => nearest(point).name)
+        };
+    }
+
+    /**
+     * 到站方向：路线上距站点超过 EXITS.APPROACH_DISTANCE 的最后一个点，没有路径时为起点
+     */
+    getApproachPoint(station, route, origin) {
+        const segments = (route && route.segments && route.segments.segments) || [];
+        const path = segments.flatMap(segment => segment.path || []);
+
+        for (let i = path.length - 1; i >= 0; i--) {
+            const point = { lng: path[i][0], lat: path[i][1] };
+            if (this.calculateDistance(point, station) > CONFIG.EXITS.APPROACH_DISTANCE) {
+                return point;
+            }
+        }
+        return origin;
+    }
+
+    /**
+     * 计算站点的评分指标
+     * - 实际耗时：maxTime / minTime / timeDiff / totalTime，用于展示
+     * - 等效耗时：按路线偏好折算换乘、步行、票价后的耗时，用于评分
+     */
+    evaluateStation(station, policy) {
+        const maxTime = Math.max(...station.times);
+        const minTime = Math.min(...station.times);
+        const timeDiff = maxTime - minTime;
+        const totalTime = station.times.reduce((sum, time) => sum + time, 0);
+
+        const costs = station.routes.map(route => RoutingProvider.getRouteCost(route, policy));
+        const maxCost = Math.max(...costs);
+
+        return {
+            ...station,
+            maxTime,
+            minTime,
+            timeDiff,
+            totalTime,
+            maxCost,
+            totalCost: costs.reduce((sum, cost) => sum + cost, 0),
+            costDiff: maxCost - Math.min(...costs),
+            transfers: station.routes.map(route => route.transfers || 0),
+            walkingDistances: station.routes.map(route => route.walking_distance || 0),
+            fares: station.routes.map(route => route.cost || 0),
+            // 计算时间平衡度 (0-100, 100 = 完全平衡)
+            balanceScore: maxTime > 0 ? 100 - (timeDiff / maxTime) * 100 : 100
+        };
     }
 
     /**
@@ -249,6 +961,21 @@ class StationFinder {
         };
     }
 
+    /**
+     * 计算多个点的几何中心
+     */
+    calculateCentroid(locations) {
+        const sum = locations.reduce((acc, loc) => ({
+            lng: acc.lng + loc.lng,
+            lat: acc.lat + loc.lat
+        }), { lng: 0, lat: 0 });
+
+        return {
+            lng: sum.lng / locations.length,
+            lat: sum.lat / locations.length
+        };
+    }
+
     /**
      * 计算两点之间的直线距离（米）
      * 使用 Haversine 公式
@@ -278,21 +1005,195 @@ class StationFinder {
             isBest: index === 0,
             stationName: result.name,
             address: result.address || '',
-            timeFromStart: GaodeAPI.formatDuration(result.timeFromStart),
-            timeToEnd: GaodeAPI.formatDuration(result.timeToEnd),
-            timeFromStartSec: result.timeFromStart,
-            timeToEndSec: result.timeToEnd,
+            nearStation: result.nearStation || '',
+            exitAdvice: result.exitAdvice || null,
+            distanceToStation: result.distanceToStation || null,
+            times: result.times.map(time => GaodeAPI.formatDuration(time)),
+            timesSec: result.times,
             maxTime: GaodeAPI.formatDuration(result.maxTime),
+            maxTimeSec: result.maxTime,
             timeDiff: GaodeAPI.formatDuration(result.timeDiff),
+            timeDiffSec: result.timeDiff,
             balanceScore: Math.round(result.balanceScore),
             totalTime: GaodeAPI.formatDuration(result.totalTime),
+            totalTimeSec: result.totalTime,
+            transfers: result.transfers || [],
+            fares: result.fares || [],
+            routeSummaries: (result.transfers || []).map((transfers, i) => (
+                `${transfers > 0 ? `换乘${transfers}次` : '直达'} · 步行${GaodeAPI.formatDistance(result.walkingDistances[i])}`
+            )),
+            departTimes: (result.departTimes || []).map(time => StationFinder.formatClock(time)),
+            arriveTimes: (result.arriveTimes || []).map(time => StationFinder.formatClock(time)),
+            serviceWarnings: (result.serviceWarnings || []).map(warning => (
+                `${StationFinder.getOriginLabel(warning.originIndex)} 约 ${StationFinder.formatClock(warning.boardAt)} 乘坐` +
+                `${warning.lineName}，` +
+                (warning.type === 'last' ? `可能已过末班车（约 ${warning.limit}）` : `早于首班车（约 ${warning.limit}）`)
+            )),
+            itineraries: (result.routes || []).map(route => StationFinder.formatItinerary(route)),
             location: {
                 lng: result.lng,
                 lat: result.lat
             }
         };
     }
+
+    /**
+     * 把一条路线整理为逐步行程
+     * 每一步的 segmentIndex 指向 route.segments.segments 中对应的路段，用于在地图上高亮
+     * @returns {{steps: Array<{type: string, text: string, duration: string, distance: string, segmentIndex: number}>, duration: string, fare: string}}
+     */
+    static formatItinerary(route) {
+        const segments = (route.segments && route.segments.segments) || [];
+        const steps = [];
+        let lastRide = null;
+
+        segments.forEach((segment, segmentIndex) => {
+            if (segment.type === 'walking') {
+                if (!segment.distance && !segment.duration) return;
+
+                const nextRide = segments.slice(segmentIndex + 1).find(next => next.type !== 'walking');
+                steps.push({
+                    type: 'walking',
+                    text: `步行 ${GaodeAPI.formatDistance(segment.distance)}` +
+                        (nextRide ? ` 到 ${nextRide.startStation}` : ' 到达目的地'),
+                    duration: GaodeAPI.formatDuration(segment.duration),
+                    distance: GaodeAPI.formatDistance(segment.distance),
+                    segmentIndex
+                });
+                return;
+            }
+
+            const lineName = StationFinder.getShortLineName(segment.lineName);
+            if (lastRide) {
+                steps.push({
+                    type: 'transfer',
+                    text: `在 ${segment.startStation} 换乘 ${lineName}`,
+                    duration: '',
+                    distance: '',
+                    segmentIndex
+                });
+            }
+
+            const direction = segment.direction ? `（往 ${segment.direction} 方向）` : '';
+            const stops = segment.stopCount ? `坐 ${segment.stopCount} 站` : '';
+            steps.push({
+                type: segment.type,
+                text: `乘坐 ${lineName}${direction}，从 ${segment.startStation} ${stops}到 ${segment.endStation}`,
+                duration: GaodeAPI.formatDuration(segment.duration),
+                distance: GaodeAPI.formatDistance(segment.distance),
+                segmentIndex
+            });
+            lastRide = segment;
+        });
+
+        return {
+            steps,
+            duration: GaodeAPI.formatDuration(route.duration),
+            fare: route.cost > 0 ? `${route.cost}元` : ''
+        };
+    }
+
+    /**
+     * 去掉线路名称中的起讫站，如"地铁2号线(浦东国际机场--徐泾东)" -> "地铁2号线"
+     */
+    static getShortLineName(lineName) {
+        return String(lineName || '').replace(/\(.*\)$/, '');
+    }
+
+    /**
+     * 是否为已确定坐标的地点
+     */
+    static isResolvedPlace(place) {
+        return !!place && typeof place === 'object' &&
+            isFinite(parseFloat(place.lng)) && isFinite(parseFloat(place.lat));
+    }
+
+    /**
+     * 规范化出行时间选项，缺省为现在出发
+     */
+    static normalizeDeparture(departure) {
+        if (!departure || !departure.mode || departure.mode === 'now' || !departure.time) {
+            return { mode: 'now', time: new Date() };
+        }
+        return { mode: departure.mode, time: new Date(departure.time) };
+    }
+
+    /**
+     * 运营日内的分钟数：以凌晨 4 点为一天的开始，便于比较跨零点的末班车
+     * @param {Date|string} value - 时刻或 "HH:mm"
+     */
+    static serviceMinutes(value) {
+        let minutes;
+        if (typeof value === 'string') {
+            const [hours, mins] = value.split(':').map(Number);
+            minutes = hours * 60 + mins;
+        } else {
+            minutes = value.getHours() * 60 + value.getMinutes();
+        }
+        return (minutes - StationFinder.SERVICE_DAY_START + 1440) % 1440;
+    }
+
+    /**
+     * 格式化时刻（毫秒时间戳 -> HH:mm）
+     */
+    static formatClock(timestamp) {
+        const d = new Date(timestamp);
+        return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+    }
+
+    /**
+     * 获取第 index 个起点的标签（A、B、C...）
+     */
+    static getOriginLabel(index) {
+        return String.fromCharCode(65 + index);
+    }
+
+    /**
+     * 获取第 index 个起点的标记颜色
+     */
+    static getOriginColor(index) {
+        const colors = CONFIG.ORIGIN_COLORS;
+        return colors[index % colors.length];
+    }
+
+    /**
+     * 未能参与排名的候选
+     * @param {Object} station - 候选站点或场所
+     * @param {string} type - StationFinder.FAILURE_TYPES 中的键
+     * @param {string} reason - 具体原因
+     */
+    static createFailure(station, type, reason) {
+        const { routes, times, distances, ...rest } = station;
+        return { ...rest, failure: { type, reason } };
+    }
 }
 
+// 运营日起点（凌晨 4 点，分钟）
+StationFinder.SERVICE_DAY_START = 4 * 60;
+
+// 候选来源
+StationFinder.SOURCE_LABELS = {
+    route: '参考路线',
+    nearby: '中心附近',
+    endpoint: '出发地附近',
+    corridor: '半程站点',
+    hub: '换乘枢纽',
+    network: '离线路网',
+    venue: '场所搜索'
+};
+
+// 候选失败的类型
+StationFinder.FAILURE_TYPES = {
+    coordinates: '无法确定坐标',
+    limit: '超出候选上限',
+    route: '路线计算失败',
+    unreachable: '路网不可达'
+};
+
 // 创建全局实例
-const stationFinder = new StationFinder(gaodeAPI);
+const stationFinder = new StationFinder(gaodeAPI, typeof metroRouter !== 'undefined' ? metroRouter : null);
+
+// 导出（如果使用模块化）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StationFinder, stationFinder };
+}
@@ -0,0 +1,199 @@
+/**
+ * 站点登记表
+ * 不同来源对同一个站的叫法不同：路线途经站为"人民广场"，周边搜索的 POI 为"人民广场(地铁站)"，
+ * 出入口 POI 为"人民广场地铁站2号口"。登记表把它们规范为同一个站点名称后去重，
+ * 出入口并入所属站点，并保证每个站点在参与路线计算前都有坐标
+ *
+ * 坐标来源按可信度取最好的一个：站点 POI / 途经站坐标 > 内置路网 > 出入口 POI / 地理编码
+ */
+
+// Node 环境下加载依赖（浏览器中为全局变量）
+if (typeof module !== 'undefined' && module.exports) {
+    Object.assign(globalThis, require('./config'));
+}
+
+class StationRegistry {
+    /**
+     * @param {Object} options
+     * @param {MetroRouter} options.router - 内置路网（可选），用于识别站点名称和补充坐标
+     * @param {Object} options.aliases - 额外的别名 -> 站点名称
+     */
+    constructor(options = {}) {
+        this.router = options.router || null;
+        this.aliases = { ...StationRegistry.ALIASES, ...(options.aliases || {}) };
+        this.knownNames = new Set(this.router ? this.router.getAllStations().map(station => station.name) : []);
+        this.entries = new Map();  // 站点名称 -> { name, lng, lat, address, source, coordSource, names }
+    }
+
+    /**
+     * 把任意来源的名称转为站点名称：规范化后查别名表，
+     * "X站"不是已知站点而"X"是时去掉"站"
+     */
+    getCanonicalName(name) {
+        const normalized = StationRegistry.normalizeName(name);
+        if (this.aliases[normalized]) return this.aliases[normalized];
+        if (this.knownNames.has(normalized) || !normalized.endsWith('站')) return normalized;
+
+        const base = normalized.slice(0, -1);
+        if (this.aliases[base]) return this.aliases[base];
+        return this.knownNames.has(base) ? base : normalized;
+    }
+
+    /**
+     * 登记一个站点（重复登记时合并，保留可信度更高的坐标）
+     * @param {Object} station - {name, lng, lat, address, ...}，坐标可以缺失
+     * @param {string} source - 候选来源（route / nearby / endpoint），以第一次登记的为准
+     * @returns {Object|null} 登记表中的站点；名称为空时返回 null
+     */
+    add(station, source) {
+        const name = this.getCanonicalName(station.name);
+        if (!name) return null;
+
+        let entry = this.entries.get(name);
+        if (!entry) {
+            entry = {
+                ...station,
+                name,
+                lng: undefined,
+                lat: undefined,
+                address: station.address || '',
+                source,
+                coordSource: null,
+                names: new Set()
+            };
+            this.entries.set(name, entry);
+        }
+        entry.names.add(station.name);
+
+        if (StationRegistry.hasCoordinates(station)) {
+            const coordSource = StationRegistry.isExitName(station.name) ? 'exit' : (source === 'route' ? 'stop' : 'poi');
+            this.setCoordinates(entry, station, coordSource);
+        }
+        if (!entry.address && station.address) {
+            entry.address = station.address;
+        }
+        if (!entry.district && station.district) {
+            entry.district = station.district;
+        }
+
+        return entry;
+    }
+
+    get(name) {
+        return this.entries.get(this.getCanonicalName(name)) || null;
+    }
+
+    /**
+     * 为缺少坐标（或只有出入口坐标）的站点补充坐标：先查内置路网，仍没有时地理编码"X地铁站"
+     * 无法确定坐标的站点从登记表中移除
+     * @param {RoutingProvider} api - 路线服务
+     * @param {AbortSignal} signal - 取消信号（可选），取消时抛出 AbortError
+     * @returns {Promise<Array<Object>>} 被移除的站点 {name, source, ...}
+     */
+    async resolveCoordinates(api, signal = null) {
+        const unresolved = [];
+        for (const entry of this.entries.values()) {
+            const networkStation = this.router ? this.router.getStation(entry.name) : null;
+            if (networkStation) {
+                this.setCoordinates(entry, networkStation, 'network');
+            }
+            if (entry.coordSource) continue;
+
+            try {
+                const location = await api.geocode(`${entry.name}地铁站`, { signal });
+                this.setCoordinates(entry, location, 'geocode');
+            } catch (error) {
+                if (RateLimiter.isAbortError(error)) throw error;
+                Logger.warn(`无法确定站点 ${entry.name} 的坐标，跳过:`, error.message);
+                this.entries.delete(entry.name);
+                const { names, coordSource, lng, lat, ...station } = entry;
+                unresolved.push(station);
+            }
+        }
+        return unresolved;
+    }
+
+    /**
+     * 所有站点，作为候选站点使用
+     * @returns {Array<Object>} {name, lng, lat, address, source, aliases, ...}，只包含有坐标的站点
+     */
+    getStations() {
+        return Array.from(this.entries.values())
+            .filter(entry => entry.coordSource)
+            .map(({ names, coordSource, ...station }) => ({
+                ...station,
+                aliases: Array.from(names).filter(name => name !== station.name)
+            }));
+    }
+
+    /**
+     * 坐标来源更可信时替换坐标
+     */
+    setCoordinates(entry, location, coordSource) {
+        const priority = StationRegistry.COORD_PRIORITY;
+        if (entry.coordSource && priority[entry.coordSource] >= priority[coordSource]) return;
+
+        entry.lng = Number(location.lng);
+        entry.lat = Number(location.lat);
+        entry.coordSource = coordSource;
+    }
+
+    /**
+     * 名称规范化：去掉空白，全角括号转半角，出入口名称转为所属站点，去掉"(地铁站)""地铁站"后缀
+     *   人民广场(地铁站) -> 人民广场；人民广场地铁站2号口 -> 人民广场；陆家嘴站A口 -> 陆家嘴站
+     */
+    static normalizeName(name) {
+        let text = String(name || '')
+            .replace(/\s+/g, '')
+            .replace(/（/g, '(')
+            .replace(/）/g, ')');
+
+        const exit = text.match(StationRegistry.EXIT_PATTERN);
+        if (exit) {
+            text = text.slice(0, exit.index) + exit[1];
+        }
+
+        return text.replace(/(\(地铁站\)|地铁站)$/, '');
+    }
+
+    /**
+     * 是否为出入口 POI 名称（如"人民广场(地铁站)2号口""世纪大道地铁站出入口"）
+     */
+    static isExitName(name) {
+        return StationRegistry.EXIT_PATTERN.test(String(name || '').replace(/\s+/g, '').replace(/（/g, '(').replace(/）/g, ')'));
+    }
+
+    static hasCoordinates(location) {
+        return location.lng !== undefined && location.lng !== null && location.lat !== undefined && location.lat !== null &&
+            isFinite(location.lng) && isFinite(location.lat);
+    }
+}
+
+// 出入口名称：站名后缀 + "1号口"/"A口"/"A1口"/"3号出入口"/"出口"
+StationRegistry.EXIT_PATTERN = /(\(地铁站\)|地铁站|站)(?:[A-Za-z]?\d+[A-Za-z]?号?口|[A-Za-z]\d*口|[A-Za-z]?\d*[A-Za-z]?号?出入?口)$/;
+
+// 坐标来源的可信度
+StationRegistry.COORD_PRIORITY = {
+    poi: 3,       // 站点 POI（周边搜索）
+    stop: 3,      // 公交规划返回的途经站坐标
+    network: 2,   // 内置路网的近似坐标
+    exit: 1,      // 出入口 POI，离站点中心可能有数百米
+    geocode: 1    // 地理编码"X地铁站"
+};
+
+// 别名 -> 站点名称（与内置路网一致）
+StationRegistry.ALIASES = {
+    '上海站': '上海火车站',
+    '虹桥站': '虹桥火车站',
+    '浦东机场': '浦东国际机场',
+    '浦东1号2号航站楼': '浦东国际机场',
+    '虹桥机场1号航站楼': '虹桥1号航站楼',
+    '虹桥机场2号航站楼': '虹桥2号航站楼',
+    '虹桥机场T1': '虹桥1号航站楼',
+    '虹桥机场T2': '虹桥2号航站楼'
+};
+
+// 导出（如果使用模块化）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StationRegistry };
+}
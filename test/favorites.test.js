@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG } = require('../js/config');
+const { MemoryStorage } = require('../js/requestCache');
+const { Favorites } = require('../js/favorites');
+
+CONFIG.DEBUG = false;
+
+const HOME = { name: '人民广场', lng: 121.4737, lat: 31.2304, address: '黄浦区人民大道', district: '黄浦区' };
+const OFFICE = { name: '陆家嘴', lng: 121.5055, lat: 31.2397 };
+const GYM = { name: '徐家汇', lng: 121.4365, lat: 31.1951 };
+
+function createFavorites(storage = new MemoryStorage()) {
+    return new Favorites({ storage, key: 'test_favorites' });
+}
+
+test('收藏地点保存后重新加载不变', () => {
+    const storage = new MemoryStorage();
+    const favorites = createFavorites(storage);
+    const place = favorites.addPlace(' 家 ', HOME);
+
+    assert.equal(place.label, '家');
+    assert.deepEqual(createFavorites(storage).getPlaces(), [place]);
+});
+
+test('标签不能为空，也不能与已有地点重名', () => {
+    const favorites = createFavorites();
+    const home = favorites.addPlace('家', HOME);
+    const office = favorites.addPlace('公司', OFFICE);
+
+    assert.throws(() => favorites.addPlace('  ', GYM), /请填写地点标签/);
+    assert.throws(() => favorites.addPlace(' 家', GYM), /已有名为"家"的收藏地点/);
+    assert.throws(() => favorites.renamePlace(office.id, '家'), /已有名为"家"的收藏地点/);
+
+    // 改成自己原来的标签不算重名
+    favorites.renamePlace(home.id, '家');
+    assert.deepEqual(favorites.getPlaces().map(place => place.label), ['家', '公司']);
+});
+
+test('调整顺序：超出首尾或地点不存在时不变', () => {
+    const favorites = createFavorites();
+    const [home, office, gym] = [['家', HOME], ['公司', OFFICE], ['健身房', GYM]]
+        .map(([label, location]) => favorites.addPlace(label, location));
+    const labels = () => favorites.getPlaces().map(place => place.label);
+
+    favorites.movePlace(home.id, -1);
+    favorites.movePlace(gym.id, 1);
+    favorites.movePlace('missing', 1);
+    assert.deepEqual(labels(), ['家', '公司', '健身房']);
+
+    favorites.movePlace(gym.id, -1);
+    assert.deepEqual(labels(), ['家', '健身房', '公司']);
+    favorites.movePlace(home.id, 1);
+    assert.deepEqual(labels(), ['健身房', '家', '公司']);
+    assert.equal(office.label, '公司');
+});
+
+test('按标签或名称匹配地点，忽略大小写、全半角和"上海市"前缀', () => {
+    const favorites = createFavorites();
+    favorites.addPlace('家', HOME);
+    favorites.addPlace('Office', OFFICE);
+    favorites.addPlace('健身房', GYM);
+    const match = keyword => favorites.matchPlaces(keyword).map(place => place.label);
+
+    assert.deepEqual(match(''), ['家', 'Office', '健身房']);
+    assert.deepEqual(match('ＯＦＦ'), ['Office']);
+    assert.deepEqual(match('上海市徐家'), ['健身房']);
+    assert.deepEqual(match('人民 广场'), ['家']);
+    assert.deepEqual(match('虹桥'), []);
+});
+
+test('收藏站点：再次切换时取消，最近收藏的在前', () => {
+    const storage = new MemoryStorage();
+    const favorites = createFavorites(storage);
+
+    assert.equal(favorites.toggleStation({ name: '人民广场', lng: '121.47', lat: '31.23' }), true);
+    assert.equal(favorites.toggleStation({ name: '陆家嘴', lng: 121.5, lat: 31.24, address: '浦东新区' }), true);
+    assert.deepEqual(favorites.getStations().map(station => station.name), ['陆家嘴', '人民广场']);
+    assert.equal(favorites.getStations()[1].lng, 121.47);
+
+    assert.equal(favorites.toggleStation({ name: '人民广场' }), false);
+    assert.equal(favorites.hasStation('人民广场'), false);
+    assert.deepEqual(createFavorites(storage).getStations().map(station => station.name), ['陆家嘴']);
+});
+
+test('存储内容损坏时从空列表开始', () => {
+    const storage = new MemoryStorage();
+    storage.setItem('test_favorites', '{broken');
+
+    const favorites = createFavorites(storage);
+    assert.deepEqual([favorites.getPlaces(), favorites.getStations()], [[], []]);
+});
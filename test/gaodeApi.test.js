@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { GaodeAPI } = require('../js/gaodeApi');
+
+// 只替换 getTransferService 用到的高德类
+globalThis.AMap = {
+    Transfer: class {
+        constructor(options) {
+            this.options = options;
+        }
+    },
+    TransferPolicy: { LEAST_TIME: 0, LEAST_TRANSFER: 2 }
+};
+
+function createService() {
+    return Object.assign(Object.create(GaodeAPI.prototype), { city: '上海', transfer: 'default', transfers: new Map() });
+}
+
+test('现在出发、时间最短时使用默认的 Transfer 实例', () => {
+    assert.equal(createService().getTransferService('LEAST_TIME', undefined), 'default');
+});
+
+test('同一时段内不同的日期和时间各自查询', () => {
+    const api = createService();
+    const first = api.getTransferService('LEAST_TIME', new Date(2024, 4, 1, 21, 0));
+    const sameHour = api.getTransferService('LEAST_TIME', new Date(2024, 4, 1, 21, 30));
+    const nextWeek = api.getTransferService('LEAST_TIME', new Date(2024, 4, 8, 21, 0));
+
+    assert.deepEqual([first.options.date, first.options.time], ['2024-05-01', '21:00']);
+    assert.deepEqual([sameHour.options.date, sameHour.options.time], ['2024-05-01', '21:30']);
+    assert.deepEqual([nextWeek.options.date, nextWeek.options.time], ['2024-05-08', '21:00']);
+    assert.equal(api.getTransferService('LEAST_TIME', new Date(2024, 4, 1, 21, 0)), first);
+});
+
+test('实例数量超过上限时淘汰最久未用的', () => {
+    const api = createService();
+    const kept = api.getTransferService('LEAST_TRANSFER', new Date(2024, 4, 1, 8, 0));
+    for (let minute = 1; minute <= GaodeAPI.MAX_TRANSFER_SERVICES; minute++) {
+        api.getTransferService('LEAST_TRANSFER', new Date(2024, 4, 1, 9, minute));
+        api.getTransferService('LEAST_TRANSFER', new Date(2024, 4, 1, 8, 0));
+    }
+
+    assert.equal(api.transfers.size, GaodeAPI.MAX_TRANSFER_SERVICES);
+    assert.equal(api.getTransferService('LEAST_TRANSFER', new Date(2024, 4, 1, 8, 0)), kept);
+    assert.equal(api.transfers.has('LEAST_TRANSFER|2024-05-01 09:01'), false);
+});
@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { GeoFormats } = require('../js/geoFormats');
+
+const NAME = 'A&B <"家">';
+
+/**
+ * 两个起点、一个推荐站点；A 的路线有地铁段坐标，B 没有路线坐标
+ */
+function createResult() {
+    const subway = {
+        type: 'subway',
+        lineName: '2号线 <东延伸>',
+        startStation: '人民广场',
+        endStation: '陆家嘴',
+        duration: 600,
+        distance: 3000,
+        path: [[121.4737, 31.2304], [121.5055, 31.2397]]
+    };
+
+    return {
+        origins: [
+            { address: NAME, lng: 121.4737, lat: 31.2304 },
+            { address: '陆家嘴', lng: 121.5055, lat: 31.2397 }
+        ],
+        recommendations: [{
+            name: '南京东路 & 外滩',
+            lng: 121.4846,
+            lat: 31.2381,
+            times: [600, 900],
+            maxTime: 900,
+            timeDiff: 300,
+            totalTime: 1500,
+            routes: [
+                { duration: 600, distance: 3000, segments: { segments: [subway] } },
+                { duration: 900, distance: 2000 }
+            ]
+        }]
+    };
+}
+
+function unescapeXml(text) {
+    return text
+        .replace(/&quot;/g, '"')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+// 取出所有 <tag>…</tag> 的文本
+function textOf(xml, tag) {
+    return [...xml.matchAll(new RegExp(`<${tag}>([^<]*)</${tag}>`, 'g'))].map(match => unescapeXml(match[1]));
+}
+
+test('escapeXml 转义 & < > "', () => {
+    assert.equal(GeoFormats.escapeXml(NAME), 'A&amp;B &lt;&quot;家&quot;&gt;');
+    assert.equal(unescapeXml(GeoFormats.escapeXml(NAME)), NAME);
+});
+
+test('GPX：名称转义后仍是合法文本，取回后与原值相同', () => {
+    const gpx = GeoFormats.toGPX(createResult(), { coordSystem: 'gcj02' });
+
+    assert.equal(gpx.includes(NAME), false);
+    assert.deepEqual(textOf(gpx, 'name'), [
+        `A ${NAME}`,
+        'B 陆家嘴',
+        '1. 南京东路 & 外滩',
+        'A → 南京东路 & 外滩',
+        'B → 南京东路 & 外滩'
+    ]);
+
+    // 没有路线坐标的 B 退回起点到站点的直线
+    assert.deepEqual(
+        [...gpx.matchAll(/<trkseg>(.*?)<\/trkseg>/g)].map(match => match[1].match(/<trkpt /g).length),
+        [2, 2]
+    );
+    assert.match(gpx, /<trkpt lat="31\.230400" lon="121\.473700"><\/trkpt>/);
+});
+
+test('KML：地标、路段名称和描述均转义，地铁段使用 AABBGGRR 颜色', () => {
+    const kml = GeoFormats.toKML(createResult(), { coordSystem: 'gcj02' });
+
+    assert.equal(kml.includes(NAME), false);
+    assert.deepEqual(textOf(kml, 'name'), [
+        '上海地铁中间站推荐',
+        `A ${NAME}`,
+        'B 陆家嘴',
+        '1. 南京东路 & 外滩',
+        'A → 南京东路 & 外滩',
+        '2号线 <东延伸> 人民广场 → 陆家嘴',
+        'B → 南京东路 & 外滩',
+        '直线（无路线数据）'
+    ]);
+    assert.equal(textOf(kml, 'description').length, 1);
+    assert.equal(GeoFormats.toKmlColor('#E4002B'), 'ff2b00e4');
+});
+
+test('GeoJSON 导出后导入，出发地名称和坐标不变', () => {
+    const result = createResult();
+    const geojson = GeoFormats.toGeoJSON(result);
+    const origins = GeoFormats.parseOrigins(geojson, 'result.geojson');
+
+    assert.deepEqual(origins.map(origin => origin.name), [NAME, '陆家嘴']);
+    origins.forEach((origin, i) => {
+        assert.ok(Math.abs(origin.lng - result.origins[i].lng) < 1e-6);
+        assert.ok(Math.abs(origin.lat - result.origins[i].lat) < 1e-6);
+    });
+});
+
+test('CSV 导入支持引号中的逗号和转义的引号', () => {
+    const csv = '\uFEFF名称,经度,纬度\n"A,""家""",121.4737,31.2304\n公司,,\n';
+    const origins = GeoFormats.parseOrigins(csv, 'people.csv', { coordSystem: 'gcj02' });
+
+    assert.deepEqual(origins, [{ name: 'A,"家"', lng: 121.4737, lat: 31.2304 }, '公司']);
+});
+
+test('WGS-84 与 GCJ-02 互相转换可以还原', () => {
+    const [lng, lat] = GeoFormats.wgsToGcj(121.4737, 31.2304);
+    const [wgsLng, wgsLat] = GeoFormats.gcjToWgs(lng, lat);
+
+    assert.ok(Math.abs(lng - 121.4737) > 1e-3);
+    assert.ok(Math.abs(wgsLng - 121.4737) < 1e-7);
+    assert.ok(Math.abs(wgsLat - 31.2304) < 1e-7);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG } = require('../js/config');
+const { MetroRouter, metroRouter } = require('../js/metroRouter');
+const { METRO_NETWORK } = require('../js/data/metroNetwork');
+const { StationFinder } = require('../js/stationFinder');
+const { FixtureProvider } = require('../js/fixtureProvider');
+
+CONFIG.DEBUG = false;
+
+// 直接从站内出发（不含进站步行）
+function routeBetween(from, to) {
+    const tree = metroRouter.shortestPathTree([{ station: from, duration: 0, distance: 0, path: [] }]);
+    return metroRouter.buildRoute(tree, to);
+}
+
+test('同一条线路上的站点直达，耗时包含候车时间', () => {
+    const route = routeBetween('人民广场', '陆家嘴');
+    const rides = route.segments.segments.filter(segment => segment.type === 'subway');
+
+    assert.equal(route.transfers, 0);
+    assert.equal(route.source, 'local');
+    assert.equal(rides.length, 1);
+    assert.deepEqual([rides[0].lineName, rides[0].startStation, rides[0].endStation], ['2号线', '人民广场', '陆家嘴']);
+    assert.deepEqual(rides[0].viaStops, ['南京东路']);
+    assert.equal(rides[0].stopCount, 2);
+    assert.ok(route.duration > METRO_NETWORK.DEFAULTS.BOARDING_WAIT);
+    assert.deepEqual(route.segments.allSubwayStations, ['人民广场', '南京东路', '陆家嘴']);
+});
+
+test('换乘时按换乘站的换乘耗时计入后一段', () => {
+    const direct = routeBetween('人民广场', '陆家嘴');
+    const route = routeBetween('徐家汇', '陆家嘴');
+    const rides = route.segments.segments.filter(segment => segment.type === 'subway');
+
+    assert.equal(route.transfers, 1);
+    assert.deepEqual(rides.map(segment => segment.lineName), ['1号线', '2号线']);
+    assert.equal(rides[0].endStation, '人民广场');
+    assert.equal(rides[1].duration - direct.duration,
+        METRO_NETWORK.TRANSFER_OVERRIDES['人民广场'] - METRO_NETWORK.DEFAULTS.BOARDING_WAIT);
+    assert.equal(route.duration, rides[0].duration + rides[1].duration);
+});
+
+test('进站点本身只需步行，路网外的站点不可达', () => {
+    const tree = metroRouter.shortestPathTree([{ station: '人民广场', duration: 300, distance: 360, path: [] }]);
+
+    assert.equal(metroRouter.getTravelTime(tree, '人民广场').duration, 300);
+    assert.equal(metroRouter.buildRoute(tree, '不在路网中的站'), null);
+});
+
+test('首末班车按线路名称查询，兼容高德的完整线路名', () => {
+    assert.deepEqual(metroRouter.getServiceHours('地铁1号线(富锦路--莘庄)'), METRO_NETWORK.SERVICE_HOURS['1号线']);
+    assert.equal(metroRouter.getServiceHours('浦江线'), null);
+    assert.equal(MetroRouter.normalizeLineName('地铁10号线(航中路--基隆路)'), '10号线');
+});
+
+test('票价按里程分段估算', () => {
+    assert.equal(MetroRouter.estimateFare(6000), 3);
+    assert.equal(MetroRouter.estimateFare(16000), 4);
+    assert.equal(MetroRouter.estimateFare(16001), 5);
+    assert.equal(MetroRouter.estimateFare(36000), 6);
+});
+
+test('末班车之后上车的区段被标记', () => {
+    const finder = new StationFinder(new FixtureProvider(), metroRouter);
+    const route = routeBetween('人民广场', '陆家嘴');
+
+    assert.deepEqual(finder.checkServiceHours(route, new Date(2024, 4, 1, 21, 0).getTime()), []);
+    const warnings = finder.checkServiceHours(route, new Date(2024, 4, 1, 23, 30).getTime());
+    assert.deepEqual(warnings.map(warning => [warning.lineName, warning.type, warning.limit]), [['2号线', 'last', '23:00']]);
+});
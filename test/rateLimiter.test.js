@@ -0,0 +1,173 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG } = require('../js/config');
+const { RateLimiter } = require('../js/rateLimiter');
+
+CONFIG.DEBUG = false;
+
+// 让已完成任务的 then 回调和 finally 中的 pump 执行完
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+function useFakeTimers(t) {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+    t.mock.method(Math, 'random', () => 0);
+}
+
+/**
+ * 可以在测试中手动完成的任务
+ */
+function deferredTask(log, name) {
+    let resolve;
+    const task = () => {
+        log.push(name);
+        return new Promise(r => { resolve = r; });
+    };
+    return { task, resolve: value => resolve(value) };
+}
+
+function rateLimitError() {
+    const error = new Error('CUQPS_HAS_EXCEEDED_THE_LIMIT');
+    error.info = 'CUQPS_HAS_EXCEEDED_THE_LIMIT';
+    return error;
+}
+
+test('令牌桶：每秒最多发起 qps 个请求', async t => {
+    useFakeTimers(t);
+    const limiter = new RateLimiter({ qps: 2, concurrency: 10 });
+    const started = [];
+    const results = [1, 2, 3, 4, 5].map(n => limiter.schedule(async () => {
+        started.push(n);
+        return n;
+    }));
+
+    assert.deepEqual(started, [1, 2]);
+
+    t.mock.timers.tick(499);
+    assert.deepEqual(started, [1, 2]);
+    t.mock.timers.tick(1);
+    assert.deepEqual(started, [1, 2, 3]);
+
+    t.mock.timers.tick(500);
+    assert.deepEqual(started, [1, 2, 3, 4]);
+    t.mock.timers.tick(500);
+    assert.deepEqual(started, [1, 2, 3, 4, 5]);
+
+    assert.deepEqual(await Promise.all(results), [1, 2, 3, 4, 5]);
+});
+
+test('并发数达到上限时，等进行中的请求完成后再发起', async t => {
+    useFakeTimers(t);
+    const limiter = new RateLimiter({ qps: 100, concurrency: 2 });
+    const started = [];
+    const tasks = ['a', 'b', 'c'].map(name => deferredTask(started, name));
+    const results = tasks.map(({ task }) => limiter.schedule(task));
+
+    assert.deepEqual(started, ['a', 'b']);
+
+    t.mock.timers.tick(1000);
+    assert.deepEqual(started, ['a', 'b']);
+
+    tasks[1].resolve('B');
+    await settle();
+    assert.deepEqual(started, ['a', 'b', 'c']);
+
+    tasks[0].resolve('A');
+    tasks[2].resolve('C');
+    assert.deepEqual(await Promise.all(results), ['A', 'B', 'C']);
+});
+
+test('频率限制错误按指数退避重试', async t => {
+    useFakeTimers(t);
+    const limiter = new RateLimiter({ qps: 100, baseDelay: 100, maxRetries: 3 });
+    const attempts = [];
+    const result = limiter.schedule(async () => {
+        attempts.push(Date.now());
+        if (attempts.length < 3) throw rateLimitError();
+        return 'ok';
+    });
+
+    await settle();
+    t.mock.timers.tick(99);
+    assert.equal(attempts.length, 1);
+    t.mock.timers.tick(1);
+    await settle();
+    assert.equal(attempts.length, 2);
+
+    t.mock.timers.tick(200);
+    assert.equal(await result, 'ok');
+    assert.deepEqual(attempts, [0, 100, 300]);
+});
+
+test('退避时间不超过 maxDelay，重试次数用完后拒绝', async t => {
+    useFakeTimers(t);
+    const limiter = new RateLimiter({ qps: 100, baseDelay: 100, maxDelay: 150, maxRetries: 2 });
+    let attempts = 0;
+    const result = limiter.schedule(async () => {
+        attempts++;
+        throw rateLimitError();
+    });
+
+    assert.equal(limiter.getBackoff(3), 150);
+
+    await settle();
+    t.mock.timers.tick(100);
+    await settle();
+    t.mock.timers.tick(150);
+
+    await assert.rejects(result, /CUQPS_HAS_EXCEEDED_THE_LIMIT/);
+    assert.equal(attempts, 3);
+});
+
+test('其他错误（如日配额用尽）不重试', async t => {
+    useFakeTimers(t);
+    const limiter = new RateLimiter({ qps: 100 });
+    let attempts = 0;
+    const error = new Error('DAILY_QUERY_OVER_LIMIT');
+    error.infocode = '10003';
+
+    await assert.rejects(limiter.schedule(async () => {
+        attempts++;
+        throw error;
+    }), /DAILY_QUERY_OVER_LIMIT/);
+    assert.equal(attempts, 1);
+    assert.equal(RateLimiter.isRetryableError(Object.assign(new Error(''), { infocode: 10019 })), true);
+});
+
+test('取消信号：排队中的任务不再发起，进行中的任务结果被丢弃', async t => {
+    useFakeTimers(t);
+    const limiter = new RateLimiter({ qps: 100, concurrency: 1 });
+    const controller = new AbortController();
+    const started = [];
+    const running = deferredTask(started, 'running');
+    const queued = deferredTask(started, 'queued');
+
+    const first = limiter.schedule(running.task, { signal: controller.signal });
+    const second = limiter.schedule(queued.task, { signal: controller.signal });
+    controller.abort();
+
+    await assert.rejects(first, error => RateLimiter.isAbortError(error));
+    await assert.rejects(second, error => RateLimiter.isAbortError(error));
+    assert.equal(limiter.queue.length, 0);
+
+    // 进行中的任务完成后释放并发名额，后续任务照常执行
+    running.resolve('late');
+    await settle();
+    assert.equal(await limiter.schedule(async () => 'next'), 'next');
+    assert.deepEqual(started, ['running']);
+});
+
+test('信号已取消时直接拒绝，不进入队列', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    let called = false;
+
+    await assert.rejects(
+        new RateLimiter().schedule(async () => { called = true; }, { signal: controller.signal }),
+        error => error.name === 'AbortError'
+    );
+    assert.equal(called, false);
+    assert.throws(() => RateLimiter.throwIfAborted(controller.signal), error => RateLimiter.isAbortError(error));
+    assert.doesNotThrow(() => RateLimiter.throwIfAborted(null));
+});
@@ -0,0 +1,128 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG } = require('../js/config');
+const { RequestCache, MemoryStorage } = require('../js/requestCache');
+
+CONFIG.DEBUG = false;
+
+function createCache(options = {}) {
+    return new RequestCache({ storage: new MemoryStorage(), prefix: 'test', ...options });
+}
+
+function savedIndex(cache) {
+    return JSON.parse(cache.storage.getItem('test:index'));
+}
+
+test('条目过期后读取不到，并从存储中删除', t => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const cache = createCache({ ttl: { geocode: 500 } });
+
+    cache.set('geocode', '人民广场', { lng: 121.47, lat: 31.23 });
+    now = 1500;
+    assert.deepEqual(cache.get('geocode', '人民广场'), { lng: 121.47, lat: 31.23 });
+
+    now = 1501;
+    assert.equal(cache.get('geocode', '人民广场'), undefined);
+    assert.equal(cache.storage.getItem('test:geocode:人民广场'), null);
+    assert.deepEqual(savedIndex(cache), {});
+});
+
+test('加载时清理索引中已过期的条目', t => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const storage = new MemoryStorage();
+    const cache = createCache({ storage, ttl: { geocode: 500, route: 5000 } });
+    cache.set('geocode', 'a', 1);
+    cache.set('route', 'b', 2);
+
+    now = 2000;
+    const reloaded = createCache({ storage });
+
+    assert.deepEqual(reloaded.stats(), { entries: 1, namespaces: { route: 1 } });
+    assert.equal(storage.getItem('test:geocode:a'), null);
+});
+
+test('超过上限时淘汰最近最少使用的条目，读取会刷新访问顺序', () => {
+    const cache = createCache({ maxEntries: 2 });
+    cache.set('route', 'a', 1);
+    cache.set('route', 'b', 2);
+    cache.get('route', 'a');
+    cache.set('route', 'c', 3);
+
+    assert.equal(cache.get('route', 'b'), undefined);
+    assert.equal(cache.get('route', 'a'), 1);
+    assert.equal(cache.get('route', 'c'), 3);
+    cache.flush();
+});
+
+test('同一毫秒内的访问时间严格递增', t => {
+    t.mock.method(Date, 'now', () => 1000);
+    const cache = createCache();
+
+    assert.deepEqual([cache.touch(), cache.touch(), cache.touch()], [1000, 1001, 1002]);
+});
+
+test('命中只延迟保存索引，flush() 立即写入', t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const cache = createCache();
+    cache.set('route', 'a', 1);
+    const before = savedIndex(cache)['test:route:a'].lastAccess;
+
+    cache.get('route', 'a');
+    cache.get('route', 'a');
+    assert.equal(savedIndex(cache)['test:route:a'].lastAccess, before);
+
+    cache.flush();
+    assert.equal(savedIndex(cache)['test:route:a'].lastAccess, cache.index['test:route:a'].lastAccess);
+    assert.ok(cache.index['test:route:a'].lastAccess > before);
+    assert.equal(cache.saveTimer, null);
+});
+
+test('延迟到期后自动保存索引', t => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const cache = createCache();
+    cache.set('route', 'a', 1);
+    cache.get('route', 'a');
+
+    t.mock.timers.tick(CONFIG.CACHE.INDEX_SAVE_DELAY);
+
+    assert.equal(savedIndex(cache)['test:route:a'].lastAccess, cache.index['test:route:a'].lastAccess);
+    assert.equal(cache.saveTimer, null);
+});
+
+test('存储空间不足时淘汰最旧的条目后重试', () => {
+    const storage = new MemoryStorage();
+    const cache = createCache({ storage });
+    ['a', 'b', 'c', 'd'].forEach((key, i) => cache.set('route', key, i));
+
+    let failures = 1;
+    const setItem = storage.setItem.bind(storage);
+    storage.setItem = (key, value) => {
+        if (key === 'test:route:e' && failures-- > 0) {
+            throw new Error('QuotaExceededError');
+        }
+        setItem(key, value);
+    };
+    cache.set('route', 'e', 4);
+
+    // 5 个条目的四分之一向上取整，淘汰最旧的 a、b
+    assert.deepEqual(Object.keys(savedIndex(cache)), ['test:route:c', 'test:route:d', 'test:route:e']);
+    assert.equal(storage.getItem('test:route:a'), null);
+    assert.equal(cache.get('route', 'e'), 4);
+    cache.flush();
+});
+
+test('重试仍失败时不记录该条目', () => {
+    const storage = new MemoryStorage();
+    const cache = createCache({ storage });
+    cache.set('route', 'a', 1);
+
+    storage.setItem = key => {
+        if (key !== 'test:index') throw new Error('QuotaExceededError');
+    };
+    cache.set('route', 'b', 2);
+
+    assert.equal(cache.stats().entries, 0);
+    assert.equal(cache.get('route', 'b'), undefined);
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { CONFIG } = require('../js/config');
+const { FixtureProvider } = require('../js/fixtureProvider');
+const { StationFinder } = require('../js/stationFinder');
+const { metroRouter } = require('../js/metroRouter');
+const { GeoFormats } = require('../js/geoFormats');
+const { ResultReport } = require('../js/resultReport');
+
+CONFIG.DEBUG = false;
+
+const FIXTURE_PATH = path.join(__dirname, '..', 'fixtures', 'sample.json');
+
+test('csvCell 只给含逗号、引号或换行的单元格加引号', () => {
+    assert.equal(ResultReport.csvCell('人民广场'), '人民广场');
+    assert.equal(ResultReport.csvCell(12.5), '12.5');
+    assert.equal(ResultReport.csvCell(0), '0');
+    assert.equal(ResultReport.csvCell(null), '');
+    assert.equal(ResultReport.csvCell(undefined), '');
+    assert.equal(ResultReport.csvCell('a,b'), '"a,b"');
+    assert.equal(ResultReport.csvCell('说"你好"'), '"说""你好"""');
+    assert.equal(ResultReport.csvCell('第一行\r\n第二行'), '"第一行\r\n第二行"');
+});
+
+test('toCSV 带 BOM，解析后每行列数与表头一致，站点名称原样还原', async () => {
+    const finder = new StationFinder(FixtureProvider.fromFile(FIXTURE_PATH), metroRouter);
+    const result = await finder.findMeetingStations(['人民广场', '陆家嘴'], { routingMode: 'local' });
+    result.recommendations[0] = { ...result.recommendations[0], name: '站点 "A", 2号线\n出口' };
+
+    const csv = ResultReport.toCSV(result);
+    assert.ok(csv.startsWith('\uFEFF排名,站点,'));
+
+    const rows = GeoFormats.parseCSV(csv.slice(1));
+    const [header, ...data] = rows;
+
+    // 固定列 9 个，每位参与者耗时、换乘、票价各一列
+    assert.equal(header.length, 9 + 3 * result.origins.length);
+    assert.equal(data.length, result.recommendations.length);
+    data.forEach(row => assert.equal(row.length, header.length));
+
+    assert.equal(data[0][1], '站点 "A", 2号线\n出口');
+    assert.deepEqual(data.map(row => Number(row[0])), result.recommendations.map((station, i) => i + 1));
+    assert.equal(Number(data[1][header.indexOf('最长耗时(秒)')]), result.recommendations[1].maxTime);
+});
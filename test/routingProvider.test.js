@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { RoutingProvider } = require('../js/routingProvider');
+
+test('assertProvider 列出缺少的方法', () => {
+    assert.throws(() => RoutingProvider.assertProvider({ geocode() {} }), /路线服务缺少方法: reverseGeocode/);
+    assert.doesNotThrow(() => RoutingProvider.assertProvider(new RoutingProvider()));
+});
+
+test('parseExitName 从出口 POI 名称中提取出口编号', () => {
+    assert.equal(RoutingProvider.parseExitName('人民广场(地铁站)1号口'), '1号口');
+    assert.equal(RoutingProvider.parseExitName('世纪大道地铁站A口'), 'A口');
+    assert.equal(RoutingProvider.parseExitName('陆家嘴地铁站a1口'), 'A1号口');
+    assert.equal(RoutingProvider.parseExitName('徐家汇地铁站12号出口'), '12号口');
+    assert.equal(RoutingProvider.parseExitName('南京东路地铁站3号出入口'), '3号口');
+});
+
+test('parseExitName 对不是出口的名称返回 null', () => {
+    assert.equal(RoutingProvider.parseExitName('人民广场(地铁站)'), null);
+    assert.equal(RoutingProvider.parseExitName('世纪大道地铁站出入口'), null);
+    assert.equal(RoutingProvider.parseExitName('来福士广场'), null);
+});
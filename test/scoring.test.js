@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ScoringModel } = require('../js/scoring');
+
+function station(name, maxCost, amenityScore) {
+    return { name, maxCost, totalCost: maxCost, costDiff: 0, transfers: [], walkingDistances: [], fares: [], amenityScore };
+}
+
+test('只加载 scoring.js 时也包含周边设施评分项', () => {
+    const model = new ScoringModel({ maxTime: 1, amenities: 2 });
+
+    assert.ok(ScoringModel.getCriterion('amenities'));
+    assert.equal(model.getWeights().amenities, 2);
+    assert.doesNotThrow(() => model.setWeight('amenities', 1));
+});
+
+test('周边设施权重改变排名，没有设施数据的站点按最差的值计', () => {
+    const stations = [station('近但冷清', 1200, 10), station('稍远但热闹', 1500, 100), station('未查询', 1300, undefined)];
+
+    const byTime = new ScoringModel({ maxTime: 1 }).rank(stations);
+    assert.deepEqual(byTime.map(s => s.name), ['近但冷清', '未查询', '稍远但热闹']);
+
+    const withAmenities = new ScoringModel({ maxTime: 1, amenities: 1 }).rank(stations);
+    assert.deepEqual(withAmenities.map(s => s.name), ['稍远但热闹', '近但冷清', '未查询']);
+    assert.equal(withAmenities[2].scoreBreakdown.amenities, (100 - 10) * 6);
+});
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SearchHistory } = require('../js/searchHistory');
+const { MemoryStorage } = require('../js/requestCache');
+
+test('encodePath / decodePath 往返保留 5 位小数', () => {
+    const path = [[121.47372, 31.23041], [121.47001, 31.22999], [121.50551, 31.23972], [-0.00001, 0]];
+
+    assert.deepEqual(SearchHistory.decodePath(SearchHistory.encodePath(path)), path);
+});
+
+test('encodePath 按 5 位小数取整，空路径编码为空字符串', () => {
+    assert.deepEqual(SearchHistory.decodePath(SearchHistory.encodePath([[121.473716, 31.230409]])), [[121.47372, 31.23041]]);
+    assert.equal(SearchHistory.encodePath([]), '');
+    assert.deepEqual(SearchHistory.decodePath(''), []);
+});
+
+test('相同地址和查询条件的记录被替换，查询条件不同时分别保留', () => {
+    const history = new SearchHistory({ storage: new MemoryStorage() });
+    const addresses = ['人民广场', '陆家嘴'];
+    const query = { routingMode: 'online', policy: 'LEAST_TIME', departure: { mode: 'now', time: null }, venue: null };
+
+    const first = history.add(addresses, query);
+    history.togglePin(first.id);
+    history.add(addresses, { ...query, weights: { maxTime: 2 } });
+    assert.equal(history.getEntries().length, 1);
+    assert.equal(history.getEntries()[0].pinned, true);
+
+    history.add(addresses, { ...query, venue: '火锅' });
+    history.add(addresses, { ...query, departure: { mode: 'depart', time: '2024-05-01T21:00' } });
+    assert.equal(history.getEntries().length, 3);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ShareLink } = require('../js/shareLink');
+
+test('serialize / parse 往返还原查询', () => {
+    const query = {
+        places: [{ name: '公司', lng: 121.4737, lat: 31.2304 }, '陆家嘴', '徐家汇'],
+        routingMode: 'local',
+        policy: 'LEAST_TRANSFER',
+        departure: { mode: 'arrive', time: '2024-05-01T21:00' },
+        weights: { maxTime: 1, timeDiff: 0.3, fare: 0 },
+        venue: '火锅',
+        station: '人民广场'
+    };
+
+    const parsed = ShareLink.parse(`?${ShareLink.serialize(query)}`);
+
+    assert.deepEqual(parsed, {
+        ...query,
+        places: [{ name: '公司', lng: 121.4737, lat: 31.2304 }, '陆家嘴', '徐家汇'],
+        weights: { maxTime: 1, timeDiff: 0.3 }
+    });
+});
+
+test('现在出发不写入时间参数', () => {
+    const search = ShareLink.serialize({ places: ['人民广场', '陆家嘴'], departure: { mode: 'now', time: null } });
+
+    assert.equal(new URLSearchParams(search).has('time'), false);
+    assert.deepEqual(ShareLink.parse(search).departure, { mode: 'now', time: null });
+});
+
+test('无法识别的参数被忽略', () => {
+    const parsed = ShareLink.parse('p=人民广场&p=陆家嘴@999,1&mode=fast&policy=unknown&time=depart@tomorrow&w=maxTime:9,unknown:1');
+
+    assert.deepEqual(parsed.places, ['人民广场', '陆家嘴@999,1']);
+    assert.equal(parsed.routingMode, null);
+    assert.equal(parsed.policy, null);
+    assert.deepEqual(parsed.departure, { mode: 'now', time: null });
+    assert.deepEqual(parsed.weights, { maxTime: 3 });
+    assert.equal(parsed.venue, null);
+    assert.equal(parsed.station, null);
+});
+
+test('少于两位参与者时不是分享链接', () => {
+    assert.equal(ShareLink.parse(''), null);
+    assert.equal(ShareLink.parse('p=人民广场&p=%20'), null);
+});
+
+test('链接中的地点名称、场所和站点去掉 HTML 和控制字符', () => {
+    const parsed = ShareLink.parse(new URLSearchParams([
+        ['p', '<img src=x onerror=alert(1)>@121.47,31.23'],
+        ['p', '<script>陆家嘴</script>'],
+        ['p', '<>@121.47,31.23'],
+        ['v', '火锅<b>\u0000'],
+        ['s', ' 人民  广场\n']
+    ]).toString());
+
+    assert.deepEqual(parsed.places, [
+        { name: 'img src=x onerror=alert(1)', lng: 121.47, lat: 31.23 },
+        'script陆家嘴/script',
+        '@121.47,31.23'
+    ]);
+    assert.equal(parsed.venue, '火锅b');
+    assert.equal(parsed.station, '人民 广场');
+    assert.equal(ShareLink.parsePlace('x'.repeat(500)).length, ShareLink.MAX_TEXT_LENGTH);
+});
@@ -0,0 +1,143 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { CONFIG } = require('../js/config');
+const { FixtureProvider } = require('../js/fixtureProvider');
+const { StationFinder } = require('../js/stationFinder');
+const { metroRouter } = require('../js/metroRouter');
+const { RateLimiter } = require('../js/rateLimiter');
+
+CONFIG.DEBUG = false;
+
+const FIXTURE_PATH = path.join(__dirname, '..', 'fixtures', 'sample.json');
+const ORIGINS = ['人民广场', '陆家嘴'];
+
+/**
+ * 用 fixtures/sample.json 创建查找器
+ * @param {Object} options - 传给 FixtureProvider（如 {strict: true}）
+ */
+function createFinder(options = {}) {
+    return new StationFinder(FixtureProvider.fromFile(FIXTURE_PATH, options), metroRouter);
+}
+
+function assertRanked(result) {
+    const scores = result.stations.map(station => station.score);
+    assert.deepEqual(scores, [...scores].sort((a, b) => a - b));
+    assert.deepEqual(
+        result.recommendations.map(station => station.name),
+        result.stations.slice(0, result.recommendations.length).map(station => station.name)
+    );
+}
+
+test('在线模式：候选站点按得分排序，每个站点都有到各起点的路线', async () => {
+    const finder = createFinder();
+    const result = await finder.findMeetingStations(ORIGINS, { routingMode: 'online' });
+
+    assert.equal(result.routingMode, 'online');
+    assert.deepEqual(result.origins.map(origin => origin.label), ['A', 'B']);
+    assert.ok(result.recommendations.length > 0);
+    assertRanked(result);
+
+    result.stations.forEach(station => {
+        assert.equal(station.times.length, ORIGINS.length);
+        assert.equal(station.routes.length, ORIGINS.length);
+        assert.equal(station.maxTime, Math.max(...station.times));
+    });
+
+    // 相同的固定数据得到相同的排名
+    const again = await createFinder().findMeetingStations(ORIGINS, { routingMode: 'online' });
+    assert.deepEqual(again.stations.map(station => station.name), result.stations.map(station => station.name));
+});
+
+test('离线模式：全网站点都是候选，只有进站步行段查询路线服务', async () => {
+    const result = await createFinder().findMeetingStations(ORIGINS, { routingMode: 'local' });
+    const total = metroRouter.getAllStations().length;
+
+    assert.equal(result.totalCandidates, total);
+    assert.ok(result.stations.every(station => station.source === 'network'));
+    assertRanked(result);
+
+    // 起点就在人民广场站旁，到该站只有进站步行
+    const peoplesSquare = result.stations.find(station => station.name === '人民广场');
+    assert.ok(peoplesSquare.times[0] < peoplesSquare.times[1]);
+});
+
+test('地址无法解析或出发地不足两个时报错', async () => {
+    const finder = createFinder();
+    await assert.rejects(finder.findMeetingStations(['人民广场', '不存在的地址']), /地址解析失败/);
+    await assert.rejects(finder.findMeetingStations(['人民广场']), /至少需要两个出发地点/);
+});
+
+test('已确定坐标的出发地跳过地理编码', async () => {
+    const result = await createFinder().findMeetingStations([
+        { name: '公司', lng: 121.4737, lat: 31.2304 },
+        '陆家嘴'
+    ], { routingMode: 'local' });
+
+    assert.equal(result.origins[0].address, '公司');
+    assert.equal(result.origins[0].resolved, true);
+});
+
+test('离线模式逐站报告进度，临时排名在读取时才计算', async () => {
+    const finder = createFinder();
+    const events = [];
+    let rankCalls = 0;
+    const rankStations = finder.rankStations.bind(finder);
+    finder.rankStations = (...args) => {
+        rankCalls++;
+        return rankStations(...args);
+    };
+
+    await finder.findMeetingStations(ORIGINS, { routingMode: 'local', onProgress: event => events.push(event) });
+    const total = metroRouter.getAllStations().length;
+    const evaluated = events.filter(event => event.type === 'evaluated');
+
+    assert.equal(events[0].type, 'geocoded');
+    assert.equal(evaluated.length, total);
+    assert.deepEqual(evaluated.map(event => event.done), evaluated.map((event, i) => i + 1));
+    assert.equal(rankCalls, 1);
+
+    const provisional = evaluated[evaluated.length - 1].getProvisional();
+    assert.equal(provisional.provisional, true);
+    assert.equal(provisional.totalCandidates, total);
+    assert.equal(evaluated[evaluated.length - 1].getProvisional(), provisional);
+});
+
+test('已取消的搜索抛出 AbortError', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(
+        createFinder().findMeetingStations(ORIGINS, { routingMode: 'local', signal: controller.signal }),
+        error => RateLimiter.isAbortError(error)
+    );
+});
+
+test('在线模式：超出候选上限的站点记录为失败', async () => {
+    const result = await createFinder().findMeetingStations(ORIGINS, { routingMode: 'online' });
+    const names = new Set(result.stations.map(station => station.name));
+
+    assert.ok(result.failed.length > 0);
+    result.failed.forEach(station => {
+        assert.ok(StationFinder.FAILURE_TYPES[station.failure.type]);
+        assert.ok(station.failure.reason);
+        assert.ok(!names.has(station.name));
+    });
+    assert.ok(result.failed.some(station => station.failure.type === 'limit'));
+});
+
+test('严格模式：fixture 中没有录制的路线作为路线失败报告', async () => {
+    const result = await createFinder({ strict: true }).findMeetingStations(ORIGINS, { routingMode: 'online' });
+    const routeFailures = result.failed.filter(station => station.failure.type === 'route');
+
+    assert.equal(routeFailures.length, result.totalCandidates - result.stations.length);
+    assert.ok(routeFailures.length > 0);
+    routeFailures.forEach(station => assert.match(station.failure.reason, /fixture 中没有/));
+});
+
+test('离线模式：评估过的站点和不可达的站点合起来覆盖全网', async () => {
+    const result = await createFinder().findMeetingStations(ORIGINS, { routingMode: 'local' });
+
+    assert.equal(result.stations.length + result.failed.length, metroRouter.getAllStations().length);
+    assert.ok(result.failed.every(station => station.failure.type === 'unreachable'));
+});
@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { StationRegistry } = require('../js/stationRegistry');
+const { metroRouter } = require('../js/metroRouter');
+
+test('不同来源的叫法规范为同一个站点名称', () => {
+    const registry = new StationRegistry({ router: metroRouter });
+
+    ['人民广场', '人民广场(地铁站)', '人民广场（地铁站）', '人民广场地铁站', '人民广场站', ' 人民广场 ', '人民广场地铁站2号口', '人民广场(地铁站)A口']
+        .forEach(name => assert.equal(registry.getCanonicalName(name), '人民广场', name));
+});
+
+test('别名转为内置路网中的站点名称', () => {
+    const registry = new StationRegistry({ router: metroRouter, aliases: { '人广': '人民广场' } });
+
+    assert.equal(registry.getCanonicalName('上海站'), '上海火车站');
+    assert.equal(registry.getCanonicalName('虹桥机场T1'), '虹桥1号航站楼');
+    assert.equal(registry.getCanonicalName('人广站'), '人民广场');
+});
+
+test('没有路网时只去掉地铁站后缀，保留"站"字', () => {
+    const registry = new StationRegistry();
+
+    assert.equal(registry.getCanonicalName('陆家嘴(地铁站)'), '陆家嘴');
+    assert.equal(registry.getCanonicalName('陆家嘴站'), '陆家嘴站');
+    assert.equal(registry.getCanonicalName(''), '');
+});